@@ -0,0 +1,366 @@
+#!/usr/bin/env node
+// bin/note-aggregator.js
+//
+// Command-line interface for scripted and scheduled (cron) aggregation.
+// Uses the same .env, sources config and logic as the web server.
+//
+//   note-aggregator aggregate --source work --tags a,b --from 2024-01-01
+//   note-aggregator aggregate --preset weekly-work
+//   note-aggregator sources
+//   note-aggregator presets
+
+const path = require("path");
+const { parseArgs } = require("util");
+
+// --- Load Environment Variables (the project's .env, wherever we run from) ---
+require("dotenv").config({ path: path.join(__dirname, "..", ".env") });
+
+const { aggregateNotes } = require("../logic/aggregate");
+const { createSourceRegistry } = require("../logic/sources");
+const { resolveAppPaths } = require("../logic/config");
+const { createNoteIndex } = require("../logic/noteIndex");
+const { createPresetStore } = require("../logic/presets");
+const {
+  buildAggregationOptions,
+  isNoMatchError,
+  outputDirFor,
+} = require("../logic/aggregationOptions");
+
+// The aggregation logic reports progress through this logger; it goes to
+// stderr so stdout only carries the result (and stays valid JSON with --json)
+const progressLogger = { log: console.error, warn: console.warn };
+
+// --- Exit Codes ---
+const EXIT_OK = 0;
+const EXIT_ERROR = 1; // Configuration, I/O or other unexpected errors
+const EXIT_USAGE = 2; // Unknown command, bad flags or an invalid request
+const EXIT_NO_MATCH = 3; // Nothing matched the filters (not a failure as such)
+
+const USAGE = `Usage:
+  note-aggregator aggregate --source <key> [options]
+  note-aggregator aggregate --preset <name> [options]
+  note-aggregator sources [--json]
+  note-aggregator presets [--json]
+
+Aggregate options:
+  --source <key[,key]>    Source key(s) from the sources config; several are merged
+                          into one aggregate (required without --preset)
+  --preset <name>         Start from a saved preset; other options override it
+  --tags <a,b>            Include notes with any of these tags
+  --query <expr>          Boolean tag query, e.g. "(meeting OR 1on1) AND NOT private"
+  --text <query>          Full-text query, e.g. 'atlas "go live"' (all terms must occur)
+  --text-match <mode>     all or any of the text query's terms
+  --text-regex            The text query is a regular expression
+  --excerpts              Only include the paragraphs matching the text query, highlighted
+  --fields <json>         Frontmatter field rules, e.g. '[{"field":"hours","op":"range","min":4}]'
+  --show-fields           Show the filtered fields' values with each note
+  --privacy <a,b>         Allowed privacy levels (default: the source's, else all)
+  --from <YYYY-MM-DD>     Start date (inclusive)
+  --to <YYYY-MM-DD>       End date (inclusive)
+  --range <name>          Relative date range, e.g. last-7-days, previous-month, quarter-to-date
+  --undated <policy>      Notes without a date: include, exclude or warn (default: warn with a date range, else include)
+  --extraction <json>     Extraction settings, e.g. '{"mode":"headings","headings":["Work"]}'
+  --redaction <json>      Redaction settings, e.g. '{"enabled":true,"patterns":["email","phone"]}'
+  --links <mode>          Links and embeds: keep, relative, plain, inline or copy
+  --format <name>         md, html, pdf-html, json or txt (default md)
+  --template <name>       Markdown template from the templates folder
+  --group-by <unit>       none, week, month, quarter or tag
+  --sort <order>          asc or desc
+  --filename <template>   Output filename template, e.g. "{{source}}-{{tags}}-{{date}}"
+  --on-exists <policy>    fail, overwrite, suffix or timestamp
+  --dry-run               Show what would be written without writing anything
+  --json                  Print the result (or error) as JSON
+
+General options:
+  --config <path>         Sources config file (default: SOURCES_CONFIG_PATH or sources.json)
+  -h, --help              Show this help
+
+Exit codes: 0 success, 1 error, 2 invalid usage, 3 no notes matched.`;
+
+const AGGREGATE_FLAGS = {
+  source: { type: "string" },
+  preset: { type: "string" },
+  tags: { type: "string" },
+  query: { type: "string" },
+  text: { type: "string" },
+  "text-match": { type: "string" },
+  "text-regex": { type: "boolean" },
+  excerpts: { type: "boolean" },
+  fields: { type: "string" },
+  "show-fields": { type: "boolean" },
+  privacy: { type: "string" },
+  from: { type: "string" },
+  to: { type: "string" },
+  range: { type: "string" },
+  undated: { type: "string" },
+  extraction: { type: "string" },
+  redaction: { type: "string" },
+  links: { type: "string" },
+  format: { type: "string" },
+  template: { type: "string" },
+  "group-by": { type: "string" },
+  sort: { type: "string" },
+  filename: { type: "string" },
+  "on-exists": { type: "string" },
+  "dry-run": { type: "boolean" },
+  json: { type: "boolean" },
+  config: { type: "string" },
+  help: { type: "boolean", short: "h" },
+};
+
+// --- Write a result line to stdout (progress logs go to stderr) ---
+function print(text) {
+  process.stdout.write(`${text}\n`);
+}
+
+// --- An Error that maps to a specific exit code ---
+function cliError(message, exitCode) {
+  const error = new Error(message);
+  error.exitCode = exitCode;
+  return error;
+}
+
+// --- Split a comma-separated flag value ("a, b,c") into a list ---
+function splitList(value) {
+  return value
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+// --- Load the sources config (the same file the server uses) ---
+function loadSources(configPath) {
+  const paths = resolveAppPaths();
+  if (!paths.vaultBasePath) {
+    throw cliError(
+      "'OBSIDIAN_VAULT_PATH' is not defined in your .env file.",
+      EXIT_ERROR
+    );
+  }
+  const sourceRegistry = createSourceRegistry({
+    configPath: configPath ? path.resolve(configPath) : paths.sourcesConfigPath,
+    vaultBasePath: paths.vaultBasePath,
+  });
+  const { errors, warnings } = sourceRegistry.initialResult;
+  warnings.forEach((message) => console.error(`WARN: ${message}`));
+  if (errors.length > 0) {
+    throw cliError(
+      `Sources config errors:\n  ${errors.join("\n  ")}`,
+      EXIT_ERROR
+    );
+  }
+  return { paths, sourceRegistry };
+}
+
+// --- Parse a JSON-valued flag (undefined when not given) ---
+function parseJsonFlag(flags, name) {
+  if (flags[name] === undefined) return undefined;
+  try {
+    return JSON.parse(flags[name]);
+  } catch (parseError) {
+    throw cliError(`--${name} must be JSON: ${parseError.message}`, EXIT_USAGE);
+  }
+}
+
+// --- Turn aggregate flags into the same payload the web form sends ---
+function flagsToPayload(flags) {
+  const extraction = parseJsonFlag(flags, "extraction");
+  const redaction = parseJsonFlag(flags, "redaction");
+  const fieldFilters = parseJsonFlag(flags, "fields");
+  // "--source daily,work" merges several sources into one aggregate
+  const sourceKeys = flags.source ? splitList(flags.source) : [];
+  const payload = {
+    sourceDirKey: sourceKeys.length === 1 ? sourceKeys[0] : undefined,
+    sourceDirKeys: sourceKeys.length > 1 ? sourceKeys : undefined,
+    requiredTags: flags.tags ? splitList(flags.tags) : undefined,
+    tagQuery: flags.query,
+    textQuery: flags.text,
+    textMatch: flags["text-match"],
+    textRegex: flags["text-regex"],
+    textExcerpts: flags.excerpts,
+    fieldFilters,
+    showFieldValues: flags["show-fields"],
+    allowedPrivacy: flags.privacy ? splitList(flags.privacy) : undefined,
+    startDate: flags.from,
+    endDate: flags.to,
+    dateRange: flags.range,
+    undatedPolicy: flags.undated,
+    extraction,
+    redaction,
+    linkMode: flags.links,
+    format: flags.format,
+    template: flags.template,
+    groupBy: flags["group-by"],
+    sort: flags.sort,
+    filenameTemplate: flags.filename,
+    collisionPolicy: flags["on-exists"],
+  };
+  // Only the flags that were given, so they can be layered over a preset
+  return Object.fromEntries(
+    Object.entries(payload).filter(([, value]) => value !== undefined)
+  );
+}
+
+// --- Layer command-line flags over a preset's saved request ---
+// Explicit dates replace the preset's relative range and vice versa.
+function mergePresetRequest(request, overrides) {
+  const merged = { ...request, ...overrides };
+  // A --source flag replaces the preset's source(s)
+  if (overrides.sourceDirKey) delete merged.sourceDirKeys;
+  if (overrides.sourceDirKeys) delete merged.sourceDirKey;
+  if (overrides.startDate || overrides.endDate) {
+    if (!overrides.dateRange) delete merged.dateRange;
+  } else if (overrides.dateRange) {
+    delete merged.startDate;
+    delete merged.endDate;
+  }
+  return merged;
+}
+
+// --- Command: aggregate ---
+async function runAggregate(flags) {
+  if (!flags.source && !flags.preset) {
+    throw cliError("--source or --preset is required.", EXIT_USAGE);
+  }
+  const { paths, sourceRegistry } = loadSources(flags.config);
+
+  let payload = flagsToPayload(flags);
+  if (flags.preset) {
+    const preset = createPresetStore(paths.presetsPath).getPreset(flags.preset);
+    if (!preset) {
+      throw cliError(`Preset '${flags.preset}' not found.`, EXIT_USAGE);
+    }
+    payload = mergePresetRequest(preset.request, payload);
+  }
+
+  const { options, error } = buildAggregationOptions(payload, {
+    sourceRegistry,
+    aggregatesDir: paths.aggregatesDir,
+    templatesDir: paths.templatesDir,
+    vaultBasePath: paths.vaultBasePath,
+    // Shares the server's saved index, so only changed notes are read
+    noteIndex: createNoteIndex({ indexDir: paths.indexDir }),
+  });
+  if (error) throw cliError(error, EXIT_USAGE);
+
+  let result;
+  try {
+    result = await aggregateNotes({
+      ...options,
+      dryRun: flags["dry-run"],
+      logger: progressLogger,
+    });
+  } catch (aggregationError) {
+    throw cliError(
+      aggregationError.message,
+      isNoMatchError(aggregationError) ? EXIT_NO_MATCH : EXIT_ERROR
+    );
+  }
+
+  if (flags.json) {
+    print(JSON.stringify(result, null, 2));
+    return;
+  }
+  const verb = flags["dry-run"] ? "Would aggregate" : "Aggregated";
+  print(
+    `${verb} ${result.notesIncluded} of ${result.filesProcessed} note(s) into: ${result.outputFile}`
+  );
+  if (flags["dry-run"]) {
+    result.matchedFiles.forEach((file) => print(`  ${file}`));
+    if (result.outputExists) {
+      print("Note: that file already exists.");
+    }
+  }
+  if (result.unresolvedLinks.length > 0) {
+    print(`Unresolved links (${result.unresolvedLinks.length}):`);
+    result.unresolvedLinks.forEach((link) =>
+      print(`  ${link.link} in ${link.file}`)
+    );
+  }
+}
+
+// --- Command: sources ---
+function runSources(flags) {
+  const { paths, sourceRegistry } = loadSources(flags.config);
+  const sources = Object.values(sourceRegistry.getSources()).map((source) => ({
+    key: source.key,
+    name: source.name,
+    path: source.path,
+    outputPath: outputDirFor(source, paths.aggregatesDir),
+  }));
+  if (flags.json) {
+    print(JSON.stringify(sources, null, 2));
+    return;
+  }
+  sources.forEach((source) =>
+    print(`${source.key}\t${source.name}\t${source.path}`)
+  );
+}
+
+// --- Command: presets ---
+function runPresets(flags) {
+  const presets = createPresetStore(
+    resolveAppPaths().presetsPath
+  ).listPresets();
+  if (flags.json) {
+    print(JSON.stringify(presets, null, 2));
+    return;
+  }
+  presets.forEach((preset) =>
+    print(`${preset.name}\t${preset.description || ""}`)
+  );
+}
+
+// --- Entry Point ---
+async function main(argv) {
+  const [command, ...rest] = argv;
+  if (!command || command === "-h" || command === "--help") {
+    print(USAGE);
+    return EXIT_OK;
+  }
+
+  let flags = {};
+  try {
+    ({ values: flags } = parseArgs({
+      args: rest,
+      options: AGGREGATE_FLAGS,
+      strict: true,
+    }));
+    if (flags.help) {
+      print(USAGE);
+      return EXIT_OK;
+    }
+    switch (command) {
+      case "aggregate":
+        await runAggregate(flags);
+        break;
+      case "sources":
+        runSources(flags);
+        break;
+      case "presets":
+        runPresets(flags);
+        break;
+      default:
+        throw cliError(`Unknown command '${command}'.`, EXIT_USAGE);
+    }
+    return EXIT_OK;
+  } catch (error) {
+    // parseArgs errors (unknown or malformed flags) are usage errors too
+    const exitCode =
+      error.exitCode ||
+      (String(error.code).startsWith("ERR_PARSE_ARGS")
+        ? EXIT_USAGE
+        : EXIT_ERROR);
+    if (flags.json) {
+      print(JSON.stringify({ error: error.message, exitCode }));
+    } else {
+      console.error(`Error: ${error.message}`);
+      if (exitCode === EXIT_USAGE) console.error("\n" + USAGE);
+    }
+    return exitCode;
+  }
+}
+
+main(process.argv.slice(2)).then((exitCode) => {
+  process.exitCode = exitCode;
+});
@@ -1,65 +1,422 @@
 // logic/aggregate.js
 const fs = require("fs-extra");
 const matter = require("gray-matter");
-const glob = require("glob");
 const path = require("path");
+const { UNDATED_POLICIES, effectiveUndatedPolicy } = require("./dates");
+const { resolveDiscoveryPatterns } = require("./discovery");
+const { createNoteIndex } = require("./noteIndex");
+const {
+  formatTagQuery,
+  matchesTagQuery,
+  parseTagQuery,
+  tagsToQuery,
+} = require("./tagQuery");
+const {
+  highlightMatches,
+  matchesTextQuery,
+  matchingParagraphs,
+  parseTextQuery,
+} = require("./textQuery");
+const {
+  collectFields,
+  fieldValues,
+  formatFieldFilter,
+  formatFieldValues,
+  matchesFieldFilters,
+  resolveFieldFilters,
+} = require("./fields");
+const { describeExtraction, resolveExtraction } = require("./extract");
+const {
+  describeRedaction,
+  redactContent,
+  resolveRedaction,
+  summarizeRedactions,
+} = require("./redact");
+const { DEFAULT_FORMAT, getRenderer, listFormats } = require("./renderers");
+const {
+  DEFAULT_LINK_MODE,
+  createLinkHandler,
+  getLinkResolver,
+  validateLinkMode,
+} = require("./links");
+const {
+  DEFAULT_TEMPLATE,
+  DEFAULT_TEMPLATE_NAME,
+  compileTemplate,
+} = require("./template");
+const {
+  GROUP_BY_OPTIONS,
+  SORT_OPTIONS,
+  groupNotes,
+  sortNotes,
+} = require("./grouping");
+const {
+  AGGREGATE_TAG,
+  DEFAULT_COLLISION_POLICY,
+  DEFAULT_FILENAME_TEMPLATE,
+  describeTagsForFilename,
+  isSameOrInsideDir,
+  metadataSidecarFor,
+  renderFilename,
+  resolveOutputPath,
+  validateFilenameTemplate,
+} = require("./output");
 
-// --- getAvailableOptions function remains the same ---
-async function getAvailableOptions(notesDir) {
-  // ... (no changes needed here) ...
-  if (!fs.existsSync(notesDir)) {
-    console.warn(`Directory not found for getAvailableOptions: ${notesDir}`);
-    return { tags: [], privacyLevels: [] }; // Return empty if dir doesn't exist
-  }
-  const files = glob.sync(path.join(notesDir, "*.md"));
-  const tags = new Set();
+// Used when the caller doesn't pass its own (persistent) note index; keeps
+// parsed notes in memory for the lifetime of the process
+const defaultNoteIndex = createNoteIndex();
+
+// --- Collect the tags, privacy levels and fields used in a source directory ---
+// `include` / `exclude` are glob patterns relative to notesDir (see discovery.js).
+// Notes are read through the note index, so only changed files are parsed.
+// For several sources, pass a list of { notesDir, include, exclude } instead
+// of a directory: the result is the union of their tags, privacy levels and
+// frontmatter fields (see collectFields in fields.js).
+async function getAvailableOptions(
+  notesDir,
+  { include, exclude, noteIndex = defaultNoteIndex } = {}
+) {
+  const directories = Array.isArray(notesDir)
+    ? notesDir
+    : [{ notesDir, include, exclude }];
+  const tagSources = new Map(); // tag -> Set of "frontmatter" / "inline"
   const privacyLevels = new Set();
+  const fieldNotes = []; // Notes whose frontmatter fields are collected
+
+  directories.forEach((directory) => {
+    if (!fs.existsSync(directory.notesDir)) {
+      console.warn(
+        `Directory not found for getAvailableOptions: ${directory.notesDir}`
+      );
+      return; // Contributes nothing if the dir doesn't exist
+    }
+    const { notes } = noteIndex.refresh(directory.notesDir, {
+      include: directory.include,
+      exclude: directory.exclude,
+    });
+    for (const note of notes) {
+      // Unparseable notes (already reported) and earlier output are skipped
+      if (note.error || note.aggregate) continue;
+      Object.entries(note.tagSources).forEach(([tag, foundIn]) => {
+        if (!tagSources.has(tag)) tagSources.set(tag, new Set());
+        foundIn.forEach((source) => tagSources.get(tag).add(source));
+      });
+      if (note.privacy) {
+        privacyLevels.add(note.privacy);
+      }
+      fieldNotes.push(note);
+    }
+  });
+  const tags = Array.from(tagSources.keys()).sort();
+  return {
+    tags,
+    // Where each tag was found across the source: ["frontmatter", "inline"]
+    tagSources: Object.fromEntries(
+      tags.map((tag) => [tag, Array.from(tagSources.get(tag)).sort()])
+    ),
+    privacyLevels: Array.from(privacyLevels).sort(),
+    // Every frontmatter key: { types, values, min, max }
+    fields: collectFields(fieldNotes),
+  };
+}
+
+// --- Source directories of a run (shared by aggregateNotes and countMatchingNotes) ---
+// `sources` lists { key, name, notesDir, include, exclude, dateFormats,
+// dateField } per source; a single-source run may pass notesDir and those
+// options directly instead.
+function resolveNoteSources(options) {
+  const { sources, notesDir, sourceKey = null } = options;
+  const list = sources || [
+    {
+      key: sourceKey,
+      name: null,
+      notesDir,
+      include: options.include,
+      exclude: options.exclude,
+      dateFormats: options.dateFormats,
+      dateField: options.dateField,
+    },
+  ];
+  return list.map((source) => ({
+    ...source,
+    dateField: source.dateField || "date",
+    directory: source.notesDir && path.basename(source.notesDir),
+    discoveryPatterns: resolveDiscoveryPatterns(source),
+  }));
+}
 
-  for (const file of files) {
+// --- Read the notes of every source through the index ---
+// Returns { candidates, skippedAggregates, fileCount }. Each candidate is an index
+// entry plus `source` (the entry from resolveNoteSources) and
+// `displayPath`: its path in the source, prefixed with the source folder
+// when several sources are merged. Earlier aggregates are skipped.
+function readSourceNotes(noteSources, noteIndex, extraction) {
+  const multiSource = noteSources.length > 1;
+  const candidates = [];
+  const skippedAggregates = [];
+  let fileCount = 0;
+  noteSources.forEach((source) => {
+    let indexedNotes;
     try {
-      const fileContent = fs.readFileSync(file, "utf8");
+      ({ notes: indexedNotes } = noteIndex.refresh(source.notesDir, {
+        ...source.discoveryPatterns,
+        dateFormats: source.dateFormats,
+        dateField: source.dateField,
+        extraction,
+      }));
+    } catch (globError) {
+      throw new Error(
+        `Error finding files in ${source.notesDir}: ${globError.message}`
+      );
+    }
+    fileCount += indexedNotes.length;
+
+    for (const note of indexedNotes) {
+      if (note.error) continue; // Reported when the note was indexed
+      const displayPath = multiSource
+        ? `${source.directory}/${note.relativePath.split(path.sep).join("/")}`
+        : note.relativePath;
+      if (note.aggregate) {
+        skippedAggregates.push(displayPath);
+        continue;
+      }
+      candidates.push({ ...note, source, displayPath });
+    }
+  });
+  return { candidates, skippedAggregates, fileCount };
+}
+
+// --- Note Filters (shared by aggregateNotes and countMatchingNotes) ---
+
+// A tag query is parsed as-is; checkbox tags become "tag1 OR tag2 ...".
+// null means no tag filtering at all. Throws on malformed queries.
+function buildTagFilter(tagQuery, requiredTags) {
+  if (tagQuery && tagQuery.trim()) return parseTagQuery(tagQuery);
+  if (requiredTags) return tagsToQuery(requiredTags);
+  return null;
+}
+
+// Inclusive date range; notes without a date only pass with the "include"
+// undated policy (which bypasses the range)
+function passesDateFilter(note, { startDate, endDate, undatedPolicy }) {
+  if (!note.date) return undatedPolicy === "include";
+  const afterStart = !startDate || note.date >= startDate;
+  const beforeEnd = !endDate || note.date <= endDate;
+  return afterStart && beforeEnd;
+}
+
+// Nested tags match their parents (see tagQuery.js)
+function passesTagFilter(note, tagFilter) {
+  return tagFilter === null || matchesTagQuery(tagFilter, note.tags);
+}
+
+// Full-text query on a note's extracted and redacted content (null matches
+// every note); matching after redaction keeps hidden text from selecting it
+function passesTextFilter(content, textFilter) {
+  return matchesTextQuery(textFilter, content);
+}
+
+// Frontmatter field rules; no rules means every note passes
+function passesFieldFilter(note, fieldRules) {
+  return matchesFieldFilters(fieldRules, note.data);
+}
+
+// No allowed levels means any privacy level (or none) is allowed
+function passesPrivacyFilter(note, allowedPrivacy) {
+  return (
+    allowedPrivacy.length === 0 ||
+    Boolean(note.privacy && allowedPrivacy.includes(note.privacy))
+  );
+}
+
+// --- Privacy level of any note, from its frontmatter ---
+// Returns privacyOf(file) (null when the note has none or can't be read).
+// Candidates already carry it; other notes are read once per aggregation.
+function createPrivacyLookup(candidates) {
+  const known = new Map(
+    candidates.map((note) => [note.file, note.privacy || null])
+  );
+  return (file) => {
+    if (!known.has(file)) {
+      let privacy = null;
       try {
-        const { data } = matter(fileContent);
-        if (data.tags && Array.isArray(data.tags)) {
-          data.tags.forEach((tag) => {
-            if (tag && typeof tag === "string") tags.add(tag.trim());
-          }); // Ensure tags are strings and trim
-        }
-        if (data.privacy) {
-          privacyLevels.add(data.privacy);
-        }
-      } catch (parseError) {
-        console.warn(
-          `Warning: Could not parse frontmatter for ${path.basename(file)}: ${
-            parseError.message
-          }`
-        );
+        privacy = matter(fs.readFileSync(file, "utf8")).data.privacy || null;
+      } catch (readError) {
+        // An unreadable note has no privacy level
       }
-    } catch (readError) {
-      console.error(`Error reading file ${file}: ${readError}`);
+      known.set(file, privacy);
     }
+    return known.get(file);
+  };
+}
+
+// --- How each note's content is prepared for output ---
+// Shared by aggregateNotes and countMatchingNotes, so the live count sees
+// the content the run writes. `redact(note)` returns { content, counts }:
+// the extracted content with private parts removed or masked, which is what
+// the text query is matched against. `finish(note, redacted)` cuts the
+// excerpts from that, handles links and embeds and returns the trimmed
+// content; redactions in inlined notes are added to `redacted.counts`.
+function createNoteProcessor({
+  candidates,
+  noteSources,
+  vaultDir,
+  allowedPrivacy,
+  redaction,
+  linkMode,
+  outputFile,
+  textFilter,
+  textExcerpts,
+}) {
+  // Link targets are looked up in the vault and in any source outside it
+  const linkRoots = linkRootsFor(vaultDir, noteSources);
+  const privacyOf = createPrivacyLookup(candidates);
+
+  // Links to notes the privacy filter hides are redacted too, wherever in
+  // the vault (or a source outside it) those notes are
+  const isHiddenNote =
+    redaction.enabled && redaction.links
+      ? buildHiddenNoteCheck(linkRoots, allowedPrivacy, privacyOf)
+      : null;
+  // The check for links in one note (they resolve relative to it)
+  const hiddenNoteCheckFor = (file) =>
+    isHiddenNote && ((target) => isHiddenNote(target, file));
+
+  // Only notes the privacy filter allows are inlined; they are redacted like
+  // the note embedding them, and count towards its redactions.
+  let noteRedactions = null; // Counts of the note being processed
+  const linkHandler = createLinkHandler({
+    mode: linkMode,
+    rootDirs: linkRoots,
+    outputFile,
+    canInline: (embeddedFile) =>
+      passesPrivacyFilter({ privacy: privacyOf(embeddedFile) }, allowedPrivacy),
+    transformEmbed: (embedded, embeddedFile) => {
+      const { content, counts } = redactContent(embedded, redaction, {
+        isHiddenNote: hiddenNoteCheckFor(embeddedFile),
+      });
+      Object.keys(counts).forEach((key) => {
+        noteRedactions[key] += counts[key];
+      });
+      return content;
+    },
+  });
+
+  function redact(note) {
+    return redactContent(note.extracted, redaction, {
+      isHiddenNote: hiddenNoteCheckFor(note.file),
+    });
   }
-  return {
-    tags: Array.from(tags).sort(),
-    privacyLevels: Array.from(privacyLevels).sort(),
+
+  function finish(note, redacted) {
+    noteRedactions = redacted.counts;
+    // Excerpts are cut from the redacted text, so they can't reveal it
+    const searchedContent = textExcerpts
+      ? highlightMatches(
+          textFilter,
+          matchingParagraphs(textFilter, redacted.content)
+        )
+      : redacted.content;
+    return linkHandler.process(searchedContent, note).trim();
+  }
+
+  return { finish, linkHandler, redact };
+}
+
+// --- Folders link targets are looked up in ---
+// The vault plus any source outside it (folders inside another are dropped).
+function linkRootsFor(vaultDir, noteSources) {
+  return [vaultDir, ...noteSources.map((source) => source.notesDir)]
+    .filter(Boolean)
+    .filter(
+      (dir, index, all) =>
+        !all.slice(0, index).some((other) => isSameOrInsideDir(dir, other))
+    );
+}
+
+// --- Which link targets point at notes outside the allowed privacy levels ---
+// Used to redact links and embeds (see redact.js). A target is resolved
+// across the link roots like the link handler resolves it (see links.js),
+// and is hidden when the note it points at has a privacy level the filter
+// doesn't allow, whether or not that note is part of the aggregation.
+// Returns isHidden(target, fromFile), or null when every level is allowed.
+function buildHiddenNoteCheck(linkRoots, allowedPrivacy, privacyOf) {
+  if (allowedPrivacy.length === 0) return null;
+  const resolve = getLinkResolver(linkRoots);
+  return (target, fromFile) => {
+    const file = resolve(target, fromFile);
+    return Boolean(
+      file &&
+        path.extname(file).toLowerCase() === ".md" &&
+        !passesPrivacyFilter({ privacy: privacyOf(file) }, allowedPrivacy)
+    );
   };
 }
 
+// --- Build the Obsidian link target for a note (path without extension) ---
+// Relative to the vault when the note lives inside it, so the link resolves
+// even when several notes share a name; otherwise relative to the source.
+function wikilinkPath(file, notesDir, vaultDir) {
+  const baseDir =
+    vaultDir && !path.relative(vaultDir, file).startsWith("..")
+      ? vaultDir
+      : notesDir;
+  return path
+    .relative(baseDir, file)
+    .replace(/\.md$/i, "")
+    .split(path.sep)
+    .join("/");
+}
+
 // --- Main Aggregation Function ---
 async function aggregateNotes(options) {
   const {
     notesDir,
     aggregatesDir,
-    requiredTags, // <-- Changed from requiredTag (expects null or array)
+    sourceKey = null, // Key of the source in the sources config, recorded so the run can be repeated
+    sources, // Several sources merged into one aggregate (see resolveNoteSources); replaces notesDir
+    requiredTags = null, // <-- Changed from requiredTag (expects null or array)
+    tagQuery = "", // Boolean tag expression; takes precedence over requiredTags
+    textQuery = "", // Full-text query on the extracted content (see textQuery.js)
+    textMatch = "all", // Text query terms that must occur: "all" or "any"
+    textRegex = false, // The text query is a regular expression
+    textExcerpts = false, // Keep only the matching paragraphs, with the matches highlighted
+    fieldFilters = [], // Frontmatter field rules, e.g. [{ field: "mood", op: "equals", value: "good" }] (see fields.js)
+    showFieldValues = false, // Show the filtered fields' values with each note
     allowedPrivacy = [],
     startDate = "",
     endDate = "",
     newNoteTags = [], // Existing custom tags for the *new* note
+    include, // Glob pattern(s) relative to notesDir (defaults to all notes, recursively)
+    exclude, // Glob pattern(s) to skip (defaults to .obsidian/, .trash/, templates)
+    dateFormats, // Filename date format(s), e.g. ["YYYY-MM-DD", "DD-MM-YYYY"]
+    dateField = "date", // Frontmatter field used when the filename has no date
+    undatedPolicy: requestedUndatedPolicy = null, // Notes with no date: "include", "exclude" or "warn" (exclude + report); see effectiveUndatedPolicy in dates.js when unset
+    extraction: extractionSettings = {}, // Which part of each note to keep (see extract.js)
+    redaction: redactionSettings = {}, // Private text to strip or mask before output (see redact.js)
+    linkMode = DEFAULT_LINK_MODE, // [[links]], embeds and attachments: "keep", "relative", "plain", "inline" or "copy" (see links.js)
+    format = DEFAULT_FORMAT, // Output format: "md", "html", "pdf-html", "json" or "txt" (see renderers/)
+    template = DEFAULT_TEMPLATE, // Markdown layout template source (see template.js)
+    templateName = DEFAULT_TEMPLATE_NAME, // Recorded in the frontmatter
+    vaultDir = null, // Vault root, used to build [[wikilinks]] back to the source notes
+    groupBy = "none", // Sections: "none", "week" (ISO), "month", "quarter" or "tag" (primary tag)
+    sort = "asc", // Note (and group) order by date: "asc" or "desc"
+    filenameTemplate = DEFAULT_FILENAME_TEMPLATE, // Output name without extension (see output.js)
+    collisionPolicy = DEFAULT_COLLISION_POLICY, // Existing output file: "fail", "overwrite", "suffix" or "timestamp"
+    dryRun = false, // Preview mode: run all filters but write nothing to disk
+    noteIndex = defaultNoteIndex, // Parsed notes, refreshed incrementally (see noteIndex.js)
+    logger = console, // Progress (log) and warnings (warn); the CLI sends both to stderr
   } = options;
 
   // --- Input Validation ---
   // Basic checks - null/array check done in server.js
-  if (!notesDir || !aggregatesDir) {
+  const noteSources = resolveNoteSources(options);
+  const multiSource = noteSources.length > 1;
+  if (
+    noteSources.length === 0 ||
+    noteSources.some((source) => !source.notesDir) ||
+    !aggregatesDir
+  ) {
     throw new Error("Missing required options: notesDir or aggregatesDir.");
   }
   // Check requiredTags validity (null or non-empty array) - redundant if server checks, but safe
@@ -71,156 +428,316 @@ async function aggregateNotes(options) {
       "Invalid 'requiredTags' parameter. Must be null (for all tags) or a non-empty array of tags."
     );
   }
+  // An aggregate written into the folder being scanned would be aggregated
+  // again by the next run
+  noteSources.forEach((source) => {
+    if (isSameOrInsideDir(aggregatesDir, source.notesDir)) {
+      throw new Error(
+        `The output directory ${aggregatesDir} is inside the source directory ${source.notesDir}. Choose an output folder outside the source.`
+      );
+    }
+  });
+  if (
+    requestedUndatedPolicy &&
+    !UNDATED_POLICIES.includes(requestedUndatedPolicy)
+  ) {
+    throw new Error(
+      `Invalid 'undatedPolicy' parameter. Must be one of: ${UNDATED_POLICIES.join(
+        ", "
+      )}.`
+    );
+  }
+  const undatedPolicy = effectiveUndatedPolicy(requestedUndatedPolicy, {
+    startDate,
+    endDate,
+  });
+
+  const renderer = getRenderer(format);
+  if (!renderer) {
+    throw new Error(
+      `Invalid 'format' parameter. Must be one of: ${listFormats()
+        .map((f) => f.name)
+        .join(", ")}.`
+    );
+  }
+
+  compileTemplate(template); // Throws on template syntax errors
+
+  if (!GROUP_BY_OPTIONS.includes(groupBy)) {
+    throw new Error(
+      `Invalid 'groupBy' parameter. Must be one of: ${GROUP_BY_OPTIONS.join(
+        ", "
+      )}.`
+    );
+  }
+  if (!SORT_OPTIONS.includes(sort)) {
+    throw new Error(
+      `Invalid 'sort' parameter. Must be one of: ${SORT_OPTIONS.join(", ")}.`
+    );
+  }
+
+  validateFilenameTemplate(filenameTemplate); // Throws on unusable templates
+  validateLinkMode(linkMode);
+
+  // Merge extraction settings with defaults (throws on invalid settings)
+  const extraction = resolveExtraction(extractionSettings);
+  const redaction = resolveRedaction(redactionSettings);
+
+  // --- Build the Tag, Text and Field Filters ---
+  const tagFilter = buildTagFilter(tagQuery, requiredTags);
+  const textFilter = parseTextQuery(textQuery, {
+    match: textMatch,
+    regex: textRegex,
+  });
+  const fieldRules = resolveFieldFilters(fieldFilters);
 
   // --- Determine Aggregation Type and Base Tag for Filename/Frontmatter ---
-  let aggregationType = "all-notes"; // Default if requiredTags is null
+  let aggregationType = "all-notes"; // Default if there's no tag filter
   let primaryTag = "all";
-  if (requiredTags) {
-    // If it's an array (already validated non-empty)
-    if (requiredTags.length === 1) {
-      aggregationType = "single-tag";
-      primaryTag = requiredTags[0];
-    } else {
-      aggregationType = "multi-tag";
-      primaryTag = requiredTags[0]; // Use the first tag for filename, or maybe 'multi'?
-      // Let's use 'multi-tag' for filename consistency when multiple are selected
-      primaryTag = "multi-tag";
-    }
+  if (tagFilter && tagFilter.type === "tag") {
+    aggregationType = "single-tag";
+    primaryTag = tagFilter.tag;
+  } else if (tagQuery && tagQuery.trim()) {
+    aggregationType = "tag-query";
+    primaryTag = "tag-query";
+  } else if (requiredTags) {
+    aggregationType = "multi-tag";
+    primaryTag = "multi-tag";
   }
 
-  // Sanitize the primary tag for use in filename
+  // Sanitize the primary tag for use in the frontmatter tags
   const safeTagForFilename = primaryTag
     .replace(/[^a-zA-Z0-9_-]/g, "-")
     .toLowerCase();
 
+  // Record the exact patterns so a run can be reproduced (per source key
+  // when several sources are merged)
+  const patternsBySource = (field) =>
+    multiSource
+      ? Object.fromEntries(
+          noteSources.map((source) => [
+            source.key || source.directory,
+            [...source.discoveryPatterns[field]], // Copies keep YAML free of anchors
+          ])
+        )
+      : noteSources[0].discoveryPatterns[field];
+  const sourceDirectories = noteSources.map((source) => source.directory);
+
   // --- New Frontmatter Configuration ---
   const currentDate = new Date().toISOString().slice(0, 10);
   const newFrontmatter = {
-    tags: ["aggregated", safeTagForFilename, ...newNoteTags].filter(
+    tags: [AGGREGATE_TAG, safeTagForFilename, ...newNoteTags].filter(
       (t, i, self) => t && self.indexOf(t) === i
     ), // Add base, type, custom; ensure unique
     date: currentDate,
     aggregation_type: aggregationType,
-    source_tags: requiredTags, // Store the actual filter tags (null or array)
-    source_directory: path.basename(notesDir),
+    tag_query: tagFilter ? formatTagQuery(tagFilter) : null, // Canonical filter expression (null = all tags)
+    text_search: textFilter && {
+      query: textFilter.query,
+      match: textFilter.match,
+      regex: textFilter.regex,
+      excerpts: Boolean(textExcerpts),
+    },
+    field_filters:
+      fieldRules.length > 0
+        ? { rules: fieldRules, show_values: Boolean(showFieldValues) }
+        : null,
+    source_directory: sourceDirectories.join(", "),
+    source_key: multiSource ? null : noteSources[0].key,
+    // Every merged source, in the order they were given
+    ...(multiSource && {
+      source_directories: sourceDirectories,
+      source_keys: noteSources.map((source) => source.key),
+    }),
+    source_include: patternsBySource("include"),
+    source_exclude: patternsBySource("exclude"),
     filter_privacy: allowedPrivacy,
     filter_start_date: startDate || null,
     filter_end_date: endDate || null,
+    filter_undated: undatedPolicy,
+    extraction: describeExtraction(extraction),
+    redaction: null, // Settings and a summary of what was redacted (set below)
+    link_mode: linkMode,
+    format: renderer.name,
+    template: templateName,
+    group_by: groupBy,
+    sort,
+    filename_template: filenameTemplate,
   };
 
   // --- Output Filename ---
-  const aggregatedFilename = path.join(
-    aggregatesDir,
-    `${safeTagForFilename}-${currentDate}.md` // Use sanitized primary/type tag
+  // Built from the filename template; the collision policy decides what
+  // happens when the file already exists (a preview never throws).
+  const baseName = renderFilename(filenameTemplate, {
+    tags: describeTagsForFilename({
+      tagQueryText:
+        tagQuery && tagQuery.trim() ? formatTagQuery(tagFilter) : null,
+      requiredTags,
+    }),
+    date: currentDate,
+    start_date: startDate,
+    end_date: endDate,
+    source: sourceDirectories.join("-"),
+    aggregation_type: aggregationType,
+  });
+  const {
+    outputFile: aggregatedFilename,
+    exists: outputExists,
+  } = resolveOutputPath(aggregatesDir, baseName, renderer.extension, {
+    collisionPolicy,
+    dryRun,
+  });
+
+  // --- Find Files and Read Notes (through the index) ---
+  // Only new or changed notes are read from disk. Dates come from the
+  // filename, falling back to the frontmatter field. Earlier aggregates
+  // (tagged `aggregated`) are never aggregated again.
+  const { candidates, skippedAggregates, fileCount } = readSourceNotes(
+    noteSources,
+    noteIndex,
+    extraction
+  );
+  logger.log(
+    `Found ${fileCount} files initially in ${noteSources
+      .map((source) => source.notesDir)
+      .join(", ")}`
   );
 
-  if (fs.existsSync(aggregatedFilename)) {
-    const relativePath = path.relative(process.cwd(), aggregatedFilename);
-    throw new Error(
-      `File already exists: ${relativePath}. Aborting aggregation.`
+  if (skippedAggregates.length > 0) {
+    logger.log(
+      `Skipped ${
+        skippedAggregates.length
+      } existing aggregate(s): ${skippedAggregates.join(", ")}`
     );
   }
 
-  // --- Find Files ---
-  let files = [];
-  try {
-    files = glob.sync(path.join(notesDir, "*.md"));
-  } catch (globError) {
-    throw new Error(`Error finding files in ${notesDir}: ${globError.message}`);
+  // --- Apply the Undated-Note Policy and Date Range ---
+  const undatedFiles = [];
+  const datedNotes = candidates.filter((note) => {
+    if (!note.date && undatedPolicy === "warn") {
+      undatedFiles.push(note.displayPath);
+    }
+    return passesDateFilter(note, { startDate, endDate, undatedPolicy });
+  });
+  if (undatedFiles.length > 0) {
+    logger.warn(
+      `WARN: Skipped ${
+        undatedFiles.length
+      } note(s) with no resolvable date: ${undatedFiles.join(", ")}`
+    );
   }
-  console.log(`Found ${files.length} files initially in ${notesDir}`);
-
-  // --- Filter by Date Range ---
-  // ... (date filtering logic remains the same) ...
   if (startDate || endDate) {
-    files = files.filter((file) => {
-      const filenameDate = path.basename(file, ".md");
-      const afterStart = !startDate || filenameDate >= startDate;
-      const beforeEnd = !endDate || filenameDate <= endDate;
-      return afterStart && beforeEnd;
-    });
-    console.log(
-      `Filtered down to ${files.length} files based on date range [${
+    logger.log(
+      `Filtered down to ${datedNotes.length} files based on date range [${
         startDate || "any"
       } - ${endDate || "any"}]`
     );
   }
 
-  if (files.length === 0) {
+  if (datedNotes.length === 0) {
     const dateRange =
       startDate || endDate
         ? `within the date range [${startDate || "any"} - ${endDate || "any"}]`
         : "matching the criteria";
     throw new Error(
-      `No files found in ${path.basename(notesDir)} ${dateRange}`
+      `No files found in ${sourceDirectories.join(", ")} ${dateRange}`
     );
   }
 
-  // --- Process and Filter Files ---
-  const aggregatedContent = [];
+  // Process in date order; undated notes (policy "include") go last
+  const sortedNotes = sortNotes(datedNotes, sort);
+
+  // --- Redaction and Link Handling ---
+  const processor = createNoteProcessor({
+    candidates,
+    noteSources,
+    vaultDir,
+    allowedPrivacy,
+    redaction,
+    linkMode,
+    outputFile: aggregatedFilename,
+    textFilter,
+    textExcerpts,
+  });
+  const { linkHandler } = processor;
+
+  // --- Process and Filter Notes ---
+  const matchedNotes = []; // { file, date, tags, privacy, fields, content } for each included note
+  const redactionCounts = []; // What was redacted from each included note
   let processedCount = 0;
   let includedCount = 0;
 
-  for (const file of files.sort()) {
-    // Process chronologically
+  for (const note of sortedNotes) {
+    const { file } = note;
     processedCount++;
-    try {
-      const fileContent = fs.readFileSync(file, "utf8");
-      const { data, content: originalContent } = matter(fileContent);
-
-      // --- UPDATED Filtering Criteria ---
-      const noteTags =
-        data.tags && Array.isArray(data.tags)
-          ? data.tags.map((t) => String(t).trim()).filter(Boolean)
-          : []; // Ensure tags are cleaned strings
-
-      // Check Tag Requirement:
-      // - If requiredTags is null, always true (include all)
-      // - Otherwise, check if noteTags contains AT LEAST ONE of the requiredTags
-      const hasRequiredTag =
-        requiredTags === null ||
-        (noteTags.length > 0 &&
-          requiredTags.some((reqTag) => noteTags.includes(reqTag)));
-
-      // Check Privacy Requirement
-      const hasAllowedPrivacy =
-        allowedPrivacy.length === 0 ||
-        (data.privacy && allowedPrivacy.includes(data.privacy));
-      // --- End UPDATED Criteria ---
-
-      if (hasRequiredTag && hasAllowedPrivacy) {
-        includedCount++;
-
-        // Truncate content at the first '---' line
-        const contentParts = originalContent.split(/^\s*---\s*$/m);
-        let relevantContent = contentParts[0].trim();
-
-        // Remove potential H2 date heading
-        relevantContent = relevantContent
-          .replace(/^##\s+\d{4}-\d{2}-\d{2}\s*?\n/m, "")
-          .trim();
-
-        if (relevantContent) {
-          aggregatedContent.push(relevantContent);
-        } else {
-          console.warn(
-            `Note ${path.basename(
-              file
-            )} included by criteria, but had no processable content.`
-          );
-        }
+    // Frontmatter `tags:` / `tag:` plus inline #tags from the body
+    const noteTags = note.tags;
+
+    // Check Tag Requirement:
+    // - If there's no tag filter, always true (include all)
+    // - Otherwise, evaluate the tag expression (nested tags match their parents)
+    const hasRequiredTag = passesTagFilter(note, tagFilter);
+
+    // Check Privacy Requirement
+    const hasAllowedPrivacy = passesPrivacyFilter(note, allowedPrivacy);
+
+    // The part of the note selected by the extraction mode (from the
+    // index), with private parts removed or masked
+    const redacted = processor.redact(note);
+
+    // Check the Text Query (on the redacted content)
+    const hasText = passesTextFilter(redacted.content, textFilter);
+
+    // Check the Frontmatter Field Rules
+    const hasFields = passesFieldFilter(note, fieldRules);
+
+    if (hasRequiredTag && hasAllowedPrivacy && hasText && hasFields) {
+      includedCount++;
+      // Excerpts and links handled, embedded notes inlined
+      const relevantContent = processor.finish(note, redacted);
+      redactionCounts.push(redacted.counts);
+
+      if (relevantContent) {
+        const linkPath = wikilinkPath(file, note.source.notesDir, vaultDir);
+        // Values of the filtered fields, when they are to be shown
+        const shownFields = showFieldValues
+          ? fieldValues(fieldRules, note.data)
+          : {};
+        matchedNotes.push({
+          file: note.displayPath,
+          title: path.basename(file, path.extname(file)),
+          wikilink: `[[${linkPath}]]`,
+          date: note.date,
+          dateSource: note.dateSource,
+          tags: noteTags,
+          privacy: note.privacy,
+          // Labels each note with its source when several are merged
+          source: multiSource
+            ? note.source.name || note.source.directory
+            : null,
+          source_key: multiSource ? note.source.key : null,
+          fields: shownFields,
+          field_values: formatFieldValues(shownFields), // "mood: good · hours: 7.5" (empty when not shown)
+          content: relevantContent,
+        });
+      } else {
+        logger.warn(
+          `Note ${path.basename(
+            file
+          )} included by criteria, but had no processable content.`
+        );
       }
-    } catch (error) {
-      console.error(
-        `Error processing file ${path.basename(file)}: ${error.message}`
-      );
-      // Decide whether to continue or stop on error
     }
   }
 
-  const filterDescription =
-    requiredTags === null ? "all tags" : `tag(s) [${requiredTags.join(", ")}]`;
-  if (aggregatedContent.length === 0) {
+  const filterDescription = `${
+    tagFilter === null ? "all tags" : `tag query [${formatTagQuery(tagFilter)}]`
+  }${textFilter ? `, text [${textFilter.query}]` : ""}${
+    fieldRules.length > 0
+      ? `, fields [${fieldRules.map(formatFieldFilter).join("; ")}]`
+      : ""
+  }`;
+  if (matchedNotes.length === 0) {
     throw new Error(
       `No notes found matching ${filterDescription} and privacy levels [${
         allowedPrivacy.join(", ") || "any"
@@ -228,26 +745,222 @@ async function aggregateNotes(options) {
     );
   }
 
+  const redactionSummary = redaction.enabled
+    ? summarizeRedactions(redactionCounts)
+    : null;
+  newFrontmatter.redaction = describeRedaction(redaction, redactionSummary);
+  if (redactionSummary && redactionSummary.notes > 0) {
+    logger.log(
+      `Redacted content in ${redactionSummary.notes} note(s): ${JSON.stringify(
+        redactionSummary
+      )}`
+    );
+  }
+
+  const unresolvedLinks = linkHandler.unresolved;
+  if (unresolvedLinks.length > 0) {
+    logger.warn(
+      `WARN: ${
+        unresolvedLinks.length
+      } link(s) could not be resolved: ${unresolvedLinks
+        .map((link) => `${link.link} in ${link.file}`)
+        .join(", ")}`
+    );
+  }
+  const attachments = linkHandler
+    .listAttachments()
+    .map((attachment) => attachment.asset);
+
+  // --- Group Notes into Sections ---
+  const groups = groupNotes(matchedNotes, { groupBy, sort });
+  const orderedNotes = groups.flatMap((group) => group.notes);
+
   // --- Create Aggregated File ---
-  const aggregatedFileContent = matter.stringify(
-    aggregatedContent.join("\n\n---\n\n"), // Separator
-    newFrontmatter
-  );
+  const aggregatedFileContent = renderer.render({
+    frontmatter: newFrontmatter,
+    notes: orderedNotes,
+    groups,
+    template,
+  });
+
+  // --- Dry Run: return what would be written, without touching the disk ---
+  if (dryRun) {
+    logger.log(
+      `Preview complete. ${includedCount} out of ${processedCount} notes would be included.`
+    );
+    return {
+      outputFile: aggregatedFilename,
+      filesProcessed: processedCount,
+      notesIncluded: includedCount,
+      matchedFiles: orderedNotes.map((note) => note.file),
+      notes: orderedNotes,
+      groups: groups.map(({ key, label, count }) => ({ key, label, count })),
+      undatedFiles,
+      skippedAggregates,
+      redaction: redactionSummary,
+      unresolvedLinks, // [{ file, link, target }] (not checked with linkMode "keep")
+      attachments, // Files the "copy" link mode would copy next to the aggregate
+      format: renderer.name,
+      outputExists, // The file would be overwritten (or, with "fail", the run would abort)
+      rendered: aggregatedFileContent,
+    };
+  }
 
   fs.ensureDirSync(aggregatesDir);
   fs.writeFileSync(aggregatedFilename, aggregatedFileContent);
+  if (renderer.extension === "txt") {
+    fs.writeFileSync(
+      metadataSidecarFor(aggregatedFilename),
+      JSON.stringify(newFrontmatter, null, 2)
+    );
+  }
+  if (attachments.length > 0) {
+    linkHandler.copyAttachments();
+    logger.log(
+      `Copied ${attachments.length} attachment(s) next to the aggregate.`
+    );
+  }
 
-  console.log(
-    `Aggregation successful. ${includedCount} out of ${processedCount} notes included.`
+  logger.log(
+    `Aggregation successful. ${includedCount} out of ${processedCount} notes included.${
+      outputExists ? ` Overwrote ${path.basename(aggregatedFilename)}.` : ""
+    }`
   );
   return {
     outputFile: aggregatedFilename,
     filesProcessed: processedCount,
     notesIncluded: includedCount,
+    notes: orderedNotes.map(({ file, date }) => ({ file, date })),
+    groups: groups.map(({ key, label, count }) => ({ key, label, count })),
+    undatedFiles,
+    skippedAggregates,
+    redaction: redactionSummary,
+    unresolvedLinks,
+    attachments,
+    format: renderer.name,
+    overwritten: outputExists,
+  };
+}
+
+// --- Count the notes a request would include, without rendering anything ---
+// Takes the same options as aggregateNotes (output settings are ignored).
+// Returns { total, matching, undated, emptyContent, excludedBy: { date,
+// tags, privacy, text, fields } }: `total` notes were scanned (earlier
+// aggregates aside), `matching` pass every filter and have content to
+// aggregate. Each `excludedBy` count is the notes that filter rejects on its
+// own, so a note can be counted under several filters; `undated` of the
+// date rejections are notes without a date. `emptyContent` pass the filters
+// but have nothing left after extraction (and redaction, excerpting or
+// link handling), just as the run would skip them.
+async function countMatchingNotes(options) {
+  const {
+    requiredTags = null,
+    tagQuery = "",
+    textQuery = "",
+    textMatch = "all",
+    textRegex = false,
+    textExcerpts = false,
+    fieldFilters = [],
+    allowedPrivacy = [],
+    startDate = "",
+    endDate = "",
+    undatedPolicy: requestedUndatedPolicy = null,
+    extraction: extractionSettings = {},
+    redaction: redactionSettings = {},
+    linkMode = DEFAULT_LINK_MODE,
+    aggregatesDir = null,
+    vaultDir = null,
+    noteIndex = defaultNoteIndex,
+  } = options;
+
+  const noteSources = resolveNoteSources(options);
+  if (
+    noteSources.length === 0 ||
+    noteSources.some((source) => !source.notesDir)
+  ) {
+    throw new Error("Missing required option: notesDir.");
+  }
+  validateLinkMode(linkMode);
+  if (
+    requestedUndatedPolicy &&
+    !UNDATED_POLICIES.includes(requestedUndatedPolicy)
+  ) {
+    throw new Error(
+      `Invalid 'undatedPolicy' parameter. Must be one of: ${UNDATED_POLICIES.join(
+        ", "
+      )}.`
+    );
+  }
+  const undatedPolicy = effectiveUndatedPolicy(requestedUndatedPolicy, {
+    startDate,
+    endDate,
+  });
+  const extraction = resolveExtraction(extractionSettings);
+  const redaction = resolveRedaction(redactionSettings);
+  const tagFilter = buildTagFilter(tagQuery, requiredTags);
+  const textFilter = parseTextQuery(textQuery, {
+    match: textMatch,
+    regex: textRegex,
+  });
+  const fieldRules = resolveFieldFilters(fieldFilters);
+
+  const { candidates } = readSourceNotes(noteSources, noteIndex, extraction);
+  // Links are handled as in the run; where the aggregate would be written
+  // only changes the paths links are rewritten to
+  const processor = createNoteProcessor({
+    candidates,
+    noteSources,
+    vaultDir,
+    allowedPrivacy,
+    redaction,
+    linkMode,
+    outputFile: path.join(aggregatesDir || noteSources[0].notesDir, "count.md"),
+    textFilter,
+    textExcerpts,
+  });
+  const counts = {
+    total: 0,
+    matching: 0,
+    undated: 0,
+    emptyContent: 0,
+    excludedBy: { date: 0, tags: 0, privacy: 0, text: 0, fields: 0 },
   };
+  candidates.forEach((note) => {
+    counts.total++;
+    const passesDate = passesDateFilter(note, {
+      startDate,
+      endDate,
+      undatedPolicy,
+    });
+    const passesTags = passesTagFilter(note, tagFilter);
+    const passesPrivacy = passesPrivacyFilter(note, allowedPrivacy);
+    const redacted = processor.redact(note);
+    const passesText = passesTextFilter(redacted.content, textFilter);
+    const passesFields = passesFieldFilter(note, fieldRules);
+    if (!passesDate) {
+      counts.excludedBy.date++;
+      if (!note.date) counts.undated++;
+    }
+    if (!passesTags) counts.excludedBy.tags++;
+    if (!passesPrivacy) counts.excludedBy.privacy++;
+    if (!passesText) counts.excludedBy.text++;
+    if (!passesFields) counts.excludedBy.fields++;
+    if (
+      passesDate &&
+      passesTags &&
+      passesPrivacy &&
+      passesText &&
+      passesFields
+    ) {
+      const content = processor.finish(note, redacted);
+      counts[content ? "matching" : "emptyContent"]++;
+    }
+  });
+  return counts;
 }
 
 module.exports = {
   aggregateNotes,
+  countMatchingNotes,
   getAvailableOptions,
 };
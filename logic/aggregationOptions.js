@@ -0,0 +1,424 @@
+// logic/aggregationOptions.js
+//
+// Turns an aggregation request (the web form's JSON payload, or the CLI's
+// flags) into validated aggregateNotes options, layering the request over
+// the source's defaults.
+
+const fs = require("fs");
+const { UNDATED_POLICIES } = require("./dates");
+const { resolveDateRange } = require("./dateRanges");
+const { parseTagQuery } = require("./tagQuery");
+const { parseTextQuery } = require("./textQuery");
+const { resolveFieldFilters } = require("./fields");
+const { resolveExtraction } = require("./extract");
+const { resolveRedaction } = require("./redact");
+const { LINK_MODES } = require("./links");
+const { getRenderer, listFormats } = require("./renderers");
+const { loadTemplate } = require("./template");
+const { GROUP_BY_OPTIONS, SORT_OPTIONS } = require("./grouping");
+const {
+  COLLISION_POLICIES,
+  findSourcesContaining,
+  validateFilenameTemplate,
+} = require("./output");
+
+// --- Output directory for a source (its own outputPath or the global one) ---
+function outputDirFor(source, aggregatesDir) {
+  return source.defaults.outputPath || aggregatesDir;
+}
+
+// --- Validate a request and resolve it into aggregateNotes options ---
+// `body` is the API payload (the CLI builds the same shape from its flags).
+// `sourceDirKeys` merges several sources into one aggregate; the first one's
+// defaults (privacy, extraction, template, output folder...) apply to the
+// run, while each source keeps its own include/exclude and date settings.
+// `context` holds { sourceRegistry, aggregatesDir, templatesDir, vaultBasePath }
+// and optionally `now`, the moment a relative dateRange is resolved for
+// (defaults to the current time; the scheduler passes the scheduled time),
+// and `noteIndex`, the note index aggregateNotes reads notes through.
+// Returns { options } on success or { status, error } when the request is invalid.
+function buildAggregationOptions(body, context) {
+  const { sourceRegistry, templatesDir, vaultBasePath } = context;
+
+  // --- Destructure expected payload ---
+  const {
+    sourceDirKey,
+    sourceDirKeys, // Optional list of source keys to merge (replaces sourceDirKey)
+    requiredTags = null, // <-- Changed from requiredTag. Expect null or an array.
+    tagQuery, // Optional boolean tag expression, e.g. "(meeting OR 1on1) AND team-x"
+    textQuery, // Optional full-text query on the extracted content, e.g. 'atlas "go live"'
+    textMatch, // Optional: all (every term, the default) or any
+    textRegex, // Optional: the text query is a regular expression
+    textExcerpts, // Optional: keep only the matching paragraphs, highlighted
+    fieldFilters, // Optional frontmatter field rules, e.g. [{ field: "hours", op: "range", min: 4 }]
+    showFieldValues, // Optional: show the filtered fields' values with each note
+    allowedPrivacy,
+    dateRange, // Optional relative range, e.g. "previous-month" (see dateRanges.js)
+    startDate,
+    endDate,
+    undatedPolicy, // Optional override of the source's undated-note policy
+    extraction, // Optional override of the source's extraction settings
+    redaction, // Optional override of the source's redaction settings
+    linkMode, // Optional: keep, relative, plain, inline or copy (see links.js)
+    format, // Optional output format (see logic/renderers), defaults to Markdown
+    template, // Optional template name (templates/<name>.md) for Markdown output
+    groupBy, // Optional grouping: none, week, month, quarter or tag
+    sort, // Optional date order: asc (oldest first) or desc
+    filenameTemplate, // Optional output name template, e.g. "{{source}}-{{tags}}-{{date}}"
+    collisionPolicy, // Optional: fail, overwrite, suffix or timestamp
+  } = body;
+
+  // --- Input Validation ---
+  if (
+    sourceDirKeys !== undefined &&
+    sourceDirKeys !== null &&
+    (!Array.isArray(sourceDirKeys) ||
+      sourceDirKeys.length === 0 ||
+      sourceDirKeys.some((key) => typeof key !== "string"))
+  ) {
+    return {
+      status: 400,
+      error:
+        "Invalid format for sourceDirKeys. Expected a non-empty array of source keys.",
+    };
+  }
+  const sourceKeys = sourceDirKeys
+    ? [...new Set(sourceDirKeys)]
+    : [sourceDirKey];
+  const selectedSources = sourceKeys.map(
+    (key) => key && sourceRegistry.getSource(key)
+  );
+  const unknownIndex = selectedSources.findIndex((candidate) => !candidate);
+  if (unknownIndex !== -1) {
+    return {
+      status: 400,
+      error: sourceKeys[unknownIndex]
+        ? `Unknown source directory key '${sourceKeys[unknownIndex]}'.`
+        : "Invalid or missing source directory key provided.",
+    };
+  }
+  const source = selectedSources[0]; // Its defaults apply to the run
+  // Validate tagQuery: optional string that must parse
+  if (tagQuery !== undefined && tagQuery !== null) {
+    if (typeof tagQuery !== "string") {
+      return {
+        status: 400,
+        error: "Invalid format for tagQuery. Expected a string.",
+      };
+    }
+    if (tagQuery.trim()) {
+      try {
+        parseTagQuery(tagQuery);
+      } catch (queryError) {
+        return { status: 400, error: queryError.message };
+      }
+    }
+  }
+  // Validate the text query: optional string that must parse (as a regex
+  // too, when textRegex is set)
+  if (
+    textQuery !== undefined &&
+    textQuery !== null &&
+    typeof textQuery !== "string"
+  ) {
+    return {
+      status: 400,
+      error: "Invalid format for textQuery. Expected a string.",
+    };
+  }
+  const invalidFlag = [
+    ["textRegex", textRegex],
+    ["textExcerpts", textExcerpts],
+    ["showFieldValues", showFieldValues],
+  ].find(([, value]) => value !== undefined && typeof value !== "boolean");
+  if (invalidFlag) {
+    return {
+      status: 400,
+      error: `Invalid format for ${invalidFlag[0]}. Expected true or false.`,
+    };
+  }
+  try {
+    parseTextQuery(textQuery || "", {
+      match: textMatch || "all",
+      regex: Boolean(textRegex),
+    });
+  } catch (queryError) {
+    return { status: 400, error: queryError.message };
+  }
+  // Validate the field rules (see fields.js)
+  let resolvedFieldFilters;
+  try {
+    resolvedFieldFilters = resolveFieldFilters(fieldFilters);
+  } catch (fieldError) {
+    return { status: 400, error: fieldError.message };
+  }
+  // Validate allowedPrivacy: optional array of privacy levels
+  if (
+    allowedPrivacy !== undefined &&
+    allowedPrivacy !== null &&
+    (!Array.isArray(allowedPrivacy) ||
+      allowedPrivacy.some((level) => typeof level !== "string"))
+  ) {
+    return {
+      status: 400,
+      error:
+        "Invalid format for allowedPrivacy. Expected an array of privacy levels.",
+    };
+  }
+  // Validate requiredTags: should be null or an array
+  if (requiredTags !== null && !Array.isArray(requiredTags)) {
+    return {
+      status: 400,
+      error: "Invalid format for requiredTags. Expected null or an array.",
+    };
+  }
+  // Add validation: if requiredTags is an array, it shouldn't be empty (handled by frontend, but good backend check)
+  if (Array.isArray(requiredTags) && requiredTags.length === 0) {
+    return {
+      status: 400,
+      error: "If filtering by tags, at least one tag must be provided.",
+    };
+  }
+
+  // A relative range is resolved to concrete dates for this run
+  let dateFilter = { startDate, endDate };
+  if (dateRange) {
+    if (startDate || endDate) {
+      return {
+        status: 400,
+        error:
+          "Use either a relative dateRange or startDate/endDate, not both.",
+      };
+    }
+    try {
+      dateFilter = resolveDateRange(dateRange, context.now);
+    } catch (rangeError) {
+      return { status: 400, error: rangeError.message };
+    }
+  }
+
+  // Empty (the UI's "Default") leaves the source's policy, if any, in place
+  if (
+    undatedPolicy !== undefined &&
+    undatedPolicy !== null &&
+    undatedPolicy !== "" &&
+    !UNDATED_POLICIES.includes(undatedPolicy)
+  ) {
+    return {
+      status: 400,
+      error: `Invalid undatedPolicy. Expected one of: ${UNDATED_POLICIES.join(
+        ", "
+      )}.`,
+    };
+  }
+
+  if (groupBy !== undefined && !GROUP_BY_OPTIONS.includes(groupBy)) {
+    return {
+      status: 400,
+      error: `Invalid groupBy. Expected one of: ${GROUP_BY_OPTIONS.join(
+        ", "
+      )}.`,
+    };
+  }
+
+  if (sort !== undefined && !SORT_OPTIONS.includes(sort)) {
+    return {
+      status: 400,
+      error: `Invalid sort. Expected one of: ${SORT_OPTIONS.join(", ")}.`,
+    };
+  }
+
+  if (linkMode !== undefined && !LINK_MODES.includes(linkMode)) {
+    return {
+      status: 400,
+      error: `Invalid linkMode. Expected one of: ${LINK_MODES.join(", ")}.`,
+    };
+  }
+
+  if (
+    collisionPolicy !== undefined &&
+    !COLLISION_POLICIES.includes(collisionPolicy)
+  ) {
+    return {
+      status: 400,
+      error: `Invalid collisionPolicy. Expected one of: ${COLLISION_POLICIES.join(
+        ", "
+      )}.`,
+    };
+  }
+
+  // An empty template means "use the source's default"
+  if (filenameTemplate) {
+    try {
+      validateFilenameTemplate(filenameTemplate);
+    } catch (templateError) {
+      return { status: 400, error: templateError.message };
+    }
+  }
+
+  if (format !== undefined && format !== null && !getRenderer(format)) {
+    return {
+      status: 400,
+      error: `Invalid format. Expected one of: ${listFormats()
+        .map((f) => f.name)
+        .join(", ")}.`,
+    };
+  }
+
+  // Request extraction settings are layered over the source's defaults
+  let resolvedExtraction = source.defaults.extraction;
+  if (extraction !== undefined && extraction !== null) {
+    if (typeof extraction !== "object" || Array.isArray(extraction)) {
+      return {
+        status: 400,
+        error: "Invalid format for extraction. Expected an object.",
+      };
+    }
+    try {
+      resolvedExtraction = resolveExtraction({
+        ...source.defaults.extraction,
+        ...extraction,
+      });
+    } catch (extractionError) {
+      return { status: 400, error: extractionError.message };
+    }
+  }
+
+  // Request redaction settings are layered over the source's defaults too
+  let resolvedRedaction = source.defaults.redaction;
+  if (redaction !== undefined && redaction !== null) {
+    if (typeof redaction !== "object" || Array.isArray(redaction)) {
+      return {
+        status: 400,
+        error: "Invalid format for redaction. Expected an object.",
+      };
+    }
+    try {
+      resolvedRedaction = resolveRedaction({
+        ...source.defaults.redaction,
+        ...redaction,
+      });
+    } catch (redactionError) {
+      return { status: 400, error: redactionError.message };
+    }
+  }
+
+  // Load the Markdown layout template (request override or source default)
+  const templateName = template || source.defaults.template;
+  let templateSource;
+  try {
+    templateSource = loadTemplate(templateName, templatesDir);
+  } catch (templateError) {
+    return { status: 400, error: templateError.message };
+  }
+
+  const notesDir = source.path;
+
+  // The sources config may have changed since startup, so check again that
+  // no source scans the output folder
+  const aggregatesDir = outputDirFor(source, context.aggregatesDir);
+  const scanningSources = findSourcesContaining(
+    aggregatesDir,
+    sourceRegistry.getSources()
+  );
+  if (scanningSources.length > 0) {
+    return {
+      status: 400,
+      error: `The output folder ${aggregatesDir} is inside the folder of source '${scanningSources[0].name}'. Choose an output folder outside every source.`,
+    };
+  }
+
+  const missingSource = selectedSources.find(
+    (candidate) => !fs.existsSync(candidate.path)
+  );
+  if (missingSource) {
+    console.error(
+      `Aggregation failed: Source directory for key '${missingSource.key}' not found at ${missingSource.path}`
+    );
+    return {
+      status: 400,
+      error: `Source directory '${missingSource.name}' not found. Check configuration.`,
+    };
+  }
+
+  return {
+    options: {
+      notesDir,
+      aggregatesDir,
+      sourceKey: source.key,
+      // Every selected source, each with its own discovery and date settings
+      sources: selectedSources.map((selected) => ({
+        key: selected.key,
+        name: selected.name,
+        notesDir: selected.path,
+        include: selected.defaults.include,
+        exclude: selected.defaults.exclude,
+        dateFormats: selected.defaults.dateFormats,
+        dateField: selected.defaults.dateField,
+      })),
+      noteIndex: context.noteIndex,
+      requiredTags, // <-- Pass the array or null
+      tagQuery: tagQuery || "",
+      textQuery: textQuery || "",
+      textMatch: textMatch || "all",
+      textRegex: Boolean(textRegex),
+      textExcerpts: Boolean(textExcerpts),
+      fieldFilters: resolvedFieldFilters,
+      showFieldValues: Boolean(showFieldValues),
+      // Fall back to the source's default privacy levels when none are sent
+      allowedPrivacy: allowedPrivacy || source.defaults.privacy,
+      startDate: dateFilter.startDate || "",
+      endDate: dateFilter.endDate || "",
+      newNoteTags: [],
+      include: source.defaults.include,
+      exclude: source.defaults.exclude,
+      dateFormats: source.defaults.dateFormats,
+      dateField: source.defaults.dateField,
+      undatedPolicy: undatedPolicy || source.defaults.undatedPolicy,
+      extraction: resolvedExtraction,
+      redaction: resolvedRedaction,
+      linkMode: linkMode || source.defaults.linkMode,
+      format: format || undefined,
+      template: templateSource,
+      templateName,
+      groupBy: groupBy || "none",
+      sort: sort || "asc",
+      filenameTemplate: filenameTemplate || source.defaults.filenameTemplate,
+      collisionPolicy: collisionPolicy || source.defaults.collisionPolicy,
+      vaultDir: vaultBasePath,
+    },
+  };
+}
+
+// --- Did aggregateNotes fail because nothing matched the filters? ---
+// Covers both "No files found" (date range / undated policy) and
+// "No notes found" (tags / privacy).
+function isNoMatchError(error) {
+  return error instanceof Error && /No (notes|files) found/.test(error.message);
+}
+
+// --- Was an error caused by the request's settings? ---
+// Validation throws plain Errors; file system errors carry a `code` and
+// programming errors are TypeErrors, ReferenceErrors and the like.
+function isRequestError(error) {
+  return (
+    error instanceof Error &&
+    Object.getPrototypeOf(error) === Error.prototype &&
+    !error.code
+  );
+}
+
+// Maps an aggregation error to an HTTP status code
+function aggregationErrorStatus(error) {
+  // Use 404 when nothing matched, 400 for other request errors and 500 for
+  // failures on the server's side
+  if (isNoMatchError(error)) return 404;
+  return isRequestError(error) ? 400 : 500;
+}
+
+module.exports = {
+  aggregationErrorStatus,
+  buildAggregationOptions,
+  isNoMatchError,
+  outputDirFor,
+};
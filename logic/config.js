@@ -0,0 +1,46 @@
+// logic/config.js
+//
+// Paths shared by the web server and the CLI, read from environment
+// variables (usually loaded from the project's .env file).
+
+const path = require("path");
+
+// The note-aggregator project folder (holds .env, sources.json, templates/)
+const PROJECT_DIR = path.join(__dirname, "..");
+
+// --- Resolve the configured paths ---
+// Returns { vaultBasePath, sourcesConfigPath, aggregatesDir, templatesDir,
+// presetsPath, schedulesPath, scheduleHistoryPath, indexDir }. vaultBasePath is
+// undefined when OBSIDIAN_VAULT_PATH is not set; callers report that
+// themselves.
+function resolveAppPaths(env = process.env) {
+  return {
+    vaultBasePath: env.OBSIDIAN_VAULT_PATH,
+    // The sources file sits next to .env unless SOURCES_CONFIG_PATH is set
+    sourcesConfigPath:
+      env.SOURCES_CONFIG_PATH || path.join(PROJECT_DIR, "sources.json"),
+    // AGGREGATES_PATH (absolute, or relative to the project) overrides the
+    // default 'output' folder within the note-aggregator directory
+    aggregatesDir: env.AGGREGATES_PATH
+      ? path.resolve(PROJECT_DIR, env.AGGREGATES_PATH)
+      : path.join(PROJECT_DIR, "output"),
+    templatesDir: env.TEMPLATES_PATH || path.join(PROJECT_DIR, "templates"),
+    // Saved presets, created on the first save
+    presetsPath: env.PRESETS_PATH || path.join(PROJECT_DIR, "presets.json"),
+    // Schedules and their run history, created by the scheduler's API
+    schedulesPath:
+      env.SCHEDULES_PATH || path.join(PROJECT_DIR, "schedules.json"),
+    scheduleHistoryPath:
+      env.SCHEDULE_HISTORY_PATH ||
+      path.join(PROJECT_DIR, "schedule-history.json"),
+    // Saved note indexes, one file per source directory (see noteIndex.js)
+    indexDir: env.INDEX_PATH
+      ? path.resolve(PROJECT_DIR, env.INDEX_PATH)
+      : path.join(PROJECT_DIR, ".note-index"),
+  };
+}
+
+module.exports = {
+  PROJECT_DIR,
+  resolveAppPaths,
+};
@@ -0,0 +1,194 @@
+// logic/cron.js
+//
+// Cron expressions for scheduled aggregations, in the usual five-field form
+// (evaluated in the server's local time):
+//
+//   ┌ minute (0-59)
+//   │ ┌ hour (0-23)
+//   │ │ ┌ day of month (1-31)
+//   │ │ │ ┌ month (1-12 or jan-dec)
+//   │ │ │ │ ┌ day of week (0-7 or sun-sat, 0 and 7 are Sunday)
+//   0 7 * * mon
+//
+// Each field accepts '*', numbers, ranges ('1-5'), lists ('1,15') and steps
+// ('*/15', '9-17/2'). @hourly, @daily, @weekly, @monthly and @yearly are
+// shorthands.
+
+const MACROS = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+};
+
+const MONTH_NAMES = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+  { name: "day of week", min: 0, max: 7, names: DAY_NAMES, nameOffset: 0 },
+];
+
+// Searching further ahead than this means the expression never matches
+// (e.g. "0 0 31 2 *")
+const MAX_SEARCH_YEARS = 5;
+
+// --- Parse one field value: a number or a month/day name ---
+function parseValue(text, field) {
+  const lower = text.toLowerCase();
+  if (field.names && field.names.includes(lower)) {
+    return field.names.indexOf(lower) + field.nameOffset;
+  }
+  if (!/^\d+$/.test(text)) {
+    throw new Error(`Invalid ${field.name} value '${text}'.`);
+  }
+  const value = Number(text);
+  if (value < field.min || value > field.max) {
+    throw new Error(
+      `${field.name} value ${value} is out of range (${field.min}-${field.max}).`
+    );
+  }
+  return value;
+}
+
+// --- Parse one field into the set of values it allows ---
+function parseField(text, field) {
+  const values = new Set();
+  text.split(",").forEach((part) => {
+    const [rangeText, stepText, ...extra] = part.split("/");
+    if (extra.length > 0 || !rangeText) {
+      throw new Error(`Invalid ${field.name} field '${text}'.`);
+    }
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step in ${field.name} field '${text}'.`);
+    }
+
+    let start;
+    let end;
+    if (rangeText === "*") {
+      start = field.min;
+      end = field.max;
+    } else if (rangeText.includes("-")) {
+      const [startText, endText] = rangeText.split("-");
+      start = parseValue(startText, field);
+      end = parseValue(endText, field);
+      if (start > end) {
+        throw new Error(`Invalid range '${rangeText}' in ${field.name} field.`);
+      }
+    } else {
+      start = parseValue(rangeText, field);
+      // "5/15" means "from 5, every 15"
+      end = stepText === undefined ? start : field.max;
+    }
+    for (let value = start; value <= end; value += step) values.add(value);
+  });
+  return values;
+}
+
+// --- Parse a cron expression ---
+// Returns { expression, minutes, hours, days, months, weekdays } (Sets of
+// allowed values). Throws an Error describing the problem when invalid.
+function parseCron(expression) {
+  if (typeof expression !== "string" || !expression.trim()) {
+    throw new Error("Cron expression must be a non-empty string.");
+  }
+  const trimmed = expression.trim();
+  const expanded = MACROS[trimmed.toLowerCase()] || trimmed;
+  const parts = expanded.split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(
+      `Cron expression '${trimmed}' must have 5 fields (minute hour day-of-month month day-of-week).`
+    );
+  }
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) =>
+    parseField(part, FIELDS[index])
+  );
+  // 7 is another way of writing Sunday
+  if (weekdays.delete(7)) weekdays.add(0);
+
+  return {
+    expression: trimmed,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // Standard cron rule: when both day fields are restricted, a day matching
+    // either one is enough. A field starting with "*" (e.g. "*/2") doesn't
+    // count as restricted.
+    dayFieldsRestricted: !parts[2].startsWith("*") && !parts[4].startsWith("*"),
+  };
+}
+
+// --- Does the day (local time) of `date` match the day fields? ---
+function matchesDay(cron, date) {
+  const dayMatch = cron.days.has(date.getDate());
+  const weekdayMatch = cron.weekdays.has(date.getDay());
+  return cron.dayFieldsRestricted
+    ? dayMatch || weekdayMatch
+    : dayMatch && weekdayMatch;
+}
+
+// --- Does `date` (local time, to the minute) match the expression? ---
+function cronMatches(cron, date) {
+  return (
+    cron.minutes.has(date.getMinutes()) &&
+    cron.hours.has(date.getHours()) &&
+    cron.months.has(date.getMonth() + 1) &&
+    matchesDay(cron, date)
+  );
+}
+
+// --- First time strictly after `after` that matches the expression ---
+// Skips whole months, days and hours that can't match, so even rare
+// schedules are found quickly. Returns null if nothing matches within
+// MAX_SEARCH_YEARS.
+function nextCronTime(cron, after) {
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = new Date(date.getTime());
+  limit.setFullYear(limit.getFullYear() + MAX_SEARCH_YEARS);
+
+  while (date <= limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  cronMatches,
+  nextCronTime,
+  parseCron,
+};
@@ -0,0 +1,113 @@
+// logic/dateRanges.js
+//
+// Relative date ranges ("last 7 days", "previous month", "quarter to date")
+// for presets and requests, resolved to concrete YYYY-MM-DD start/end dates
+// on the day they are run.
+
+// Named ranges, in the order the UI lists them. "last-N-days" also works for
+// any N (e.g. "last-14-days").
+const RELATIVE_DATE_RANGES = [
+  { name: "today", label: "Today" },
+  { name: "yesterday", label: "Yesterday" },
+  { name: "last-7-days", label: "Last 7 days" },
+  { name: "last-30-days", label: "Last 30 days" },
+  { name: "week-to-date", label: "This week so far" },
+  { name: "previous-week", label: "Previous week" },
+  { name: "month-to-date", label: "This month so far" },
+  { name: "previous-month", label: "Previous month" },
+  { name: "quarter-to-date", label: "This quarter so far" },
+  { name: "previous-quarter", label: "Previous quarter" },
+  { name: "year-to-date", label: "This year so far" },
+  { name: "previous-year", label: "Previous year" },
+];
+
+const LAST_N_DAYS_PATTERN = /^last-(\d{1,4})-days$/;
+
+// --- A UTC date for a calendar day (month is 0-based, overflow allowed) ---
+function utcDay(year, month, day) {
+  return new Date(Date.UTC(year, month, day));
+}
+
+function formatDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// --- Is this a known relative range name? ---
+function isRelativeDateRange(name) {
+  return (
+    typeof name === "string" &&
+    (RELATIVE_DATE_RANGES.some((range) => range.name === name) ||
+      (LAST_N_DAYS_PATTERN.test(name) &&
+        Number(name.match(LAST_N_DAYS_PATTERN)[1]) > 0))
+  );
+}
+
+// --- Resolve a relative range to { startDate, endDate } (inclusive) ---
+// `now` is taken in local time, so "today" is the user's calendar day.
+// Weeks start on Monday. Throws an Error for unknown names.
+function resolveDateRange(name, now = new Date()) {
+  if (!isRelativeDateRange(name)) {
+    throw new Error(
+      `Unknown date range '${name}'. Expected one of: ${RELATIVE_DATE_RANGES.map(
+        (range) => range.name
+      ).join(", ")} or last-N-days.`
+    );
+  }
+  const year = now.getFullYear();
+  const month = now.getMonth();
+  const day = now.getDate();
+  const today = utcDay(year, month, day);
+  const mondayOffset = (today.getUTCDay() + 6) % 7; // Days since Monday
+  const quarterStartMonth = month - (month % 3);
+
+  let start;
+  let end = today;
+  const lastNDays = name.match(LAST_N_DAYS_PATTERN);
+  if (lastNDays) {
+    start = utcDay(year, month, day - Number(lastNDays[1]) + 1);
+  } else {
+    switch (name) {
+      case "today":
+        start = today;
+        break;
+      case "yesterday":
+        start = end = utcDay(year, month, day - 1);
+        break;
+      case "week-to-date":
+        start = utcDay(year, month, day - mondayOffset);
+        break;
+      case "previous-week":
+        start = utcDay(year, month, day - mondayOffset - 7);
+        end = utcDay(year, month, day - mondayOffset - 1);
+        break;
+      case "month-to-date":
+        start = utcDay(year, month, 1);
+        break;
+      case "previous-month":
+        start = utcDay(year, month - 1, 1);
+        end = utcDay(year, month, 0); // Day 0 = last day of the previous month
+        break;
+      case "quarter-to-date":
+        start = utcDay(year, quarterStartMonth, 1);
+        break;
+      case "previous-quarter":
+        start = utcDay(year, quarterStartMonth - 3, 1);
+        end = utcDay(year, quarterStartMonth, 0);
+        break;
+      case "year-to-date":
+        start = utcDay(year, 0, 1);
+        break;
+      case "previous-year":
+        start = utcDay(year - 1, 0, 1);
+        end = utcDay(year - 1, 11, 31);
+        break;
+    }
+  }
+  return { startDate: formatDay(start), endDate: formatDay(end) };
+}
+
+module.exports = {
+  RELATIVE_DATE_RANGES,
+  isRelativeDateRange,
+  resolveDateRange,
+};
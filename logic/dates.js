@@ -0,0 +1,109 @@
+// logic/dates.js
+const path = require("path");
+
+// Supported tokens in a filename date format (e.g. "YYYY-MM-DD", "DD-MM-YYYY")
+const DATE_TOKENS = {
+  YYYY: "(?<year>\\d{4})",
+  MM: "(?<month>\\d{2})",
+  DD: "(?<day>\\d{2})",
+};
+
+// Formats tried when a source doesn't configure its own
+const DEFAULT_DATE_FORMATS = ["YYYY-MM-DD"];
+
+// What to do with notes whose date can't be resolved
+const UNDATED_POLICIES = ["include", "exclude", "warn"];
+
+// --- Convert a date format like "YYYY-MM-DD" into a RegExp ---
+// The date may appear anywhere in the filename (e.g. "2024-03-05 Tuesday"),
+// but not in the middle of a longer run of digits.
+function dateFormatToRegex(format) {
+  const escaped = format.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const source = escaped.replace(/YYYY|MM|DD/g, (token) => DATE_TOKENS[token]);
+  return new RegExp(`(?<!\\d)${source}(?!\\d)`);
+}
+
+// --- Extract an ISO date (YYYY-MM-DD) from a string using one format ---
+// Returns null if there's no date in the given format or the date is not a
+// real calendar date.
+function parseDateWithFormat(text, format) {
+  const match = text.match(dateFormatToRegex(format));
+  if (!match || !match.groups) return null;
+  const { year, month, day } = match.groups;
+  if (!year || !month || !day) return null;
+  return toIsoDate(year, month, day);
+}
+
+// --- Extract an ISO date from a note's filename, trying each format in turn ---
+function parseFilenameDate(basename, formats = DEFAULT_DATE_FORMATS) {
+  const formatList = Array.isArray(formats) ? formats : [formats];
+  for (const format of formatList) {
+    const date = parseDateWithFormat(basename, format);
+    if (date) return date;
+  }
+  return null;
+}
+
+// --- Extract an ISO date from a frontmatter value ---
+// gray-matter turns unquoted YAML dates into Date objects; quoted ones stay
+// strings and are parsed with the same formats as filenames (plus ISO).
+function parseFrontmatterDate(value, formats = DEFAULT_DATE_FORMATS) {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10);
+  }
+  if (typeof value !== "string") return null;
+  const formatList = Array.isArray(formats) ? formats : [formats];
+  return parseFilenameDate(value.trim(), [...formatList, "YYYY-MM-DD"]);
+}
+
+// --- Resolve a note's date: filename first, then the frontmatter field ---
+// Returns { date, dateSource } where dateSource is "filename", "frontmatter"
+// or null when no date could be found.
+function resolveNoteDate(file, data, { dateFormats, dateField = "date" } = {}) {
+  const formats = dateFormats || DEFAULT_DATE_FORMATS;
+  const basename = path.basename(file, path.extname(file));
+
+  const filenameDate = parseFilenameDate(basename, formats);
+  if (filenameDate) return { date: filenameDate, dateSource: "filename" };
+
+  if (dateField && data && data[dateField] !== undefined) {
+    const frontmatterDate = parseFrontmatterDate(data[dateField], formats);
+    if (frontmatterDate) {
+      return { date: frontmatterDate, dateSource: "frontmatter" };
+    }
+  }
+
+  return { date: null, dateSource: null };
+}
+
+// --- Build a validated ISO date string, or null for impossible dates ---
+function toIsoDate(year, month, day) {
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  if (
+    date.getUTCFullYear() !== Number(year) ||
+    date.getUTCMonth() !== Number(month) - 1 ||
+    date.getUTCDate() !== Number(day)
+  ) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+// --- The undated-note policy a run applies ---
+// A policy that was set always applies. Without one, notes without a date
+// are skipped and listed ("warn") when a date range is set, since they
+// can't be placed in it, and included when there is no range.
+function effectiveUndatedPolicy(policy, { startDate, endDate }) {
+  if (policy) return policy;
+  return startDate || endDate ? "warn" : "include";
+}
+
+module.exports = {
+  DEFAULT_DATE_FORMATS,
+  UNDATED_POLICIES,
+  effectiveUndatedPolicy,
+  parseFilenameDate,
+  parseFrontmatterDate,
+  resolveNoteDate,
+  toIsoDate,
+};
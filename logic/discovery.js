@@ -0,0 +1,47 @@
+// logic/discovery.js
+const glob = require("glob");
+const path = require("path");
+
+// --- Default Discovery Patterns ---
+// Include every Markdown note in the source directory and its subfolders
+const DEFAULT_INCLUDE = ["**/*.md"];
+// Skip Obsidian's own folders and note templates
+const DEFAULT_EXCLUDE = [
+  ".obsidian/**",
+  ".trash/**",
+  "**/templates/**",
+  "**/Templates/**",
+];
+
+// --- Normalise a pattern option (string, array or undefined) to an array ---
+function toPatternList(patterns, fallback) {
+  if (patterns === undefined || patterns === null) return fallback;
+  return Array.isArray(patterns) ? patterns : [patterns];
+}
+
+// --- Resolve the include/exclude patterns that a run will actually use ---
+function resolveDiscoveryPatterns({ include, exclude } = {}) {
+  return {
+    include: toPatternList(include, DEFAULT_INCLUDE),
+    exclude: toPatternList(exclude, DEFAULT_EXCLUDE),
+  };
+}
+
+// --- Find note files in a source directory ---
+// Patterns are relative to notesDir. Returns sorted absolute paths.
+function findNoteFiles(notesDir, patterns = {}) {
+  const { include, exclude } = resolveDiscoveryPatterns(patterns);
+  const files = glob.sync(include, {
+    cwd: notesDir,
+    ignore: exclude,
+    nodir: true,
+  });
+  return files.map((file) => path.join(notesDir, file)).sort();
+}
+
+module.exports = {
+  DEFAULT_EXCLUDE,
+  DEFAULT_INCLUDE,
+  findNoteFiles,
+  resolveDiscoveryPatterns,
+};
@@ -0,0 +1,227 @@
+// logic/extract.js
+//
+// Content extraction rules: which part of each note ends up in the aggregate.
+//
+//   whole     - the entire note body
+//   separator - everything above the first standalone separator line (default "---")
+//   headings  - only the sections under the named headings (e.g. "Work")
+//   markers   - only the text between start/end markers (e.g. "%% start %%" / "%% end %%")
+//   regex     - the first capture group (or whole match) of every regex match
+
+const EXTRACTION_MODES = ["whole", "separator", "headings", "markers", "regex"];
+
+// Defaults match the original behaviour: cut at the first '---' line and drop
+// a leading "## YYYY-MM-DD" heading.
+const DEFAULT_EXTRACTION = {
+  mode: "separator",
+  separator: "---",
+  headings: [],
+  startMarker: "%% start %%",
+  endMarker: "%% end %%",
+  pattern: "",
+  flags: "m",
+  stripDateHeading: true,
+};
+
+// --- Escape a literal string for use inside a RegExp ---
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// --- Merge extraction settings with defaults and validate them ---
+// Accepts a partial settings object (from the sources config or a request).
+// Throws an Error describing the first problem found.
+function resolveExtraction(settings = {}) {
+  const extraction = { ...DEFAULT_EXTRACTION, ...settings };
+
+  if (!EXTRACTION_MODES.includes(extraction.mode)) {
+    throw new Error(
+      `Invalid extraction mode '${
+        extraction.mode
+      }'. Expected one of: ${EXTRACTION_MODES.join(", ")}.`
+    );
+  }
+  if (typeof extraction.headings === "string") {
+    extraction.headings = extraction.headings
+      .split(",")
+      .map((heading) => heading.trim())
+      .filter(Boolean);
+  }
+
+  switch (extraction.mode) {
+    case "separator":
+      if (typeof extraction.separator !== "string" || !extraction.separator) {
+        throw new Error("Extraction mode 'separator' needs a separator.");
+      }
+      break;
+    case "headings":
+      if (
+        !Array.isArray(extraction.headings) ||
+        extraction.headings.length === 0
+      ) {
+        throw new Error(
+          "Extraction mode 'headings' needs at least one heading name."
+        );
+      }
+      break;
+    case "markers":
+      if (!extraction.startMarker || !extraction.endMarker) {
+        throw new Error(
+          "Extraction mode 'markers' needs a start and an end marker."
+        );
+      }
+      break;
+    case "regex":
+      if (!extraction.pattern) {
+        throw new Error("Extraction mode 'regex' needs a pattern.");
+      }
+      try {
+        new RegExp(extraction.pattern, extraction.flags);
+      } catch (regexError) {
+        throw new Error(`Invalid extraction regex: ${regexError.message}`);
+      }
+      break;
+  }
+
+  return extraction;
+}
+
+// --- Describe the settings that matter for a mode (for output frontmatter) ---
+function describeExtraction(extraction) {
+  const description = { mode: extraction.mode };
+  switch (extraction.mode) {
+    case "separator":
+      description.separator = extraction.separator;
+      break;
+    case "headings":
+      description.headings = extraction.headings;
+      break;
+    case "markers":
+      description.start_marker = extraction.startMarker;
+      description.end_marker = extraction.endMarker;
+      break;
+    case "regex":
+      description.pattern = extraction.pattern;
+      description.flags = extraction.flags;
+      break;
+  }
+  description.strip_date_heading = extraction.stripDateHeading;
+  return description;
+}
+
+// --- Mode: everything above the first separator line ---
+function extractUntilSeparator(content, separator) {
+  const separatorLine = new RegExp(`^\\s*${escapeRegex(separator)}\\s*$`, "m");
+  return content.split(separatorLine)[0];
+}
+
+// --- Mode: the sections under the named headings ---
+// A section runs until the next heading of the same or a higher level.
+// Headings inside fenced code blocks are ignored.
+function extractHeadingSections(content, headings) {
+  const wanted = headings.map((heading) => heading.trim().toLowerCase());
+  const sections = [];
+  let current = null; // { level, lines }
+  let inFence = false;
+
+  for (const line of content.split("\n")) {
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+    const heading = !inFence && line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+
+    if (heading) {
+      const level = heading[1].length;
+      if (current && level <= current.level) {
+        sections.push(current.lines.join("\n"));
+        current = null;
+      }
+      if (!current && wanted.includes(heading[2].toLowerCase())) {
+        current = { level, lines: [] };
+        continue;
+      }
+    }
+    if (current) current.lines.push(line);
+  }
+  if (current) sections.push(current.lines.join("\n"));
+
+  return sections
+    .map((section) => section.trim())
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+// --- Mode: the text between each start/end marker pair ---
+// An unclosed start marker runs to the end of the note.
+function extractBetweenMarkers(content, startMarker, endMarker) {
+  const blocks = [];
+  let searchFrom = 0;
+  while (true) {
+    const start = content.indexOf(startMarker, searchFrom);
+    if (start === -1) break;
+    const blockStart = start + startMarker.length;
+    const end = content.indexOf(endMarker, blockStart);
+    blocks.push(content.slice(blockStart, end === -1 ? undefined : end));
+    if (end === -1) break;
+    searchFrom = end + endMarker.length;
+  }
+  return blocks
+    .map((block) => block.trim())
+    .filter(Boolean)
+    .join("\n\n");
+}
+
+// --- Mode: regex captures ---
+function extractRegexMatches(content, pattern, flags) {
+  const globalFlags = flags.includes("g") ? flags : `${flags}g`;
+  const captures = [];
+  for (const match of content.matchAll(new RegExp(pattern, globalFlags))) {
+    const captured = match.length > 1 ? match[1] : match[0];
+    if (captured && captured.trim()) captures.push(captured.trim());
+  }
+  return captures.join("\n\n");
+}
+
+// --- Extract the relevant part of a note body ---
+// `extraction` must come from resolveExtraction().
+function extractContent(content, extraction) {
+  let extracted;
+  switch (extraction.mode) {
+    case "whole":
+      extracted = content;
+      break;
+    case "separator":
+      extracted = extractUntilSeparator(content, extraction.separator);
+      break;
+    case "headings":
+      extracted = extractHeadingSections(content, extraction.headings);
+      break;
+    case "markers":
+      extracted = extractBetweenMarkers(
+        content,
+        extraction.startMarker,
+        extraction.endMarker
+      );
+      break;
+    case "regex":
+      extracted = extractRegexMatches(
+        content,
+        extraction.pattern,
+        extraction.flags
+      );
+      break;
+  }
+
+  extracted = extracted.trim();
+  if (extraction.stripDateHeading) {
+    // Remove potential H2 date heading
+    extracted = extracted.replace(/^##\s+\d{4}-\d{2}-\d{2}\s*?\n/m, "").trim();
+  }
+  return extracted;
+}
+
+module.exports = {
+  DEFAULT_EXTRACTION,
+  EXTRACTION_MODES,
+  describeExtraction,
+  extractContent,
+  resolveExtraction,
+};
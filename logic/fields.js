@@ -0,0 +1,294 @@
+// logic/fields.js
+//
+// Frontmatter fields beyond tags and privacy (e.g. `mood`, `project`,
+// `client`, `hours`): which fields a source's notes use and what kind of
+// values they hold, filter rules on them, and the values shown alongside
+// each note in the output.
+//
+// A rule is { field, op, ... }; a note must pass every rule:
+//   equals - { value }: the field equals the value (case-insensitive)
+//   in     - { values }: the field equals one of the values
+//   exists - the field is set (not missing or empty)
+//   range  - { min, max }: the field is a number between min and max
+//            (inclusive; either bound may be left out)
+// For list fields (`client: [acme, globex]`) any item may match.
+
+const FIELD_OPERATORS = ["equals", "in", "exists", "range"];
+
+// Fields with more distinct values than this are not listed as choices
+const MAX_FIELD_VALUES = 50;
+
+// --- The kind of a frontmatter value ---
+// "string", "number", "boolean", "date" (YAML dates), "list" or "object".
+function valueType(value) {
+  if (Array.isArray(value)) return "list";
+  if (value instanceof Date) return "date";
+  if (typeof value === "object") return "object";
+  return typeof value;
+}
+
+// --- A scalar value as text (dates as YYYY-MM-DD) ---
+function valueText(value) {
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  return String(value).trim();
+}
+
+// --- A field's values as a list (list fields are flattened, empty values dropped) ---
+function fieldItems(value) {
+  const items = Array.isArray(value) ? value : [value];
+  return items.filter(
+    (item) =>
+      item instanceof Date ||
+      (item !== null &&
+        item !== undefined &&
+        typeof item !== "object" &&
+        valueText(item) !== "")
+  );
+}
+
+// --- A field's value in a note's frontmatter (undefined when not set) ---
+// Only the note's own keys count, so fields named like Object members
+// ("constructor", "toString", "__proto__") aren't found on every note.
+function ownValue(data, field) {
+  return data && Object.prototype.hasOwnProperty.call(data, field)
+    ? data[field]
+    : undefined;
+}
+
+// --- Collect the frontmatter fields used by a list of notes ---
+// `notes` are note index entries (their `data` is the parsed frontmatter).
+// Returns { <field>: { types, values, min, max } }, fields sorted by name:
+// `types` lists the kinds of value found (see valueType), `values` the
+// distinct values (when there are few enough to choose from) and `min` /
+// `max` the range of numeric values (null when there are none).
+function collectFields(notes) {
+  const fields = new Map();
+  notes.forEach((note) => {
+    Object.entries(note.data || {}).forEach(([name, value]) => {
+      if (value === null || value === undefined) return;
+      if (!fields.has(name)) {
+        fields.set(name, {
+          types: new Set(),
+          values: new Map(), // Lowercased text -> text as first written
+          min: null,
+          max: null,
+        });
+      }
+      const field = fields.get(name);
+      field.types.add(valueType(value));
+      fieldItems(value).forEach((item) => {
+        const text = valueText(item);
+        if (!field.values.has(text.toLowerCase())) {
+          field.values.set(text.toLowerCase(), text);
+        }
+        if (typeof item === "number" && Number.isFinite(item)) {
+          if (field.min === null || item < field.min) field.min = item;
+          if (field.max === null || item > field.max) field.max = item;
+        }
+      });
+    });
+  });
+
+  return Object.fromEntries(
+    Array.from(fields.keys())
+      .sort()
+      .map((name) => {
+        const field = fields.get(name);
+        const values = Array.from(field.values.values());
+        return [
+          name,
+          {
+            types: Array.from(field.types).sort(),
+            values:
+              values.length <= MAX_FIELD_VALUES
+                ? values.sort((a, b) => a.localeCompare(b))
+                : null,
+            min: field.min,
+            max: field.max,
+          },
+        ];
+      })
+  );
+}
+
+// --- Validate filter rules and normalise them ---
+// Accepts a list of rules (from a request or a preset); empty rules (no
+// field) are dropped. Throws an Error describing the first problem found.
+function resolveFieldFilters(rules) {
+  if (rules === undefined || rules === null) return [];
+  if (!Array.isArray(rules)) {
+    throw new Error("Field filters must be a list of rules.");
+  }
+  return rules
+    .filter((rule) => !(rule && typeof rule === "object" && !rule.field))
+    .map((rule) => {
+      if (!rule || typeof rule !== "object" || typeof rule.field !== "string") {
+        throw new Error(
+          "Each field filter needs a 'field' (the frontmatter key)."
+        );
+      }
+      const field = rule.field.trim();
+      const op = rule.op || "equals";
+      if (!FIELD_OPERATORS.includes(op)) {
+        throw new Error(
+          `Invalid operator '${op}' for field '${field}'. Expected one of: ${FIELD_OPERATORS.join(
+            ", "
+          )}.`
+        );
+      }
+      const isScalar = (value) =>
+        ["string", "number", "boolean"].includes(typeof value) &&
+        String(value).trim() !== "";
+      switch (op) {
+        case "equals":
+          if (!isScalar(rule.value)) {
+            throw new Error(`Field filter '${field}' needs a value.`);
+          }
+          return { field, op, value: rule.value };
+        case "in": {
+          // A comma-separated string is accepted too ("acme, globex")
+          const listed =
+            typeof rule.values === "string"
+              ? rule.values.split(",")
+              : rule.values;
+          const values = Array.isArray(listed)
+            ? listed
+                .map((value) =>
+                  typeof value === "string" ? value.trim() : value
+                )
+                .filter((value) => value !== "" && value !== null)
+            : [];
+          if (values.length === 0 || !values.every(isScalar)) {
+            throw new Error(`Field filter '${field}' needs a list of values.`);
+          }
+          return { field, op, values };
+        }
+        case "range": {
+          const bound = (name) => {
+            const value = rule[name];
+            if (value === undefined || value === null || value === "") {
+              return null;
+            }
+            const number = Number(value);
+            if (typeof value === "boolean" || !Number.isFinite(number)) {
+              throw new Error(
+                `Field filter '${field}': '${name}' must be a number.`
+              );
+            }
+            return number;
+          };
+          const min = bound("min");
+          const max = bound("max");
+          if (min === null && max === null) {
+            throw new Error(
+              `Field filter '${field}' needs a minimum, a maximum or both.`
+            );
+          }
+          if (min !== null && max !== null && min > max) {
+            throw new Error(
+              `Field filter '${field}': the minimum is larger than the maximum.`
+            );
+          }
+          return { field, op, min, max };
+        }
+        default:
+          return { field, op };
+      }
+    });
+}
+
+// --- Does one rule accept a note's frontmatter? ---
+function matchesRule(rule, data) {
+  const items = fieldItems(ownValue(data, rule.field));
+  switch (rule.op) {
+    case "exists":
+      return items.length > 0;
+    case "equals":
+    case "in": {
+      const wanted = (rule.op === "in"
+        ? rule.values
+        : [rule.value]
+      ).map((value) => valueText(value).toLowerCase());
+      return items.some((item) =>
+        wanted.includes(valueText(item).toLowerCase())
+      );
+    }
+    case "range":
+      return items.some((item) => {
+        // Numbers written as text ("7.5") count too; booleans don't
+        const number = typeof item === "boolean" ? NaN : Number(item);
+        return (
+          valueText(item) !== "" &&
+          Number.isFinite(number) &&
+          (rule.min === null || number >= rule.min) &&
+          (rule.max === null || number <= rule.max)
+        );
+      });
+    default:
+      return false;
+  }
+}
+
+// --- Does a note's frontmatter pass every rule? (no rules: always) ---
+// `rules` must come from resolveFieldFilters().
+function matchesFieldFilters(rules, data) {
+  return rules.every((rule) => matchesRule(rule, data || {}));
+}
+
+// --- The values of the filtered fields, for display with each note ---
+// Returns { <field>: value } in rule order (each field once), leaving out
+// fields the note doesn't have. Dates become YYYY-MM-DD.
+function fieldValues(rules, data) {
+  const values = new Map(); // A Map, so any field name is a plain key
+  rules.forEach(({ field }) => {
+    const value = ownValue(data, field);
+    if (values.has(field) || fieldItems(value).length === 0) return;
+    values.set(
+      field,
+      Array.isArray(value)
+        ? fieldItems(value).map((item) =>
+            item instanceof Date ? valueText(item) : item
+          )
+        : value instanceof Date
+        ? valueText(value)
+        : value
+    );
+  });
+  return Object.fromEntries(values);
+}
+
+// --- A rule as text, e.g. "hours 4–8" or "client in (acme, globex)" ---
+function formatFieldFilter(rule) {
+  switch (rule.op) {
+    case "equals":
+      return `${rule.field} = ${rule.value}`;
+    case "in":
+      return `${rule.field} in (${rule.values.join(", ")})`;
+    case "range":
+      if (rule.min === null) return `${rule.field} ≤ ${rule.max}`;
+      if (rule.max === null) return `${rule.field} ≥ ${rule.min}`;
+      return `${rule.field} ${rule.min}–${rule.max}`;
+    default:
+      return `${rule.field} exists`;
+  }
+}
+
+// --- Field values as one line of text: "mood: good · hours: 7.5" ---
+function formatFieldValues(values) {
+  return Object.entries(values || {})
+    .map(
+      ([field, value]) =>
+        `${field}: ${Array.isArray(value) ? value.join(", ") : value}`
+    )
+    .join(" · ");
+}
+
+module.exports = {
+  FIELD_OPERATORS,
+  collectFields,
+  fieldValues,
+  formatFieldFilter,
+  formatFieldValues,
+  matchesFieldFilters,
+  resolveFieldFilters,
+};
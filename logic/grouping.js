@@ -0,0 +1,140 @@
+// logic/grouping.js
+//
+// Sorting and grouping of included notes (by ISO week, month, quarter or
+// primary tag) for sectioned output.
+
+const GROUP_BY_OPTIONS = ["none", "week", "month", "quarter", "tag"];
+const SORT_OPTIONS = ["asc", "desc"];
+
+const MONTH_NAMES = [
+  "January",
+  "February",
+  "March",
+  "April",
+  "May",
+  "June",
+  "July",
+  "August",
+  "September",
+  "October",
+  "November",
+  "December",
+];
+
+// Key used for notes that can't be placed in a group (no date / no tags)
+const UNGROUPED_KEY = "";
+
+// --- "1 note" / "3 notes" (used in group headings) ---
+function countLabel(count) {
+  return `${count} note${count === 1 ? "" : "s"}`;
+}
+
+// --- ISO 8601 week of a YYYY-MM-DD date: { year, week, start, end } ---
+// The ISO week-year can differ from the calendar year around New Year.
+function isoWeek(isoDate) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  const dayOfWeek = date.getUTCDay() || 7; // Monday = 1 ... Sunday = 7
+  const thursday = new Date(date);
+  thursday.setUTCDate(date.getUTCDate() + 4 - dayOfWeek);
+  const year = thursday.getUTCFullYear();
+  const yearStart = new Date(Date.UTC(year, 0, 1));
+  const week = Math.ceil(((thursday - yearStart) / 86400000 + 1) / 7);
+
+  const monday = new Date(date);
+  monday.setUTCDate(date.getUTCDate() - dayOfWeek + 1);
+  const sunday = new Date(monday);
+  sunday.setUTCDate(monday.getUTCDate() + 6);
+
+  return {
+    year,
+    week,
+    start: monday.toISOString().slice(0, 10),
+    end: sunday.toISOString().slice(0, 10),
+  };
+}
+
+// --- Group key and heading label for one note ---
+function groupFor(note, groupBy) {
+  if (groupBy === "tag") {
+    const primaryTag = note.tags && note.tags[0];
+    return primaryTag
+      ? { key: primaryTag.toLowerCase(), label: `#${primaryTag}` }
+      : { key: UNGROUPED_KEY, label: "Untagged" };
+  }
+
+  if (!note.date) return { key: UNGROUPED_KEY, label: "No date" };
+  const [year, month] = note.date.split("-").map(Number);
+
+  switch (groupBy) {
+    case "week": {
+      const week = isoWeek(note.date);
+      const paddedWeek = String(week.week).padStart(2, "0");
+      return {
+        key: `${week.year}-W${paddedWeek}`,
+        label: `Week ${week.week}, ${week.year} (${week.start} – ${week.end})`,
+      };
+    }
+    case "month":
+      return {
+        key: note.date.slice(0, 7),
+        label: `${MONTH_NAMES[month - 1]} ${year}`,
+      };
+    case "quarter": {
+      const quarter = Math.ceil(month / 3);
+      return { key: `${year}-Q${quarter}`, label: `Q${quarter} ${year}` };
+    }
+    default:
+      return { key: UNGROUPED_KEY, label: null };
+  }
+}
+
+// --- Sort notes by date (undated notes always last), then by file ---
+function sortNotes(notes, sort = "asc") {
+  const direction = sort === "desc" ? -1 : 1;
+  return [...notes].sort((a, b) => {
+    if (a.date !== b.date) {
+      if (!a.date) return 1;
+      if (!b.date) return -1;
+      return (a.date < b.date ? -1 : 1) * direction;
+    }
+    return (a.file < b.file ? -1 : a.file > b.file ? 1 : 0) * direction;
+  });
+}
+
+// --- Split sorted notes into groups ---
+// Returns [{ key, label, count, notes }]. With groupBy "none" there is a
+// single group whose label is null. Groups follow the sort direction; the
+// catch-all group (no date / untagged) always comes last.
+function groupNotes(notes, { groupBy = "none", sort = "asc" } = {}) {
+  const sorted = sortNotes(notes, sort);
+  if (groupBy === "none") {
+    return [
+      { key: UNGROUPED_KEY, label: null, count: sorted.length, notes: sorted },
+    ];
+  }
+
+  const groups = new Map();
+  sorted.forEach((note) => {
+    const { key, label } = groupFor(note, groupBy);
+    if (!groups.has(key)) groups.set(key, { key, label, notes: [] });
+    groups.get(key).notes.push(note);
+  });
+
+  const direction = sort === "desc" ? -1 : 1;
+  return Array.from(groups.values())
+    .sort((a, b) => {
+      if (a.key === UNGROUPED_KEY) return 1;
+      if (b.key === UNGROUPED_KEY) return -1;
+      return (a.key < b.key ? -1 : a.key > b.key ? 1 : 0) * direction;
+    })
+    .map((group) => ({ ...group, count: group.notes.length }));
+}
+
+module.exports = {
+  GROUP_BY_OPTIONS,
+  SORT_OPTIONS,
+  countLabel,
+  groupNotes,
+  isoWeek,
+  sortNotes,
+};
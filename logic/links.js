@@ -0,0 +1,380 @@
+// logic/links.js
+//
+// Link handling: what happens to Obsidian [[links]], ![[embeds]] and
+// Markdown links and images when notes are copied into an aggregate that
+// lives outside the vault (where they no longer resolve).
+//
+//   keep     - leave links as written (the default)
+//   relative - rewrite links and embeds to Markdown links with paths relative
+//              to the aggregate's folder
+//   plain    - replace links with their text (alias, or the note name) and
+//              embeds with their name
+//   inline   - like relative, but embedded notes (![[note]], ![[note#Heading]])
+//              are replaced by their content
+//   copy     - like inline, and attachments (images, PDFs, ...) are copied
+//              into an "<aggregate>-assets" folder next to the aggregate and
+//              linked from there, so the aggregate can be moved as a whole
+//
+// Targets are resolved like Obsidian does: relative to the linking note, by
+// path from the vault root, or by file name anywhere in the vault (the
+// shortest path wins). Links that don't resolve are left as written and
+// reported.
+
+const fs = require("fs-extra");
+const glob = require("glob");
+const matter = require("gray-matter");
+const path = require("path");
+const { extractContent, resolveExtraction } = require("./extract");
+
+const LINK_MODES = ["keep", "relative", "plain", "inline", "copy"];
+const DEFAULT_LINK_MODE = "keep";
+
+// Vault folders that never hold link targets
+const IGNORED_FOLDERS = [".obsidian/**", ".trash/**"];
+
+// Resolvers are reused for this long. The source watcher drops them sooner
+// when files in a source are added, moved or removed; elsewhere in the vault
+// such changes are picked up once the resolver expires.
+const RESOLVER_TTL_MS = 30000;
+
+// Resolvers already built, by root folders: { builtAt, resolve }
+const resolverCache = new Map();
+
+// Embedded notes may embed other notes; stop after this many levels
+const MAX_EMBED_DEPTH = 3;
+
+// [[target#heading|alias]] and ![[...]], or [text](target "title") and
+// ![alt](...) (the target may be wrapped in <...>), matched in one pass so
+// rewritten links aren't rewritten again
+const LINK_PATTERN = /(!?)\[\[([^\]|#^]*)([#^][^\]|]*)?(?:\|([^\]]*))?\]\]|(!?)\[([^\]]*)\]\((?:<([^>]+)>|([^)\s]+))(?:\s+"[^"]*")?\)/g;
+// Fenced code blocks and inline code spans are left untouched
+const CODE_PATTERN = /(^(?:```|~~~)[^\n]*\n[\s\S]*?^(?:```|~~~)[^\n]*$|`[^`\n]*`)/gm;
+
+// --- Check a link mode ---
+// Throws an Error naming the valid modes.
+function validateLinkMode(mode) {
+  if (!LINK_MODES.includes(mode)) {
+    throw new Error(
+      `Invalid link mode '${mode}'. Expected one of: ${LINK_MODES.join(", ")}.`
+    );
+  }
+}
+
+// --- Find the files link targets can point at ---
+// `rootDirs` are the vault (and any source folders outside it). Returns
+// resolve(target, fromFile), which gives the absolute path of the target or
+// null when nothing matches.
+function createLinkResolver(rootDirs) {
+  const files = new Set(); // Absolute paths
+  const byPath = new Map(); // Lowercased path from a root -> absolute path
+  const byName = new Map(); // Lowercased file name -> [{ file, key }], shortest path first
+
+  rootDirs.forEach((rootDir) => {
+    glob
+      .sync("**/*", { cwd: rootDir, ignore: IGNORED_FOLDERS, nodir: true })
+      .forEach((relativePath) => {
+        const file = path.join(rootDir, relativePath);
+        const key = relativePath.split(path.sep).join("/").toLowerCase();
+        files.add(file);
+        if (!byPath.has(key)) byPath.set(key, file);
+        const name = path.posix.basename(key);
+        if (!byName.has(name)) byName.set(name, []);
+        byName.get(name).push({ file, key });
+      });
+  });
+  byName.forEach((candidates) =>
+    candidates.sort((a, b) => a.key.split("/").length - b.key.split("/").length)
+  );
+
+  return function resolve(target, fromFile) {
+    const cleaned = target.trim().replace(/^\/+/, "");
+    if (!cleaned) return null;
+    // "[[note]]" means note.md; "[[image.png]]" and "[[v1.2]]" may be either
+    const variants = path.extname(cleaned)
+      ? [cleaned, `${cleaned}.md`]
+      : [`${cleaned}.md`];
+    for (const variant of variants) {
+      const local = path.resolve(path.dirname(fromFile), variant);
+      if (files.has(local)) return local;
+      const key = variant.toLowerCase();
+      if (byPath.has(key)) return byPath.get(key);
+      if (!key.includes("/")) {
+        if (byName.has(key)) return byName.get(key)[0].file;
+        continue;
+      }
+      // "folder/note" also matches "some/folder/note"
+      const suffixMatch = (
+        byName.get(path.posix.basename(key)) || []
+      ).find((candidate) => candidate.key.endsWith(`/${key}`));
+      if (suffixMatch) return suffixMatch.file;
+    }
+    return null;
+  };
+}
+
+// --- A link resolver for the roots, reused for RESOLVER_TTL_MS ---
+// Files deleted since the resolver was built don't resolve.
+function getLinkResolver(rootDirs) {
+  const key = rootDirs.map((dir) => path.resolve(dir)).join("\n");
+  const cached = resolverCache.get(key);
+  if (cached && Date.now() - cached.builtAt < RESOLVER_TTL_MS) {
+    return cached.resolve;
+  }
+  const lookup = createLinkResolver(rootDirs);
+  const resolve = (target, fromFile) => {
+    const file = lookup(target, fromFile);
+    return file && fs.existsSync(file) ? file : null;
+  };
+  resolverCache.set(key, { builtAt: Date.now(), resolve });
+  return resolve;
+}
+
+// --- Forget the cached resolvers (files were added, moved or removed) ---
+function clearLinkResolvers() {
+  resolverCache.clear();
+}
+
+// --- Attachments folder of an aggregate: "<name>-assets" next to it ---
+function assetsDirFor(outputFile) {
+  return path.join(
+    path.dirname(outputFile),
+    `${path.basename(outputFile, path.extname(outputFile))}-assets`
+  );
+}
+
+// --- Path from the aggregate's folder to a file, as a Markdown link target ---
+function linkTarget(fromDir, file) {
+  return path
+    .relative(fromDir, file)
+    .split(path.sep)
+    .map((segment) => encodeURIComponent(segment))
+    .join("/");
+}
+
+// --- The part of a note an embed shows: all of it, a section or a block ---
+function embeddedContent(file, subpath) {
+  const { content } = matter(fs.readFileSync(file, "utf8"));
+  if (!subpath) return content.trim();
+  if (subpath.startsWith("#^") || subpath.startsWith("^")) {
+    // A block reference: the line (or paragraph) ending with "^id"
+    const blockId = subpath.replace(/^#?\^/, "");
+    const block = content
+      .split(/\n\s*\n/)
+      .find((paragraph) => paragraph.trimEnd().endsWith(`^${blockId}`));
+    return block ? block.trim().replace(/\s*\^[\w-]+$/, "") : "";
+  }
+  return extractContent(
+    content,
+    resolveExtraction({
+      mode: "headings",
+      headings: [subpath.replace(/^#/, "").split("#").pop()],
+      stripDateHeading: false,
+    })
+  );
+}
+
+// --- Create the link handler for one aggregation ---
+// `rootDirs` are searched for link targets (see getLinkResolver);
+// `outputFile` is where the aggregate will be written, so relative links
+// and the assets folder are placed next to it. `transformEmbed(content,
+// file)` is applied to the content of inlined notes (aggregate.js uses it to
+// redact them like the notes themselves). Notes for which `canInline(file)`
+// is false are linked instead of inlined (aggregate.js checks their privacy).
+// Returns { process(content, note), unresolved, listAttachments(),
+// copyAttachments() }; `unresolved` lists { file, link, target } for every
+// link that didn't resolve.
+function createLinkHandler({
+  mode = DEFAULT_LINK_MODE,
+  rootDirs = [],
+  outputFile,
+  transformEmbed = (content) => content,
+  canInline = () => true,
+}) {
+  validateLinkMode(mode);
+  const resolve = mode === "keep" ? null : getLinkResolver(rootDirs);
+  const outputDir = path.dirname(outputFile);
+  const assetsFolder = path.basename(assetsDirFor(outputFile));
+  const unresolved = [];
+  const attachments = new Map(); // Absolute path -> name in the assets folder
+
+  // Attachments with the same name from different folders get "-2", "-3"...
+  function assetName(file) {
+    if (attachments.has(file)) return attachments.get(file);
+    const extension = path.extname(file);
+    const base = path.basename(file, extension);
+    const taken = new Set(attachments.values());
+    let name = `${base}${extension}`;
+    for (let counter = 2; taken.has(name); counter++) {
+      name = `${base}-${counter}${extension}`;
+    }
+    attachments.set(file, name);
+    return name;
+  }
+
+  // Rewrite one link; `link` is { embed, target, subpath, text, original }
+  function rewrite(link, note, depth, seen) {
+    // "[[#Heading]]" points into the note itself
+    if (!link.target.trim()) {
+      return mode === "plain" ? link.text : link.original;
+    }
+    const resolved = resolve(link.target, note.file);
+    if (!resolved) {
+      if (
+        !unresolved.some(
+          (item) =>
+            item.file === note.displayPath && item.link === link.original
+        )
+      ) {
+        unresolved.push({
+          file: note.displayPath,
+          link: link.original,
+          target: link.target,
+        });
+      }
+      return mode === "plain" ? link.text : link.original;
+    }
+    if (mode === "plain") return link.text;
+
+    const isNote = path.extname(resolved).toLowerCase() === ".md";
+    if (
+      link.embed &&
+      isNote &&
+      ["inline", "copy"].includes(mode) &&
+      depth < MAX_EMBED_DEPTH &&
+      !seen.includes(resolved) &&
+      canInline(resolved)
+    ) {
+      const embedded = transformEmbed(
+        embeddedContent(resolved, link.subpath),
+        resolved
+      );
+      return processContent(
+        embedded,
+        { file: resolved, displayPath: note.displayPath },
+        depth + 1,
+        [...seen, resolved]
+      );
+    }
+
+    let target = linkTarget(outputDir, resolved);
+    if (!isNote && mode === "copy") {
+      target = `${encodeURIComponent(assetsFolder)}/${encodeURIComponent(
+        assetName(resolved)
+      )}`;
+    }
+    // Block references ("#^id") have no Markdown equivalent
+    const anchor =
+      link.subpath && !/^#?\^/.test(link.subpath)
+        ? `#${encodeURIComponent(link.subpath.replace(/^#/, ""))}`
+        : "";
+    // Markdown can't embed a note; it becomes a link
+    const prefix = link.embed && !isNote ? "!" : "";
+    return `${prefix}[${link.text}](${target}${anchor})`;
+  }
+
+  function rewriteText(text, note, depth, seen) {
+    return text.replace(LINK_PATTERN, (original, ...groups) => {
+      const [wikiEmbed, wikiTarget, wikiSubpath, alias] = groups;
+      if (wikiTarget !== undefined) {
+        const name = path.basename(wikiTarget.trim()).replace(/\.md$/i, "");
+        const heading = wikiSubpath && wikiSubpath.replace(/^#/, "");
+        return rewrite(
+          {
+            embed: Boolean(wikiEmbed),
+            target: wikiTarget,
+            subpath: wikiSubpath,
+            text:
+              alias ||
+              (name && heading ? `${name} > ${heading}` : name || heading),
+            original,
+          },
+          note,
+          depth,
+          seen
+        );
+      }
+
+      const [embed, text, wrappedTarget, plainTarget] = groups.slice(4);
+      const rawLink = wrappedTarget || plainTarget;
+      const hashIndex = rawLink.indexOf("#");
+      const rawTarget =
+        hashIndex === -1 ? rawLink : rawLink.slice(0, hashIndex);
+      // Web links, mail links and anchors in the same note stay as they are
+      if (!rawTarget || /^[a-z][a-z0-9+.-]*:/i.test(rawTarget)) {
+        return original;
+      }
+      let target = rawTarget;
+      try {
+        target = decodeURIComponent(rawTarget);
+      } catch (decodeError) {
+        // Not URL-encoded; use the target as written
+      }
+      return rewrite(
+        {
+          embed: Boolean(embed),
+          target,
+          subpath: hashIndex === -1 ? undefined : rawLink.slice(hashIndex),
+          text: text || path.basename(target),
+          original,
+        },
+        note,
+        depth,
+        seen
+      );
+    });
+  }
+
+  function processContent(content, note, depth, seen) {
+    return content
+      .split(CODE_PATTERN)
+      .map((part, index) =>
+        // Odd parts are the code the pattern captured
+        index % 2 === 1 ? part : rewriteText(part, note, depth, seen)
+      )
+      .join("");
+  }
+
+  // --- Handle the links of one note ---
+  // `note` is { file (absolute path), displayPath (used in reports) }.
+  function process(content, note) {
+    if (mode === "keep") return content;
+    return processContent(content, note, 0, [note.file]);
+  }
+
+  // --- Copy the attachments the "copy" mode linked to ---
+  // Call once the aggregate is written; returns the copied paths.
+  function copyAttachments() {
+    const assetsDir = path.join(outputDir, assetsFolder);
+    return Array.from(attachments, ([file, name]) => {
+      const destination = path.join(assetsDir, name);
+      fs.copySync(file, destination, { overwrite: true });
+      return destination;
+    });
+  }
+
+  // The attachments linked so far: [{ file, asset }], asset being the
+  // path in the assets folder
+  function listAttachments() {
+    return Array.from(attachments, ([file, name]) => ({
+      file,
+      asset: `${assetsFolder}/${name}`,
+    }));
+  }
+
+  return {
+    copyAttachments,
+    listAttachments,
+    process,
+    unresolved,
+  };
+}
+
+module.exports = {
+  DEFAULT_LINK_MODE,
+  LINK_MODES,
+  assetsDirFor,
+  clearLinkResolvers,
+  createLinkHandler,
+  getLinkResolver,
+  validateLinkMode,
+};
@@ -0,0 +1,263 @@
+// logic/noteIndex.js
+//
+// Incremental note index: what getAvailableOptions and aggregateNotes need
+// from each note (frontmatter, body, tags, privacy, date, extracted content),
+// kept per source directory and keyed by path, mtime and size. A refresh
+// lists the files and stats them; only new or changed files are read and
+// parsed again.
+//
+// With an `indexDir` the index is also saved to disk (one JSON file per
+// source directory), so a restart doesn't mean a full rescan. Only metadata
+// is saved (frontmatter, tags, privacy, date): note text stays in memory and
+// is read again the first time an aggregation needs it after a restart.
+
+const crypto = require("crypto");
+const fs = require("fs-extra");
+const matter = require("gray-matter");
+const path = require("path");
+const { findNoteFiles } = require("./discovery");
+const { resolveNoteDate } = require("./dates");
+const { extractContent } = require("./extract");
+const { isAggregateNote } = require("./output");
+const { extractTags } = require("./tags");
+
+// Bump when the stored entry shape changes; older index files are rebuilt
+const INDEX_VERSION = 2;
+
+// --- JSON that keeps Date values (gray-matter parses YAML dates) ---
+function toJson(value) {
+  return JSON.stringify(value, function (key, item) {
+    return this[key] instanceof Date ? { $date: item } : item;
+  });
+}
+
+function fromJson(text) {
+  return JSON.parse(text, (key, item) =>
+    item && typeof item === "object" && typeof item.$date === "string"
+      ? new Date(item.$date)
+      : item
+  );
+}
+
+// --- Index file name for a source directory: <folder>-<hash>.json ---
+function indexFileName(notesDir) {
+  const hash = crypto
+    .createHash("sha1")
+    .update(path.resolve(notesDir))
+    .digest("hex")
+    .slice(0, 10);
+  const folder = path.basename(notesDir).replace(/[^a-zA-Z0-9_-]+/g, "-");
+  return `${folder || "notes"}-${hash}.json`;
+}
+
+// --- The part of an entry that is saved to disk (no note text) ---
+function storedEntry({ content, extracted, extractionKey, ...metadata }) {
+  return metadata;
+}
+
+// --- Read and parse one note into an index entry ---
+// Parse errors are stored (and logged once) so the file isn't re-read until
+// it changes.
+function parseNote(file, stats) {
+  const entry = { mtimeMs: stats.mtimeMs, size: stats.size };
+  try {
+    const { data, content } = matter(fs.readFileSync(file, "utf8"));
+    const { tags, sources } = extractTags(data, content);
+    Object.assign(entry, {
+      aggregate: isAggregateNote(data), // Earlier output, not a note
+      data,
+      content,
+      tags,
+      tagSources: sources,
+      privacy: data.privacy || null,
+    });
+  } catch (parseError) {
+    console.warn(
+      `Warning: Could not parse ${path.basename(file)}: ${parseError.message}`
+    );
+    entry.error = parseError.message;
+  }
+  return entry;
+}
+
+// --- Create a note index ---
+// `indexDir` (optional) is where index files are saved; without it the
+// index only lives in memory.
+function createNoteIndex({ indexDir = null } = {}) {
+  const indexes = new Map(); // Resolved notesDir -> { files, refreshedAt }
+
+  function indexFilePath(notesDir) {
+    return indexDir && path.join(indexDir, indexFileName(notesDir));
+  }
+
+  // The in-memory index for a directory, loaded from disk the first time
+  function load(notesDir) {
+    const key = path.resolve(notesDir);
+    if (indexes.has(key)) return indexes.get(key);
+
+    let index = { files: {}, refreshedAt: null };
+    const filePath = indexFilePath(key);
+    if (filePath && fs.existsSync(filePath)) {
+      try {
+        const stored = fromJson(fs.readFileSync(filePath, "utf8"));
+        if (stored.version === INDEX_VERSION && stored.notesDir === key) {
+          index = { files: stored.files, refreshedAt: stored.refreshedAt };
+        }
+      } catch (readError) {
+        console.warn(
+          `Warning: Ignoring unreadable note index ${filePath}: ${readError.message}`
+        );
+      }
+    }
+    indexes.set(key, index);
+    return index;
+  }
+
+  // Write to a temporary file first so a crash never leaves half an index
+  function save(notesDir, index) {
+    const filePath = indexFilePath(notesDir);
+    if (!filePath) return;
+    try {
+      fs.ensureDirSync(indexDir);
+      const tempPath = `${filePath}.tmp`;
+      fs.writeFileSync(
+        tempPath,
+        toJson({
+          version: INDEX_VERSION,
+          notesDir: path.resolve(notesDir),
+          refreshedAt: index.refreshedAt,
+          files: Object.fromEntries(
+            Object.entries(index.files).map(([relativePath, entry]) => [
+              relativePath,
+              storedEntry(entry),
+            ])
+          ),
+        })
+      );
+      fs.renameSync(tempPath, filePath);
+    } catch (writeError) {
+      // The in-memory index still works; it is rebuilt after a restart
+      console.warn(
+        `Warning: Could not save note index ${filePath}: ${writeError.message}`
+      );
+    }
+  }
+
+  // --- Bring the index up to date and return its notes ---
+  // `include` / `exclude` select the files (see discovery.js). When
+  // `dateFormats` / `dateField` or `extraction` are given, each note's date
+  // and extracted content are resolved too, and stored until the note or
+  // the settings change.
+  // Returns { notes, changes }: notes are the entries plus `file` (absolute)
+  // and `relativePath`, sorted by path; changes counts added, updated,
+  // removed and unchanged files. Several sources can index the same folder
+  // with different patterns, so only files deleted from disk are dropped.
+  function refresh(notesDir, options = {}) {
+    const { include, exclude, dateFormats, dateField, extraction } = options;
+    const index = load(notesDir);
+    const files = findNoteFiles(notesDir, { include, exclude });
+    const changes = { added: 0, updated: 0, removed: 0, unchanged: 0 };
+    let dirty = false;
+
+    const seen = new Set();
+    const notes = [];
+    files.forEach((file) => {
+      const relativePath = path.relative(notesDir, file);
+      seen.add(relativePath);
+      let stats;
+      try {
+        stats = fs.statSync(file);
+      } catch (statError) {
+        return; // Deleted since it was listed
+      }
+
+      let entry = index.files[relativePath];
+      if (
+        entry &&
+        entry.mtimeMs === stats.mtimeMs &&
+        entry.size === stats.size
+      ) {
+        changes.unchanged++;
+        // Loaded from disk without its text, which extraction needs
+        if (extraction && !entry.error && entry.content === undefined) {
+          entry = parseNote(file, stats);
+          index.files[relativePath] = entry;
+        }
+      } else {
+        changes[entry ? "updated" : "added"]++;
+        entry = parseNote(file, stats);
+        index.files[relativePath] = entry;
+        dirty = true;
+      }
+      if (entry.error) return;
+
+      if (!entry.aggregate) {
+        if (dateFormats !== undefined || dateField !== undefined) {
+          const dateKey = toJson({ dateFormats, dateField });
+          if (entry.dateKey !== dateKey) {
+            const { date, dateSource } = resolveNoteDate(file, entry.data, {
+              dateFormats,
+              dateField,
+            });
+            Object.assign(entry, { dateKey, date, dateSource });
+            dirty = true;
+          }
+        }
+        if (extraction) {
+          const extractionKey = toJson(extraction);
+          if (entry.extractionKey !== extractionKey) {
+            entry.extractionKey = extractionKey;
+            entry.extracted = extractContent(entry.content, extraction);
+            dirty = true;
+          }
+        }
+      }
+      notes.push({ ...entry, file, relativePath });
+    });
+
+    // Files that are gone (ones outside these patterns may be another
+    // source's)
+    Object.keys(index.files)
+      .filter(
+        (relativePath) =>
+          !seen.has(relativePath) &&
+          !fs.existsSync(path.join(notesDir, relativePath))
+      )
+      .forEach((relativePath) => {
+        delete index.files[relativePath];
+        changes.removed++;
+        dirty = true;
+      });
+
+    index.refreshedAt = new Date().toISOString();
+    if (dirty) save(notesDir, index);
+    return { notes, changes };
+  }
+
+  // --- Drop everything known about a directory and index it from scratch ---
+  function rebuild(notesDir, options = {}) {
+    const key = path.resolve(notesDir);
+    indexes.set(key, { files: {}, refreshedAt: null });
+    return refresh(notesDir, options);
+  }
+
+  // --- Summary of a directory's index, without refreshing it ---
+  function describe(notesDir) {
+    const index = load(notesDir);
+    return {
+      notes: Object.keys(index.files).length,
+      refreshedAt: index.refreshedAt,
+      file: indexFilePath(notesDir),
+    };
+  }
+
+  return {
+    describe,
+    rebuild,
+    refresh,
+  };
+}
+
+module.exports = {
+  createNoteIndex,
+};
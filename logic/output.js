@@ -0,0 +1,189 @@
+// logic/output.js
+//
+// Output files: where aggregates may be written, how they are named (a
+// filename template using the template engine's {{placeholders}}), what to do
+// when the target file already exists, and how aggregates are recognised.
+
+const fs = require("fs-extra");
+const path = require("path");
+const { compileTemplate, renderTemplate } = require("./template");
+const { frontmatterValueToTags } = require("./tags");
+
+// Every aggregate carries this frontmatter tag, so it can be told apart from
+// ordinary notes when it ends up inside a scanned folder
+const AGGREGATE_TAG = "aggregated";
+
+// What to do when the output file already exists:
+//   fail      - stop with an error (the original behaviour)
+//   overwrite - replace the existing file
+//   suffix    - add "-2", "-3", ... until the name is free
+//   timestamp - add the aggregation time ("-20240305-143012")
+const COLLISION_POLICIES = ["fail", "overwrite", "suffix", "timestamp"];
+const DEFAULT_COLLISION_POLICY = "fail";
+
+// Keeps the original "<tag>-<date>" names
+const DEFAULT_FILENAME_TEMPLATE = "{{tags}}-{{date}}";
+
+// Readable names get long with many tags; keep filenames manageable
+const MAX_NAME_LENGTH = 100;
+
+// --- Is a note an aggregate produced by this tool? ---
+// Checks the frontmatter `tags` / `tag` fields for the `aggregated` tag.
+function isAggregateNote(data = {}) {
+  return [
+    ...frontmatterValueToTags(data.tags),
+    ...frontmatterValueToTags(data.tag),
+  ].some((tag) => tag.toLowerCase() === AGGREGATE_TAG);
+}
+
+// --- Hidden metadata file kept next to a plain text aggregate ---
+// Text output has no room for the run's settings, so they are written to
+// ".<name>.txt.json" beside it for the output browser.
+function metadataSidecarFor(outputFile) {
+  return path.join(
+    path.dirname(outputFile),
+    `.${path.basename(outputFile)}.json`
+  );
+}
+
+// --- Is `dir` the same as, or somewhere below, `parentDir`? ---
+function isSameOrInsideDir(dir, parentDir) {
+  const relative = path.relative(path.resolve(parentDir), path.resolve(dir));
+  return (
+    relative === "" ||
+    (!relative.startsWith("..") && !path.isAbsolute(relative))
+  );
+}
+
+// --- Sources whose folder contains an output directory ---
+// Aggregates written there would be picked up by later scans of that source,
+// so callers treat a non-empty result as a configuration error.
+function findSourcesContaining(outputDir, sources) {
+  return Object.values(sources).filter((source) =>
+    isSameOrInsideDir(outputDir, source.path)
+  );
+}
+
+// --- Make a string safe for use in a filename ---
+// Lowercase; anything other than letters, numbers, '_', '-' and '.' becomes
+// '-', repeated dashes are collapsed and leading dots are dropped.
+function slugify(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}_.-]+/gu, "-")
+    .replace(/-{2,}/g, "-")
+    .replace(/^[-.]+|-+$/g, "");
+}
+
+// --- Readable filename part for the tag filter ---
+// "spain" for one tag, "meeting-1on1" for several checkbox tags and
+// "meeting-or-1on1-and-not-private" for a tag query; "all" without a filter.
+function describeTagsForFilename({ tagQueryText, requiredTags }) {
+  if (tagQueryText) return slugify(tagQueryText);
+  if (requiredTags && requiredTags.length > 0) {
+    return requiredTags.map(slugify).filter(Boolean).join("-");
+  }
+  return "all";
+}
+
+// --- Validate a filename template (throws an Error when it can't be used) ---
+// Path separators need no check: renderFilename turns them into '-'.
+function validateFilenameTemplate(filenameTemplate) {
+  if (typeof filenameTemplate !== "string" || !filenameTemplate.trim()) {
+    throw new Error("Filename template must be a non-empty string.");
+  }
+  compileTemplate(filenameTemplate); // Throws on syntax errors
+}
+
+// --- Build the output filename (without extension) from the template ---
+// Available placeholders: tags, date (aggregation date), start_date,
+// end_date, source and aggregation_type. Each value is made filename-safe.
+function renderFilename(filenameTemplate, values) {
+  const safeValues = Object.fromEntries(
+    Object.entries(values).map(([name, value]) => [
+      name,
+      value ? slugify(value) : "",
+    ])
+  );
+  const name = slugify(renderTemplate(filenameTemplate, safeValues))
+    .slice(0, MAX_NAME_LENGTH)
+    .replace(/-+$/, "");
+  if (!name) {
+    throw new Error(
+      `Filename template '${filenameTemplate}' produced an empty name.`
+    );
+  }
+  return name;
+}
+
+// --- Compact UTC timestamp for "timestamp" collisions: 20240305-143012 ---
+function fileTimestamp(date) {
+  return date.toISOString().slice(0, 19).replace(/[-:]/g, "").replace("T", "-");
+}
+
+// --- Pick the output path according to the collision policy ---
+// Returns { outputFile, exists } where `exists` tells whether the returned
+// path already exists. With "fail", an existing file throws unless `dryRun`
+// is set; a preview reports the clash via `exists` instead.
+function resolveOutputPath(
+  aggregatesDir,
+  baseName,
+  extension,
+  {
+    collisionPolicy = DEFAULT_COLLISION_POLICY,
+    dryRun = false,
+    now = new Date(),
+  } = {}
+) {
+  if (!COLLISION_POLICIES.includes(collisionPolicy)) {
+    throw new Error(
+      `Invalid 'collisionPolicy' parameter. Must be one of: ${COLLISION_POLICIES.join(
+        ", "
+      )}.`
+    );
+  }
+  const fileFor = (name) => path.join(aggregatesDir, `${name}.${extension}`);
+  const outputFile = fileFor(baseName);
+  if (!fs.existsSync(outputFile)) return { outputFile, exists: false };
+
+  switch (collisionPolicy) {
+    case "overwrite":
+      return { outputFile, exists: true };
+    case "suffix":
+    case "timestamp": {
+      const stem =
+        collisionPolicy === "timestamp"
+          ? `${baseName}-${fileTimestamp(now)}`
+          : baseName;
+      let candidate = fileFor(stem);
+      // A timestamped name can still clash when run twice in one second
+      for (let n = 2; fs.existsSync(candidate); n++) {
+        candidate = fileFor(`${stem}-${n}`);
+      }
+      return { outputFile: candidate, exists: false };
+    }
+    default: {
+      if (dryRun) return { outputFile, exists: true };
+      const relativePath = path.relative(process.cwd(), outputFile);
+      throw new Error(
+        `File already exists: ${relativePath}. Aborting aggregation.`
+      );
+    }
+  }
+}
+
+module.exports = {
+  AGGREGATE_TAG,
+  COLLISION_POLICIES,
+  DEFAULT_COLLISION_POLICY,
+  DEFAULT_FILENAME_TEMPLATE,
+  describeTagsForFilename,
+  findSourcesContaining,
+  isAggregateNote,
+  isSameOrInsideDir,
+  metadataSidecarFor,
+  renderFilename,
+  resolveOutputPath,
+  slugify,
+  validateFilenameTemplate,
+};
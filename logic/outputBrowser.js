@@ -0,0 +1,308 @@
+// logic/outputBrowser.js
+//
+// Browsing past aggregates: lists the files in every output folder (the
+// default one and each source's own outputPath), reads their settings back
+// from the metadata they carry (Markdown frontmatter, the JSON output's
+// `meta`, the JSON embedded in HTML output, the hidden sidecar file of plain
+// text output) and turns those settings into a request that repeats the run.
+// Files without that metadata aren't aggregates and are never listed.
+
+const fs = require("fs-extra");
+const path = require("path");
+const matter = require("gray-matter");
+const { listFormats } = require("./renderers");
+const { escapeHtml, renderMarkdown } = require("./renderers/html");
+const { outputDirFor } = require("./aggregationOptions");
+const { isAggregateNote, metadataSidecarFor } = require("./output");
+
+// Key of the default output folder (AGGREGATES_PATH / output/); source
+// folders are keyed "source-<key>"
+const DEFAULT_OUTPUT_DIR_KEY = "default";
+
+const METADATA_SCRIPT_PATTERN = /<script type="application\/json" id="aggregate-metadata">([\s\S]*?)<\/script>/;
+
+// --- File extensions the renderers write (md, html, json, txt) ---
+function outputExtensions() {
+  return [...new Set(listFormats().map((format) => format.extension))];
+}
+
+// --- Output folders to browse: [{ key, label, path }] ---
+// A folder shared by several sources (or equal to the default) is listed once.
+function listOutputDirs(sources, aggregatesDir) {
+  const dirs = [
+    {
+      key: DEFAULT_OUTPUT_DIR_KEY,
+      label: "Default output folder",
+      path: path.resolve(aggregatesDir),
+    },
+  ];
+  Object.values(sources).forEach((source) => {
+    const dir = path.resolve(outputDirFor(source, aggregatesDir));
+    if (!dirs.some((existing) => existing.path === dir)) {
+      dirs.push({
+        key: `source-${source.key}`,
+        label: `${source.name} output folder`,
+        path: dir,
+      });
+    }
+  });
+  return dirs;
+}
+
+// YAML turns unquoted dates into Date objects; keep them as YYYY-MM-DD
+function dateValue(value) {
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  return value || null;
+}
+
+// --- Read an output file's metadata (null if it has none) ---
+// Markdown files only count as aggregates when their frontmatter says so
+// (the `aggregated` tag, or `aggregation_type` in files written before the
+// tag was added). Plain text output is read from its sidecar file.
+function readMetadata(filePath, extension) {
+  if (extension === "txt") {
+    const sidecar = metadataSidecarFor(filePath);
+    return fs.existsSync(sidecar) ? fs.readJsonSync(sidecar) : null;
+  }
+  const content = fs.readFileSync(filePath, "utf8");
+  switch (extension) {
+    case "md": {
+      const { data } = matter(content);
+      return isAggregateNote(data) || data.aggregation_type ? data : null;
+    }
+    case "json": {
+      const parsed = JSON.parse(content);
+      return parsed && typeof parsed.meta === "object" ? parsed.meta : null;
+    }
+    case "html": {
+      const match = content.match(METADATA_SCRIPT_PATTERN);
+      return match ? JSON.parse(match[1]) : null;
+    }
+    default:
+      return null;
+  }
+}
+
+// --- Short description of an aggregate's filters, for the list ---
+// `source_tags` is the tag list written by versions before tag queries.
+function summarizeMetadata(metadata) {
+  const legacyTags = Array.isArray(metadata.source_tags)
+    ? metadata.source_tags.join(", ")
+    : null;
+  return {
+    date: dateValue(metadata.date),
+    source: Array.isArray(metadata.source_keys)
+      ? metadata.source_keys.join(", ")
+      : metadata.source_key || metadata.source_directory || null,
+    tags: metadata.tag_query || legacyTags || "all",
+    startDate: dateValue(metadata.filter_start_date),
+    endDate: dateValue(metadata.filter_end_date),
+    privacy: Array.isArray(metadata.filter_privacy)
+      ? metadata.filter_privacy
+      : [],
+  };
+}
+
+// --- Turn an aggregate's metadata back into an aggregation request ---
+// Returns the API payload that repeats the run, or null when a source
+// can't be found any more. Older aggregates have no `source_key`; their
+// source is found by its folder name. Aggregates of several sources list
+// them in `source_keys`. Keys are looked up as the map's own entries, so a
+// key like `constructor` doesn't match anything.
+function metadataToRequest(metadata, sources) {
+  let request;
+  if (Array.isArray(metadata.source_keys)) {
+    if (!metadata.source_keys.every((key) => Object.hasOwn(sources, key))) {
+      return null;
+    }
+    request = { sourceDirKeys: metadata.source_keys };
+  } else {
+    const source =
+      (metadata.source_key &&
+        Object.hasOwn(sources, metadata.source_key) &&
+        sources[metadata.source_key]) ||
+      Object.values(sources).find(
+        (candidate) =>
+          path.basename(candidate.path) === metadata.source_directory
+      );
+    if (!source) return null;
+    request = { sourceDirKey: source.key };
+  }
+
+  if (Array.isArray(metadata.source_tags) && metadata.source_tags.length) {
+    request.requiredTags = metadata.source_tags;
+  } else if (metadata.tag_query) {
+    // Checkbox tags were recorded as "a OR b"; send them as tags again so
+    // the filename and aggregation type stay the same
+    if (["single-tag", "multi-tag"].includes(metadata.aggregation_type)) {
+      request.requiredTags = metadata.tag_query.split(" OR ");
+    } else {
+      request.tagQuery = metadata.tag_query;
+    }
+  }
+  if (Array.isArray(metadata.filter_privacy)) {
+    request.allowedPrivacy = metadata.filter_privacy;
+  }
+  if (metadata.filter_start_date) {
+    request.startDate = dateValue(metadata.filter_start_date);
+  }
+  if (metadata.filter_end_date) {
+    request.endDate = dateValue(metadata.filter_end_date);
+  }
+  if (metadata.filter_undated) request.undatedPolicy = metadata.filter_undated;
+  const textSearch = metadata.text_search;
+  if (textSearch && textSearch.query) {
+    request.textQuery = textSearch.query;
+    request.textMatch = textSearch.match;
+    request.textRegex = Boolean(textSearch.regex);
+    request.textExcerpts = Boolean(textSearch.excerpts);
+  }
+  const fieldFilters = metadata.field_filters;
+  if (fieldFilters && Array.isArray(fieldFilters.rules)) {
+    request.fieldFilters = fieldFilters.rules;
+    request.showFieldValues = Boolean(fieldFilters.show_values);
+  }
+
+  // The frontmatter describes extraction with snake_case keys
+  const extraction = metadata.extraction;
+  if (extraction && extraction.mode) {
+    request.extraction = {
+      mode: extraction.mode,
+      separator: extraction.separator,
+      headings: extraction.headings,
+      startMarker: extraction.start_marker,
+      endMarker: extraction.end_marker,
+      pattern: extraction.pattern,
+      flags: extraction.flags,
+      stripDateHeading: extraction.strip_date_heading,
+    };
+    Object.keys(request.extraction)
+      .filter((key) => request.extraction[key] === undefined)
+      .forEach((key) => delete request.extraction[key]);
+  }
+  // Redaction settings (the summary of what was redacted is left out)
+  const redaction = metadata.redaction;
+  if (redaction && redaction.action) {
+    request.redaction = {
+      enabled: true,
+      action: redaction.action,
+      mask: redaction.mask,
+      startMarker: redaction.start_marker,
+      endMarker: redaction.end_marker,
+      lineTags: redaction.line_tags,
+      patterns: redaction.patterns,
+      customPatterns: redaction.custom_patterns,
+      flags: redaction.flags,
+      links: redaction.links,
+    };
+    Object.keys(request.redaction)
+      .filter((key) => request.redaction[key] === undefined)
+      .forEach((key) => delete request.redaction[key]);
+  } else if (redaction === null) {
+    request.redaction = { enabled: false }; // Explicitly off for this run
+  }
+  if (metadata.link_mode) request.linkMode = metadata.link_mode;
+  if (metadata.format) request.format = metadata.format;
+  if (metadata.template) request.template = metadata.template;
+  if (metadata.group_by) request.groupBy = metadata.group_by;
+  if (metadata.sort) request.sort = metadata.sort;
+  if (metadata.filename_template) {
+    request.filenameTemplate = metadata.filename_template;
+  }
+  return request;
+}
+
+// --- Describe one output file (null if it isn't a browsable aggregate) ---
+function describeAggregate(dir, fileName, sources) {
+  const extension = path.extname(fileName).slice(1).toLowerCase();
+  if (fileName.startsWith(".") || !outputExtensions().includes(extension)) {
+    return null;
+  }
+  const filePath = path.join(dir.path, fileName);
+  let stats;
+  let metadata = null;
+  try {
+    stats = fs.statSync(filePath);
+    if (!stats.isFile()) return null;
+    metadata = readMetadata(filePath, extension);
+  } catch (readError) {
+    // Unreadable or malformed files can't be told apart from other files
+    if (!stats) return null;
+    console.warn(
+      `Warning: Could not read metadata of ${filePath}: ${readError.message}`
+    );
+  }
+  if (!metadata) return null; // An ordinary note or some other file
+
+  return {
+    dir: dir.key,
+    file: fileName,
+    filePath,
+    format: (metadata && metadata.format) || extension,
+    size: stats.size,
+    modifiedAt: stats.mtime.toISOString(),
+    summary: metadata && summarizeMetadata(metadata),
+    metadata,
+    request: metadata && metadataToRequest(metadata, sources),
+  };
+}
+
+// --- All aggregates in the output folders, newest first ---
+function listAggregates(dirs, sources) {
+  const aggregates = [];
+  dirs.forEach((dir) => {
+    if (!fs.existsSync(dir.path)) return;
+    fs.readdirSync(dir.path).forEach((fileName) => {
+      const aggregate = describeAggregate(dir, fileName, sources);
+      if (aggregate) aggregates.push(aggregate);
+    });
+  });
+  return aggregates.sort((a, b) => b.modifiedAt.localeCompare(a.modifiedAt));
+}
+
+// --- Look up one aggregate by folder key and file name ---
+// Returns undefined for unknown folders, names with path separators and
+// files that aren't aggregates, so requests can't reach other files.
+function findAggregate(dirs, dirKey, fileName, sources) {
+  const dir = dirs.find((candidate) => candidate.key === dirKey);
+  if (!dir || !fileName || path.basename(fileName) !== fileName) {
+    return undefined;
+  }
+  return describeAggregate(dir, fileName, sources) || undefined;
+}
+
+// --- A standalone HTML page showing an aggregate ---
+// HTML output is shown as it is; Markdown is rendered (without its
+// frontmatter); JSON and text are shown preformatted.
+function renderAggregatePage(aggregate, content) {
+  const extension = path.extname(aggregate.file).slice(1).toLowerCase();
+  if (extension === "html") return content;
+
+  const body =
+    extension === "md"
+      ? renderMarkdown(matter(content).content)
+      : `<pre>${escapeHtml(content)}</pre>`;
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>${escapeHtml(aggregate.file)}</title>
+    <style>
+      body { font-family: sans-serif; line-height: 1.6; max-width: 800px; margin: 20px auto; padding: 0 20px; color: #333; }
+      pre { background: #f4f4f4; padding: 10px; overflow-x: auto; white-space: pre-wrap; }
+    </style>
+  </head>
+  <body>
+    ${body}
+  </body>
+</html>
+`;
+}
+
+module.exports = {
+  findAggregate,
+  listAggregates,
+  listOutputDirs,
+  metadataToRequest,
+  renderAggregatePage,
+};
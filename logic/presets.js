@@ -0,0 +1,157 @@
+// logic/presets.js
+//
+// Named aggregation presets, stored in a JSON file on the server:
+//
+//   { "presets": [
+//     { "name": "weekly-work", "description": "...",
+//       "request": { "sourceDirKey": "work", "requiredTags": ["meeting"],
+//                    "dateRange": "previous-week", "format": "md" } }
+//   ] }
+//
+// `request` holds the same fields as the aggregation API payload; a relative
+// `dateRange` is resolved each time the preset runs.
+
+const fs = require("fs-extra");
+
+// Payload fields a preset may store (see aggregationOptions.js)
+const PRESET_REQUEST_KEYS = [
+  "sourceDirKey",
+  "sourceDirKeys",
+  "requiredTags",
+  "tagQuery",
+  "textQuery",
+  "textMatch",
+  "textRegex",
+  "textExcerpts",
+  "fieldFilters",
+  "showFieldValues",
+  "allowedPrivacy",
+  "dateRange",
+  "startDate",
+  "endDate",
+  "undatedPolicy",
+  "extraction",
+  "redaction",
+  "linkMode",
+  "format",
+  "template",
+  "groupBy",
+  "sort",
+  "filenameTemplate",
+  "collisionPolicy",
+];
+
+// Names are used in URLs (/api/presets/:name), so keep them simple
+const PRESET_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+// --- Check a preset's shape ---
+// Returns a list of problems; empty when the preset is usable. Whether the
+// request itself is valid (source, date range, template...) is checked by
+// buildAggregationOptions when the preset is saved or run.
+function validatePreset(preset) {
+  if (!preset || typeof preset !== "object" || Array.isArray(preset)) {
+    return ["Preset must be an object with a name and a request."];
+  }
+  const problems = [];
+  const { name, description, request } = preset;
+
+  if (typeof name !== "string" || !PRESET_NAME_PATTERN.test(name)) {
+    problems.push(
+      "Preset 'name' is required and may only contain letters, numbers, '-' and '_' (up to 64 characters)."
+    );
+  }
+  if (description !== undefined && typeof description !== "string") {
+    problems.push("Preset 'description' must be a string.");
+  }
+  if (!request || typeof request !== "object" || Array.isArray(request)) {
+    problems.push("Preset 'request' must be an object.");
+    return problems;
+  }
+
+  Object.keys(request)
+    .filter((key) => !PRESET_REQUEST_KEYS.includes(key))
+    .forEach((key) => problems.push(`Unknown preset request field '${key}'.`));
+  const hasSourceList =
+    Array.isArray(request.sourceDirKeys) && request.sourceDirKeys.length > 0;
+  if (!request.sourceDirKey && !hasSourceList) {
+    problems.push(
+      "Preset 'request.sourceDirKey' (or 'request.sourceDirKeys') is required."
+    );
+  }
+  return problems;
+}
+
+// --- Preset Store: read and write presets in a JSON file ---
+// The file is read on every call so manual edits are picked up; it is
+// created on the first save.
+function createPresetStore(filePath) {
+  function readAll() {
+    if (!fs.existsSync(filePath)) return [];
+    let parsed;
+    try {
+      parsed = fs.readJsonSync(filePath);
+    } catch (parseError) {
+      throw new Error(
+        `Could not parse presets file ${filePath}: ${parseError.message}`
+      );
+    }
+    if (!parsed || !Array.isArray(parsed.presets)) {
+      throw new Error(`${filePath}: expected a top-level "presets" array.`);
+    }
+    return parsed.presets;
+  }
+
+  function writeAll(presets) {
+    const sorted = [...presets].sort((a, b) => a.name.localeCompare(b.name));
+    fs.outputJsonSync(filePath, { presets: sorted }, { spaces: 2 });
+  }
+
+  function listPresets() {
+    return readAll();
+  }
+
+  function getPreset(name) {
+    return readAll().find((preset) => preset.name === name);
+  }
+
+  // Creates the preset or replaces the one with the same name.
+  // Throws an Error listing the problems if the preset is invalid.
+  function savePreset(preset) {
+    const problems = validatePreset(preset);
+    if (problems.length > 0) throw new Error(problems.join(" "));
+
+    const stored = {
+      name: preset.name,
+      ...(preset.description && { description: preset.description }),
+      request: preset.request,
+    };
+    const others = readAll().filter(
+      (existing) => existing.name !== preset.name
+    );
+    writeAll([...others, stored]);
+    return stored;
+  }
+
+  // Returns false if there was no preset with that name
+  function deletePreset(name) {
+    const presets = readAll();
+    const remaining = presets.filter((preset) => preset.name !== name);
+    if (remaining.length === presets.length) return false;
+    writeAll(remaining);
+    return true;
+  }
+
+  return {
+    filePath,
+    listPresets,
+    getPreset,
+    savePreset,
+    deletePreset,
+  };
+}
+
+module.exports = {
+  PRESET_REQUEST_KEYS,
+  createPresetStore,
+  validatePreset,
+};
@@ -0,0 +1,278 @@
+// logic/redact.js
+//
+// Redaction: removes or masks private parts of each note before it is
+// rendered, so an aggregate of mostly-public notes can be shared. Runs after
+// extraction, in this order:
+//
+//   blocks   - text between a start and end marker (e.g. "%%private%%" ... "%%/private%%")
+//   lines    - lines carrying one of the line tags (e.g. "#private")
+//   links    - [[wikilinks]], ![[embeds]] and [text](note.md) links to notes
+//              outside the allowed privacy levels
+//   patterns - built-in patterns ("email", "phone") and custom regexes (e.g. names)
+//
+// The action decides what is left behind: "mask" replaces each redaction
+// with the mask text, "strip" removes it.
+
+const REDACTION_ACTIONS = ["mask", "strip"];
+
+// Built-in patterns, by the name used in the `patterns` setting
+const BUILT_IN_PATTERNS = {
+  email: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g,
+  // Checked further in redactPatterns: 9 to 15 digits, so dates don't match
+  phone: /\+?\(?\d[\d\s().-]{7,}\d/g,
+};
+
+// Redaction is off unless a source or request turns it on
+const DEFAULT_REDACTION = {
+  enabled: false,
+  action: "mask",
+  mask: "[redacted]",
+  startMarker: "%%private%%",
+  endMarker: "%%/private%%",
+  lineTags: ["private"],
+  patterns: [],
+  customPatterns: [],
+  flags: "i",
+  links: true,
+};
+
+// --- Escape a literal string for use inside a RegExp ---
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// --- Normalise a comma-separated string or array to a list of strings ---
+function toList(value) {
+  if (typeof value === "string") {
+    return value
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean);
+  }
+  return value;
+}
+
+// --- Merge redaction settings with defaults and validate them ---
+// Accepts a partial settings object (from the sources config or a request).
+// Throws an Error describing the first problem found.
+function resolveRedaction(settings = {}) {
+  const redaction = { ...DEFAULT_REDACTION, ...settings };
+  redaction.lineTags = toList(redaction.lineTags).map((tag) =>
+    String(tag).replace(/^#/, "")
+  );
+  redaction.patterns = toList(redaction.patterns);
+
+  if (typeof redaction.enabled !== "boolean") {
+    throw new Error("Redaction 'enabled' must be true or false.");
+  }
+  if (!REDACTION_ACTIONS.includes(redaction.action)) {
+    throw new Error(
+      `Invalid redaction action '${
+        redaction.action
+      }'. Expected one of: ${REDACTION_ACTIONS.join(", ")}.`
+    );
+  }
+  if (typeof redaction.mask !== "string") {
+    throw new Error("Redaction 'mask' must be a string.");
+  }
+  if (
+    typeof redaction.startMarker !== "string" ||
+    typeof redaction.endMarker !== "string" ||
+    Boolean(redaction.startMarker) !== Boolean(redaction.endMarker)
+  ) {
+    throw new Error(
+      "Redaction needs both a start and an end marker (or neither)."
+    );
+  }
+  const unknownPattern = redaction.patterns.find(
+    (name) => !BUILT_IN_PATTERNS[name]
+  );
+  if (unknownPattern !== undefined) {
+    throw new Error(
+      `Unknown redaction pattern '${unknownPattern}'. Expected one of: ${Object.keys(
+        BUILT_IN_PATTERNS
+      ).join(", ")}.`
+    );
+  }
+  if (
+    !Array.isArray(redaction.customPatterns) ||
+    redaction.customPatterns.some((pattern) => typeof pattern !== "string")
+  ) {
+    throw new Error("Redaction 'customPatterns' must be a list of regexes.");
+  }
+  redaction.customPatterns = redaction.customPatterns.filter(Boolean);
+  redaction.customPatterns.forEach((pattern) => {
+    try {
+      new RegExp(pattern, redaction.flags);
+    } catch (regexError) {
+      throw new Error(`Invalid redaction regex: ${regexError.message}`);
+    }
+  });
+  if (typeof redaction.links !== "boolean") {
+    throw new Error("Redaction 'links' must be true or false.");
+  }
+
+  return redaction;
+}
+
+// --- Empty redaction counts (per note, and summed for the aggregate) ---
+function createRedactionCounts() {
+  return { blocks: 0, lines: 0, links: 0, email: 0, phone: 0, custom: 0 };
+}
+
+// --- Describe the settings and what was redacted (for output frontmatter) ---
+// null when redaction is off. `summary` comes from summarizeRedactions().
+function describeRedaction(redaction, summary) {
+  if (!redaction.enabled) return null;
+  return {
+    action: redaction.action,
+    mask: redaction.mask,
+    start_marker: redaction.startMarker,
+    end_marker: redaction.endMarker,
+    line_tags: redaction.lineTags,
+    patterns: redaction.patterns,
+    custom_patterns: redaction.customPatterns,
+    flags: redaction.flags,
+    links: redaction.links,
+    redacted: summary,
+  };
+}
+
+// --- Total of the per-note counts: { notes, blocks, lines, links, ... } ---
+// `notes` is the number of notes with at least one redaction.
+function summarizeRedactions(countsList) {
+  const summary = { notes: 0, ...createRedactionCounts() };
+  countsList.forEach((counts) => {
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    if (total > 0) summary.notes++;
+    Object.keys(counts).forEach((key) => {
+      summary[key] += counts[key];
+    });
+  });
+  return summary;
+}
+
+// --- Blocks: text between each start/end marker pair ---
+// An unclosed start marker runs to the end of the note, so a missing end
+// marker never leaks the rest of it.
+function redactBlocks(content, redaction, replacement, counts) {
+  const { startMarker, endMarker } = redaction;
+  if (!startMarker) return content;
+  let result = "";
+  let searchFrom = 0;
+  while (true) {
+    const start = content.indexOf(startMarker, searchFrom);
+    if (start === -1) break;
+    const end = content.indexOf(endMarker, start + startMarker.length);
+    result += content.slice(searchFrom, start) + replacement;
+    counts.blocks++;
+    if (end === -1) return result;
+    searchFrom = end + endMarker.length;
+  }
+  return result + content.slice(searchFrom);
+}
+
+// --- Lines: any line carrying one of the line tags (or a nested tag) ---
+function redactLines(content, redaction, replacement, counts) {
+  if (redaction.lineTags.length === 0) return content;
+  const tagPattern = new RegExp(
+    `(^|\\s)#(${redaction.lineTags
+      .map(escapeRegex)
+      .join("|")})(/[\\p{L}\\p{N}_\\-/]*)?(?![\\p{L}\\p{N}_\\-/])`,
+    "iu"
+  );
+  const lines = [];
+  content.split("\n").forEach((line) => {
+    if (!tagPattern.test(line)) {
+      lines.push(line);
+      return;
+    }
+    counts.lines++;
+    if (replacement) lines.push(replacement);
+  });
+  return lines.join("\n");
+}
+
+// --- Links: wikilinks, embeds and Markdown links to hidden notes ---
+// `isHiddenNote(target)` gets the link target as written (without heading,
+// block or alias) and decides whether it points at a hidden note.
+function redactLinks(content, redaction, replacement, counts, isHiddenNote) {
+  if (!redaction.links || !isHiddenNote) return content;
+  const replace = (match, target) => {
+    if (!isHiddenNote(target)) return match;
+    counts.links++;
+    return replacement;
+  };
+  return content
+    .replace(/!?\[\[([^\]|#^]+)[^\]]*\]\]/g, replace)
+    .replace(
+      /!?\[[^\]]*\]\(<?([^)>#]+?\.md)(?:#[^)>]*)?>?\)/gi,
+      (match, target) => {
+        let decoded = target;
+        try {
+          decoded = decodeURIComponent(target);
+        } catch (decodeError) {
+          // Not URL-encoded; use the target as written
+        }
+        return replace(match, decoded);
+      }
+    );
+}
+
+// --- Patterns: built-in patterns and custom regexes ---
+function redactPatterns(content, redaction, replacement, counts) {
+  let result = content;
+  redaction.patterns.forEach((name) => {
+    result = result.replace(BUILT_IN_PATTERNS[name], (match) => {
+      if (name === "phone") {
+        const digits = match.replace(/\D/g, "").length;
+        if (digits < 9 || digits > 15) return match;
+      }
+      counts[name]++;
+      return replacement;
+    });
+  });
+  const flags = redaction.flags.includes("g")
+    ? redaction.flags
+    : `${redaction.flags}g`;
+  redaction.customPatterns.forEach((pattern) => {
+    result = result.replace(new RegExp(pattern, flags), (match) => {
+      if (!match) return match; // Patterns that can match nothing
+      counts.custom++;
+      return replacement;
+    });
+  });
+  return result;
+}
+
+// --- Redact a note's extracted content ---
+// `redaction` must come from resolveRedaction(). Returns { content, counts }
+// with the number of redactions of each kind; the content is returned as-is
+// when redaction is off.
+function redactContent(content, redaction, { isHiddenNote } = {}) {
+  const counts = createRedactionCounts();
+  if (!redaction.enabled) return { content, counts };
+
+  const replacement = redaction.action === "mask" ? redaction.mask : "";
+  let redacted = redactBlocks(content, redaction, replacement, counts);
+  redacted = redactLines(redacted, redaction, replacement, counts);
+  redacted = redactLinks(
+    redacted,
+    redaction,
+    replacement,
+    counts,
+    isHiddenNote
+  );
+  redacted = redactPatterns(redacted, redaction, replacement, counts);
+  return { content: redacted.trim(), counts };
+}
+
+module.exports = {
+  BUILT_IN_PATTERNS,
+  DEFAULT_REDACTION,
+  REDACTION_ACTIONS,
+  describeRedaction,
+  redactContent,
+  resolveRedaction,
+  summarizeRedactions,
+};
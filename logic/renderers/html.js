@@ -0,0 +1,194 @@
+// logic/renderers/html.js
+const { Marked } = require("marked");
+const { countLabel } = require("../grouping");
+
+// --- Markdown to HTML for note content ---
+// A separate instance, so these settings don't leak into other users of
+// `marked`. Obsidian's ==highlight== syntax (used by text search excerpts)
+// becomes <mark>. Notes aren't trusted to carry markup: raw HTML in them is
+// escaped and shown as text, so a pasted <script> can't run when an
+// aggregate is opened in the browser.
+const markdown = new Marked({
+  renderer: {
+    html: ({ text }) => escapeHtml(text),
+  },
+  extensions: [
+    {
+      name: "highlight",
+      level: "inline",
+      start: (src) => src.indexOf("=="),
+      tokenizer(src) {
+        const match = /^==(?=\S)([^\n]*?\S)==/.exec(src);
+        if (!match) return undefined;
+        return {
+          type: "highlight",
+          raw: match[0],
+          tokens: this.lexer.inlineTokens(match[1]),
+        };
+      },
+      renderer(token) {
+        return `<mark>${this.parser.parseInline(token.tokens)}</mark>`;
+      },
+    },
+  ],
+});
+
+// --- Escape text for safe inclusion in HTML ---
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+const SCREEN_STYLES = `
+  body { font-family: sans-serif; line-height: 1.6; max-width: 800px; margin: 40px auto; padding: 0 20px; color: #333; }
+  header dl { display: grid; grid-template-columns: max-content auto; gap: 2px 12px; color: #555; font-size: 0.9em; }
+  header dt { font-weight: bold; }
+  nav.toc { background: #f9f9f9; border: 1px solid #ddd; border-radius: 4px; padding: 10px 20px; margin: 20px 0; }
+  article { border-top: 1px solid #ddd; padding-top: 10px; margin-top: 30px; }
+  article .note-source { color: #888; font-size: 0.85em; }
+  .group-count { color: #888; font-weight: normal; font-size: 0.8em; }
+  pre { background: #f4f4f4; padding: 10px; overflow-x: auto; }
+`;
+
+// --- Render note Markdown (raw HTML escaped, see above) ---
+function renderMarkdown(content) {
+  return markdown.parse(content);
+}
+
+// --- Title shown at the top of the document ---
+function documentTitle(frontmatter) {
+  return `Aggregated notes: ${frontmatter.tag_query || "all notes"} (${
+    frontmatter.date
+  })`;
+}
+
+// --- Aggregate metadata (the Markdown frontmatter) embedded as JSON ---
+// Lets the output browser read an HTML aggregate's settings back. '<' is
+// escaped so the JSON can't close the <script> element.
+function metadataJson(frontmatter) {
+  return JSON.stringify(frontmatter).replace(/</g, "\\u003c");
+}
+
+// --- Heading used for a note (its date, or its file name when undated) ---
+function noteTitle(note) {
+  return note.date || note.file;
+}
+
+// --- Build a standalone HTML document with a table of contents ---
+// `extraStyles` lets other renderers (e.g. pdfHtml) add CSS. When notes are
+// grouped, each group gets its own section and a nested table of contents.
+function renderHtmlDocument(
+  { frontmatter, notes, groups = [{ label: null, notes }] },
+  { extraStyles = "" } = {}
+) {
+  const title = documentTitle(frontmatter);
+
+  const metaRows = [
+    ["Tags", frontmatter.tag_query || "all"],
+    ["Source", frontmatter.source_directory],
+    [
+      "Date range",
+      `${frontmatter.filter_start_date || "any"} – ${
+        frontmatter.filter_end_date || "any"
+      }`,
+    ],
+    ["Privacy", (frontmatter.filter_privacy || []).join(", ") || "any"],
+    ["Notes", String(notes.length)],
+    // Only when redaction was on (see redact.js)
+    ...(frontmatter.redaction
+      ? [["Redacted", `${frontmatter.redaction.redacted.notes} note(s)`]]
+      : []),
+  ]
+    .map(
+      ([term, value]) =>
+        `<dt>${escapeHtml(term)}</dt><dd>${escapeHtml(value)}</dd>`
+    )
+    .join("\n      ");
+
+  let noteNumber = 0; // Anchors are numbered across all groups
+  const tocGroups = [];
+  const sections = [];
+  groups.forEach((group, groupIndex) => {
+    const grouped = Boolean(group.label);
+    const noteHeading = grouped ? "h3" : "h2";
+    const tocItems = [];
+    const articles = group.notes.map((note) => {
+      noteNumber++;
+      tocItems.push(
+        `<li><a href="#note-${noteNumber}">${escapeHtml(
+          noteTitle(note)
+        )}</a></li>`
+      );
+      return `<article id="note-${noteNumber}">
+      <${noteHeading}>${escapeHtml(noteTitle(note))}</${noteHeading}>
+      <p class="note-source">${
+        note.source ? `${escapeHtml(note.source)} · ` : ""
+      }${escapeHtml(note.file)}${
+        note.field_values ? ` · ${escapeHtml(note.field_values)}` : ""
+      }</p>
+      ${renderMarkdown(note.content)}
+    </article>`;
+    });
+
+    if (!grouped) {
+      tocGroups.push(tocItems.join("\n        "));
+      sections.push(articles.join("\n    "));
+      return;
+    }
+    const heading = `${escapeHtml(
+      group.label
+    )} <span class="group-count">(${countLabel(group.notes.length)})</span>`;
+    tocGroups.push(`<li><a href="#group-${groupIndex + 1}">${heading}</a>
+          <ol>
+            ${tocItems.join("\n            ")}
+          </ol>
+        </li>`);
+    sections.push(`<section id="group-${groupIndex + 1}">
+    <h2>${heading}</h2>
+    ${articles.join("\n    ")}
+    </section>`);
+  });
+  const tocItems = tocGroups.join("\n        ");
+  const articles = sections.join("\n    ");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>${escapeHtml(title)}</title>
+    <script type="application/json" id="aggregate-metadata">${metadataJson(
+      frontmatter
+    )}</script>
+    <style>${SCREEN_STYLES}${extraStyles}</style>
+  </head>
+  <body>
+    <header>
+      <h1>${escapeHtml(title)}</h1>
+      <dl>
+      ${metaRows}
+      </dl>
+    </header>
+    <nav class="toc">
+      <h2>Contents</h2>
+      <ol>
+        ${tocItems}
+      </ol>
+    </nav>
+    ${articles}
+  </body>
+</html>
+`;
+}
+
+module.exports = {
+  name: "html",
+  label: "HTML (with table of contents)",
+  extension: "html",
+  render: (aggregate) => renderHtmlDocument(aggregate),
+  escapeHtml,
+  renderHtmlDocument,
+  renderMarkdown,
+};
@@ -0,0 +1,42 @@
+// logic/renderers/index.js
+//
+// Output format registry. Each renderer is its own module exporting:
+//   name      - format key used in requests and the UI (e.g. "html")
+//   label     - human-readable name for the UI
+//   extension - file extension of the output file (without the dot)
+//   render({ frontmatter, notes, template }) - returns the file contents as a string
+//
+// `notes` is the ordered list of included notes:
+//   { file, title, wikilink, date, tags, privacy, content }
+// `template` is the Markdown layout template (only the Markdown renderer uses it).
+// To add a format, create a module with the same shape and list it below.
+
+const RENDERERS = [
+  require("./markdown"),
+  require("./html"),
+  require("./pdfHtml"),
+  require("./json"),
+  require("./text"),
+];
+
+const DEFAULT_FORMAT = "md";
+
+// --- Look up a renderer by format name (undefined if unknown) ---
+function getRenderer(format) {
+  return RENDERERS.find((renderer) => renderer.name === format);
+}
+
+// --- Format names and labels, for validation messages and the UI ---
+function listFormats() {
+  return RENDERERS.map(({ name, label, extension }) => ({
+    name,
+    label,
+    extension,
+  }));
+}
+
+module.exports = {
+  DEFAULT_FORMAT,
+  getRenderer,
+  listFormats,
+};
@@ -0,0 +1,42 @@
+// logic/renderers/json.js
+
+// --- JSON: aggregate metadata plus one record per note, for scripts ---
+// Grouped output adds a `groups` summary and each note's group key.
+function render({ frontmatter, notes, groups = [] }) {
+  const grouped = groups.some((group) => group.label);
+  const groupKeyByNote = new Map();
+  groups.forEach((group) =>
+    group.notes.forEach((note) => groupKeyByNote.set(note, group.key))
+  );
+
+  const document = {
+    meta: frontmatter,
+    ...(grouped && {
+      groups: groups.map(({ key, label, notes: groupNotes }) => ({
+        key,
+        label,
+        count: groupNotes.length,
+      })),
+    }),
+    notes: notes.map((note) => ({
+      ...(grouped && { group: groupKeyByNote.get(note) }),
+      file: note.file,
+      date: note.date,
+      tags: note.tags,
+      privacy: note.privacy,
+      // Only set when several sources were merged
+      ...(note.source && { source: note.source, source_key: note.source_key }),
+      // Only set when the filtered fields' values are shown
+      ...(note.field_values && { fields: note.fields }),
+      content: note.content,
+    })),
+  };
+  return `${JSON.stringify(document, null, 2)}\n`;
+}
+
+module.exports = {
+  name: "json",
+  label: "JSON (one record per note)",
+  extension: "json",
+  render,
+};
@@ -0,0 +1,38 @@
+// logic/renderers/markdown.js
+const matter = require("gray-matter");
+const { DEFAULT_TEMPLATE, renderTemplate } = require("../template");
+const { countLabel } = require("../grouping");
+
+// --- Markdown: frontmatter + the notes laid out by the template ---
+// The default template joins note contents with horizontal rules. Templates
+// see every frontmatter field (also as `aggregate`), `notes`, `note_count` and
+// `groups` (each with label, count, count_label and its notes); each note has
+// content, date, title, file, wikilink, tags, privacy, source (the source
+// name when several sources are merged, otherwise empty), fields and
+// field_values (the filtered frontmatter fields, when shown, e.g. "mood: good
+// · hours: 7.5").
+function render({
+  frontmatter,
+  notes,
+  groups = [{ label: null, count: notes.length, notes }],
+  template = DEFAULT_TEMPLATE,
+}) {
+  const body = renderTemplate(template, {
+    ...frontmatter,
+    aggregate: frontmatter,
+    notes,
+    note_count: notes.length,
+    groups: groups.map((group) => ({
+      ...group,
+      count_label: countLabel(group.notes.length),
+    })),
+  });
+  return matter.stringify(body, frontmatter);
+}
+
+module.exports = {
+  name: "md",
+  label: "Markdown",
+  extension: "md",
+  render,
+};
@@ -0,0 +1,26 @@
+// logic/renderers/pdfHtml.js
+const { renderHtmlDocument } = require("./html");
+
+// Print styles: A4 pages, each note starts on a new page, no link colours
+const PRINT_STYLES = `
+  @page { size: A4; margin: 20mm; }
+  @media print {
+    body { max-width: none; margin: 0; padding: 0; font-size: 11pt; }
+    nav.toc { page-break-after: always; border: none; background: none; }
+    article { page-break-before: always; border-top: none; margin-top: 0; }
+    a { color: inherit; text-decoration: none; }
+    pre { white-space: pre-wrap; }
+  }
+`;
+
+// --- PDF-ready HTML: the HTML output plus print styles ("Print to PDF") ---
+function render(aggregate) {
+  return renderHtmlDocument(aggregate, { extraStyles: PRINT_STYLES });
+}
+
+module.exports = {
+  name: "pdf-html",
+  label: "PDF-ready HTML (print to PDF)",
+  extension: "html",
+  render,
+};
@@ -0,0 +1,64 @@
+// logic/renderers/text.js
+const { countLabel } = require("../grouping");
+
+// --- Strip the most common Markdown/Obsidian syntax for plain-text output ---
+function stripMarkdown(content) {
+  return content
+    .replace(/^(```|~~~)[^\n]*\n/gm, "") // Code fence lines (code is kept)
+    .replace(/!\[\[[^\]]*\]\]/g, "") // Obsidian embeds
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, "") // Images
+    .replace(/\[\[([^\]|]+)\|([^\]]+)\]\]/g, "$2") // [[note|alias]] -> alias
+    .replace(/\[\[([^\]]+)\]\]/g, "$1") // [[note]] -> note
+    .replace(/\[([^\]]+)\]\(([^)]+)\)/g, "$1 ($2)") // [text](url) -> text (url)
+    .replace(/^#{1,6}\s+/gm, "") // Heading markers
+    .replace(/(\*\*|__)(.+?)\1/g, "$2") // Bold
+    .replace(/(\*|_)(.+?)\1/g, "$2") // Italic
+    .replace(/==(\S(?:[^\n]*?\S)?)==/g, "$1") // ==Highlights==
+    .replace(/`([^`]+)`/g, "$1") // Inline code
+    .replace(/^>\s?/gm, "") // Blockquotes
+    .trim();
+}
+
+// --- Plain text: a short header, then each note under its date ---
+// Grouped notes get a boxed group heading before each group.
+function render({ frontmatter, notes, groups = [{ label: null, notes }] }) {
+  const header = [
+    `Aggregated notes (${frontmatter.date})`,
+    `Tags: ${frontmatter.tag_query || "all"}`,
+    `Source: ${frontmatter.source_directory}`,
+    `Notes: ${notes.length}`,
+  ].join("\n");
+
+  const blocks = [];
+  groups.forEach((group) => {
+    if (group.label) {
+      const heading = `${group.label} (${countLabel(group.notes.length)})`;
+      blocks.push(
+        `${"#".repeat(heading.length)}\n${heading}\n${"#".repeat(
+          heading.length
+        )}`
+      );
+    }
+    group.notes.forEach((note) => {
+      const file = note.source ? `${note.source}: ${note.file}` : note.file;
+      const title = note.date ? `${note.date} (${file})` : file;
+      // The filtered fields' values, when shown, go under the title
+      const fields = note.field_values ? `${note.field_values}\n\n` : "";
+      blocks.push(
+        `${title}\n${"=".repeat(title.length)}\n\n${fields}${stripMarkdown(
+          note.content
+        )}`
+      );
+    });
+  });
+
+  return `${[header, ...blocks].join("\n\n\n")}\n`;
+}
+
+module.exports = {
+  name: "txt",
+  label: "Plain text",
+  extension: "txt",
+  render,
+  stripMarkdown,
+};
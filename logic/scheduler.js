@@ -0,0 +1,248 @@
+// logic/scheduler.js
+//
+// Runs saved presets on their schedules while the server is running. Once a
+// minute (and at start-up) every enabled schedule is checked: if its cron
+// expression fired since the schedule's last scheduled run, the preset is
+// aggregated with aggregateNotes and the outcome is added to the run history.
+//
+// Runs missed while the server was down are caught up at start-up. Only the
+// most recent missed time is run (a weekly digest missed three times runs
+// once), with relative date ranges resolved for that time. Schedules with
+// `catchUp: false` record the miss instead.
+
+const crypto = require("crypto");
+const { aggregateNotes } = require("./aggregate");
+const {
+  buildAggregationOptions,
+  isNoMatchError,
+} = require("./aggregationOptions");
+const { nextCronTime, parseCron } = require("./cron");
+
+// Check a few seconds into each minute, so a "0 7 * * *" run starts at 07:00
+const TICK_OFFSET_MS = 2000;
+
+// --- Most recent time the cron fired in (after, now], or null ---
+function latestCronTime(cron, after, now) {
+  let latest = null;
+  let next = nextCronTime(cron, after);
+  while (next && next <= now) {
+    latest = next;
+    next = nextCronTime(cron, next);
+  }
+  return latest;
+}
+
+// --- Create the scheduler ---
+// `presetStore`, `scheduleStore` and `runHistory` come from presets.js and
+// schedules.js; `aggregationContext` is what buildAggregationOptions needs.
+// `now` can be replaced to control the clock.
+function createScheduler({
+  presetStore,
+  scheduleStore,
+  runHistory,
+  aggregationContext,
+  now = () => new Date(),
+}) {
+  const startedAt = now();
+  let timer = null;
+  // Runs (and checks) happen one at a time, in order
+  let queue = Promise.resolve();
+
+  function enqueue(task) {
+    const result = queue.then(task);
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  // Schedules are due from their last scheduled run or from when they were
+  // last saved, whichever is later, so saving (or re-enabling) a schedule
+  // never catches up on earlier times. Hand-written schedules without
+  // timestamps are due from start-up.
+  function dueFrom(schedule) {
+    const savedAt = new Date(schedule.updatedAt || schedule.createdAt);
+    const lastRun = runHistory.lastScheduledRun(schedule.name);
+    const lastRunAt = lastRun && new Date(lastRun.scheduledFor);
+    const times = [savedAt, lastRunAt].filter((time) => time && !isNaN(time));
+    return times.length > 0 ? new Date(Math.max(...times)) : startedAt;
+  }
+
+  // --- Next scheduled time of a schedule (null if disabled or invalid) ---
+  function nextRunAt(schedule) {
+    if (schedule.enabled === false) return null;
+    try {
+      const current = now();
+      const from = dueFrom(schedule);
+      return nextCronTime(
+        parseCron(schedule.cron),
+        from > current ? from : current
+      );
+    } catch (cronError) {
+      return null;
+    }
+  }
+
+  // --- Run a schedule's preset and record the outcome ---
+  // `trigger` is "schedule", "catch-up" or "manual"; `scheduledFor` is the
+  // cron time the run stands for (null for manual runs).
+  async function executeRun(schedule, { trigger, scheduledFor = null }) {
+    const run = {
+      id: crypto.randomUUID(),
+      schedule: schedule.name,
+      preset: schedule.preset,
+      trigger,
+      scheduledFor: scheduledFor && scheduledFor.toISOString(),
+      startedAt: now().toISOString(),
+    };
+    console.log(
+      `[Scheduler] Running '${schedule.name}' (preset '${schedule.preset}', ${trigger})`
+    );
+
+    try {
+      const preset = presetStore.getPreset(schedule.preset);
+      if (!preset) throw new Error(`Preset '${schedule.preset}' not found.`);
+      // Relative date ranges are resolved for the scheduled time, so a
+      // caught-up "previous-week" run still covers the week it was due for
+      const { options, error } = buildAggregationOptions(preset.request, {
+        ...aggregationContext,
+        now: scheduledFor || new Date(run.startedAt),
+      });
+      if (error) throw new Error(error);
+
+      const result = await aggregateNotes(options);
+      Object.assign(run, {
+        status: "success",
+        outputFile: result.outputFile,
+        notesIncluded: result.notesIncluded,
+      });
+    } catch (error) {
+      run.status = isNoMatchError(error) ? "no-match" : "error";
+      run.error = error.message;
+      console.error(`[Scheduler] '${schedule.name}' failed: ${error.message}`);
+    }
+
+    run.finishedAt = now().toISOString();
+    runHistory.recordRun(run);
+    return run;
+  }
+
+  // --- Run every enabled schedule that is due ---
+  async function runDueSchedules() {
+    const current = now();
+    // A cron time before the current minute was missed (server down or busy)
+    const currentMinute = new Date(current.getTime());
+    currentMinute.setSeconds(0, 0);
+
+    let schedules;
+    try {
+      schedules = scheduleStore.listSchedules();
+    } catch (readError) {
+      console.error(`[Scheduler] ${readError.message}`);
+      return;
+    }
+
+    for (const schedule of schedules) {
+      if (schedule.enabled === false) continue;
+      let dueAt;
+      try {
+        dueAt = latestCronTime(
+          parseCron(schedule.cron),
+          dueFrom(schedule),
+          current
+        );
+      } catch (cronError) {
+        console.error(
+          `[Scheduler] Skipping '${schedule.name}': ${cronError.message}`
+        );
+        continue;
+      }
+      if (!dueAt) continue;
+
+      if (dueAt >= currentMinute) {
+        await executeRun(schedule, {
+          trigger: "schedule",
+          scheduledFor: dueAt,
+        });
+      } else if (schedule.catchUp !== false) {
+        await executeRun(schedule, {
+          trigger: "catch-up",
+          scheduledFor: dueAt,
+        });
+      } else {
+        const missedAt = now().toISOString();
+        runHistory.recordRun({
+          id: crypto.randomUUID(),
+          schedule: schedule.name,
+          preset: schedule.preset,
+          trigger: "catch-up",
+          scheduledFor: dueAt.toISOString(),
+          startedAt: missedAt,
+          finishedAt: missedAt,
+          status: "missed",
+        });
+        console.log(
+          `[Scheduler] '${
+            schedule.name
+          }' missed its run at ${dueAt.toISOString()} (catch-up is off)`
+        );
+      }
+    }
+  }
+
+  function scheduleTick() {
+    const current = now();
+    const delay =
+      60000 -
+      (current.getSeconds() * 1000 + current.getMilliseconds()) +
+      TICK_OFFSET_MS;
+    timer = setTimeout(() => {
+      enqueue(runDueSchedules).finally(() => {
+        if (timer) scheduleTick();
+      });
+    }, delay);
+    // Don't keep the process alive just for the scheduler
+    timer.unref();
+  }
+
+  // --- Start checking schedules (catches up on missed runs right away) ---
+  function start() {
+    if (timer) return;
+    enqueue(runDueSchedules);
+    scheduleTick();
+  }
+
+  function stop() {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  // --- Run a schedule now, outside its cron times ---
+  // Resolves to the run record, or undefined if there is no such schedule.
+  function runNow(name) {
+    return enqueue(() => {
+      const schedule = scheduleStore.getSchedule(name);
+      return schedule && executeRun(schedule, { trigger: "manual" });
+    });
+  }
+
+  // --- A schedule with its next run time and last run, for display ---
+  function describeSchedule(schedule) {
+    const next = nextRunAt(schedule);
+    return {
+      ...schedule,
+      nextRunAt: next && next.toISOString(),
+      lastRun: runHistory.listRuns({ schedule: schedule.name, limit: 1 })[0],
+    };
+  }
+
+  return {
+    describeSchedule,
+    runDueSchedules: () => enqueue(runDueSchedules),
+    runNow,
+    start,
+    stop,
+  };
+}
+
+module.exports = {
+  createScheduler,
+};
@@ -0,0 +1,217 @@
+// logic/schedules.js
+//
+// Schedules run saved presets on cron expressions (see cron.js and
+// scheduler.js). They are stored in a JSON file next to the presets:
+//
+//   { "schedules": [
+//     { "name": "weekly-digest", "preset": "weekly-work", "cron": "0 7 * * mon",
+//       "enabled": true, "catchUp": true,
+//       "createdAt": "2024-03-01T09:00:00.000Z", "updatedAt": "..." }
+//   ] }
+//
+// The run history is kept in a second JSON file, { "runs": [...] }, newest
+// first.
+
+const fs = require("fs-extra");
+const { nextCronTime, parseCron } = require("./cron");
+
+// Names are used in URLs (/api/schedules/:name), like preset names
+const SCHEDULE_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+const SCHEDULE_KEYS = [
+  "name",
+  "description",
+  "preset",
+  "cron",
+  "enabled",
+  "catchUp",
+  "createdAt",
+  "updatedAt",
+];
+
+// Older runs are dropped beyond this many per schedule
+const MAX_RUNS_PER_SCHEDULE = 50;
+
+// --- Check a schedule's shape ---
+// Returns a list of problems; empty when the schedule is usable. Whether the
+// preset exists is checked by the caller, since presets live elsewhere.
+function validateSchedule(schedule) {
+  if (!schedule || typeof schedule !== "object" || Array.isArray(schedule)) {
+    return ["Schedule must be an object with a name, preset and cron."];
+  }
+  const problems = [];
+  const { name, description, preset, cron, enabled, catchUp } = schedule;
+
+  Object.keys(schedule)
+    .filter((key) => !SCHEDULE_KEYS.includes(key))
+    .forEach((key) => problems.push(`Unknown schedule field '${key}'.`));
+  if (typeof name !== "string" || !SCHEDULE_NAME_PATTERN.test(name)) {
+    problems.push(
+      "Schedule 'name' is required and may only contain letters, numbers, '-' and '_' (up to 64 characters)."
+    );
+  }
+  if (description !== undefined && typeof description !== "string") {
+    problems.push("Schedule 'description' must be a string.");
+  }
+  if (typeof preset !== "string" || !preset) {
+    problems.push(
+      "Schedule 'preset' (the name of a saved preset) is required."
+    );
+  }
+  try {
+    if (!nextCronTime(parseCron(cron), new Date())) {
+      problems.push(`Cron expression '${cron}' never runs.`);
+    }
+  } catch (cronError) {
+    problems.push(cronError.message);
+  }
+  if (enabled !== undefined && typeof enabled !== "boolean") {
+    problems.push("Schedule 'enabled' must be true or false.");
+  }
+  if (catchUp !== undefined && typeof catchUp !== "boolean") {
+    problems.push("Schedule 'catchUp' must be true or false.");
+  }
+  return problems;
+}
+
+// --- Schedule Store: read and write schedules in a JSON file ---
+// Works like the preset store: the file is read on every call so manual
+// edits are picked up, and it is created on the first save.
+function createScheduleStore(filePath) {
+  function readAll() {
+    if (!fs.existsSync(filePath)) return [];
+    let parsed;
+    try {
+      parsed = fs.readJsonSync(filePath);
+    } catch (parseError) {
+      throw new Error(
+        `Could not parse schedules file ${filePath}: ${parseError.message}`
+      );
+    }
+    if (!parsed || !Array.isArray(parsed.schedules)) {
+      throw new Error(`${filePath}: expected a top-level "schedules" array.`);
+    }
+    return parsed.schedules;
+  }
+
+  function writeAll(schedules) {
+    const sorted = [...schedules].sort((a, b) => a.name.localeCompare(b.name));
+    fs.outputJsonSync(filePath, { schedules: sorted }, { spaces: 2 });
+  }
+
+  function listSchedules() {
+    return readAll();
+  }
+
+  function getSchedule(name) {
+    return readAll().find((schedule) => schedule.name === name);
+  }
+
+  // Creates the schedule or replaces the one with the same name, keeping its
+  // original createdAt. Throws an Error listing the problems if invalid.
+  function saveSchedule(schedule) {
+    const problems = validateSchedule(schedule);
+    if (problems.length > 0) throw new Error(problems.join(" "));
+
+    const schedules = readAll();
+    const existing = schedules.find((item) => item.name === schedule.name);
+    const savedAt = new Date().toISOString();
+    const stored = {
+      name: schedule.name,
+      ...(schedule.description && { description: schedule.description }),
+      preset: schedule.preset,
+      cron: schedule.cron.trim(),
+      enabled: schedule.enabled !== false,
+      catchUp: schedule.catchUp !== false,
+      createdAt: (existing && existing.createdAt) || savedAt,
+      updatedAt: savedAt,
+    };
+    writeAll([
+      ...schedules.filter((item) => item.name !== schedule.name),
+      stored,
+    ]);
+    return stored;
+  }
+
+  // Returns false if there was no schedule with that name
+  function deleteSchedule(name) {
+    const schedules = readAll();
+    const remaining = schedules.filter((schedule) => schedule.name !== name);
+    if (remaining.length === schedules.length) return false;
+    writeAll(remaining);
+    return true;
+  }
+
+  return {
+    filePath,
+    listSchedules,
+    getSchedule,
+    saveSchedule,
+    deleteSchedule,
+  };
+}
+
+// --- Run History: persisted record of scheduled and manual runs ---
+// Each run: { id, schedule, preset, trigger ("schedule", "catch-up" or
+// "manual"), scheduledFor, startedAt, finishedAt, status, outputFile,
+// notesIncluded, error }. The status is one of:
+//   success  - the aggregate was written
+//   no-match - nothing matched the preset's filters (nothing written)
+//   error    - the preset is missing or invalid, or aggregation failed
+//   missed   - the server was down at the scheduled time and catchUp is off
+function createRunHistory(filePath) {
+  function readAll() {
+    if (!fs.existsSync(filePath)) return [];
+    try {
+      const parsed = fs.readJsonSync(filePath);
+      return Array.isArray(parsed.runs) ? parsed.runs : [];
+    } catch (parseError) {
+      throw new Error(
+        `Could not parse run history ${filePath}: ${parseError.message}`
+      );
+    }
+  }
+
+  // Newest first; keeps the last MAX_RUNS_PER_SCHEDULE scheduled and manual
+  // runs of each schedule (counted separately, so manual runs never push out
+  // the last scheduled run the scheduler catches up from)
+  function recordRun(run) {
+    const counts = {};
+    const runs = [run, ...readAll()].filter((item) => {
+      const key = `${item.schedule}:${item.trigger === "manual"}`;
+      counts[key] = (counts[key] || 0) + 1;
+      return counts[key] <= MAX_RUNS_PER_SCHEDULE;
+    });
+    fs.outputJsonSync(filePath, { runs }, { spaces: 2 });
+    return run;
+  }
+
+  // Optionally only one schedule's runs, and at most `limit` of them
+  function listRuns({ schedule, limit } = {}) {
+    const runs = readAll().filter(
+      (run) => !schedule || run.schedule === schedule
+    );
+    return limit ? runs.slice(0, limit) : runs;
+  }
+
+  // The most recent run of a schedule that was due at a scheduled time
+  // (manual runs don't count), or undefined
+  function lastScheduledRun(schedule) {
+    return readAll().find(
+      (run) => run.schedule === schedule && run.trigger !== "manual"
+    );
+  }
+
+  return {
+    filePath,
+    recordRun,
+    listRuns,
+    lastScheduledRun,
+  };
+}
+
+module.exports = {
+  createRunHistory,
+  createScheduleStore,
+  validateSchedule,
+};
@@ -0,0 +1,161 @@
+// logic/sourceWatcher.js
+//
+// Watches every source directory for changes so connected browsers can be
+// told about new tags and privacy levels without reloading the page. After a
+// burst of changes settles, the source's options are recomputed (through the
+// note index, so only the changed notes are read) and `onOptionsChanged` is
+// called when the tag or privacy lists actually differ from the last ones.
+// Files added, moved or removed also drop the cached link resolvers.
+//
+// The sources config can change while the server runs; watchers are added,
+// moved and removed to match it on every sync.
+
+const fs = require("fs-extra");
+const path = require("path");
+const { getAvailableOptions } = require("./aggregate");
+const { clearLinkResolvers } = require("./links");
+
+// Wait this long after the last change before recomputing (editors often
+// write a file several times when saving)
+const DEBOUNCE_MS = 500;
+
+// How often the sources config is checked for added or removed sources
+const SYNC_INTERVAL_MS = 10000;
+
+// --- Create the watcher ---
+// `sourceRegistry` comes from sources.js and `noteIndex` from noteIndex.js.
+// `onOptionsChanged(sourceKey, options)` receives the same options object as
+// GET /api/config-options?source=<key>.
+function createSourceWatcher({ sourceRegistry, noteIndex, onOptionsChanged }) {
+  const watched = new Map(); // Source key -> { source, watcher, timer, lastJson }
+  let syncTimer = null;
+
+  async function recompute(key) {
+    const entry = watched.get(key);
+    if (!entry) return;
+    entry.timer = null;
+    try {
+      const { source } = entry;
+      const options = await getAvailableOptions(source.path, {
+        include: source.defaults.include,
+        exclude: source.defaults.exclude,
+        noteIndex,
+      });
+      const json = JSON.stringify(options);
+      if (json === entry.lastJson) return; // Only note content changed
+      entry.lastJson = json;
+      onOptionsChanged(key, options);
+    } catch (error) {
+      console.error(
+        `[Watcher] Could not update options for '${key}': ${error.message}`
+      );
+    }
+  }
+
+  function scheduleRecompute(key) {
+    const entry = watched.get(key);
+    if (!entry) return;
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => recompute(key), DEBOUNCE_MS);
+  }
+
+  function unwatch(key) {
+    const entry = watched.get(key);
+    if (!entry) return;
+    clearTimeout(entry.timer);
+    if (entry.watcher) entry.watcher.close();
+    watched.delete(key);
+  }
+
+  function watch(source) {
+    const entry = { source, watcher: null, timer: null, lastJson: null };
+    watched.set(source.key, entry);
+    if (!fs.existsSync(source.path)) return; // Retried when the config changes
+
+    try {
+      entry.watcher = fs.watch(
+        source.path,
+        { recursive: true },
+        (eventType, fileName) => {
+          // Files were added, moved or removed: links may resolve differently
+          if (eventType === "rename") clearLinkResolvers();
+          // Only notes can change the options (fileName may be missing)
+          if (fileName && path.extname(fileName).toLowerCase() !== ".md") {
+            return;
+          }
+          scheduleRecompute(source.key);
+        }
+      );
+      entry.watcher.on("error", (watchError) => {
+        console.error(
+          `[Watcher] Stopped watching '${source.key}': ${watchError.message}`
+        );
+        unwatch(source.key);
+      });
+    } catch (watchError) {
+      console.error(
+        `[Watcher] Could not watch ${source.path}: ${watchError.message}`
+      );
+      return;
+    }
+
+    // Remember the current options, so the first change is compared to them
+    getAvailableOptions(source.path, {
+      include: source.defaults.include,
+      exclude: source.defaults.exclude,
+      noteIndex,
+    })
+      .then((options) => {
+        if (entry.lastJson === null) entry.lastJson = JSON.stringify(options);
+      })
+      .catch(() => {});
+  }
+
+  // --- Match the watchers to the configured sources ---
+  // A source whose folder or include/exclude patterns changed is watched
+  // again, and its options are sent out since they may differ now.
+  function sync() {
+    const sources = sourceRegistry.getSources();
+    watched.forEach((entry, key) => {
+      const source = sources[key];
+      const unchanged =
+        source &&
+        source.path === entry.source.path &&
+        JSON.stringify(source.defaults.include) ===
+          JSON.stringify(entry.source.defaults.include) &&
+        JSON.stringify(source.defaults.exclude) ===
+          JSON.stringify(entry.source.defaults.exclude) &&
+        (entry.watcher || !fs.existsSync(source.path));
+      if (!unchanged) unwatch(key);
+    });
+    Object.values(sources)
+      .filter((source) => !watched.has(source.key))
+      .forEach((source) => {
+        watch(source);
+        if (syncTimer) scheduleRecompute(source.key); // Not at start-up
+      });
+  }
+
+  function start() {
+    if (syncTimer) return;
+    sync();
+    syncTimer = setInterval(sync, SYNC_INTERVAL_MS);
+    // Don't keep the process alive just for the watcher
+    syncTimer.unref();
+  }
+
+  function stop() {
+    clearInterval(syncTimer);
+    syncTimer = null;
+    Array.from(watched.keys()).forEach(unwatch);
+  }
+
+  return {
+    start,
+    stop,
+  };
+}
+
+module.exports = {
+  createSourceWatcher,
+};
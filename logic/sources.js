@@ -0,0 +1,376 @@
+// logic/sources.js
+const fs = require("fs-extra");
+const path = require("path");
+const { DEFAULT_DATE_FORMATS, UNDATED_POLICIES } = require("./dates");
+const { resolveExtraction } = require("./extract");
+const { resolveRedaction } = require("./redact");
+const { DEFAULT_LINK_MODE, LINK_MODES } = require("./links");
+const { DEFAULT_TEMPLATE_NAME } = require("./template");
+const {
+  COLLISION_POLICIES,
+  DEFAULT_COLLISION_POLICY,
+  DEFAULT_FILENAME_TEMPLATE,
+  findSourcesContaining,
+  validateFilenameTemplate,
+} = require("./output");
+
+// Keys allowed in a source's optional "defaults" block
+const KNOWN_DEFAULT_KEYS = [
+  "include",
+  "exclude",
+  "dateFormats",
+  "dateField",
+  "undatedPolicy",
+  "extraction",
+  "redaction",
+  "linkMode",
+  "template",
+  "privacy",
+  "filenameTemplate",
+  "collisionPolicy",
+  "outputPath",
+];
+
+// --- Normalise a string-or-array setting to an array ---
+function toList(value, fallback) {
+  if (value === undefined) return fallback;
+  return Array.isArray(value) ? value : [value];
+}
+
+// --- Check that a value is a glob string or an array of glob strings ---
+function isPatternList(value) {
+  return (
+    typeof value === "string" ||
+    (Array.isArray(value) && value.every((item) => typeof item === "string"))
+  );
+}
+
+// --- Resolve a configured source path against the vault ---
+// Absolute paths are used as-is, relative ones are joined to OBSIDIAN_VAULT_PATH.
+function resolveSourcePath(sourcePath, vaultBasePath) {
+  return path.isAbsolute(sourcePath)
+    ? path.normalize(sourcePath)
+    : path.join(vaultBasePath, sourcePath);
+}
+
+// --- Validate one entry of the "sources" array ---
+// Pushes human-readable problems onto errors/warnings and returns the
+// normalised source config (or null if the entry is unusable).
+function validateSourceEntry(entry, index, context) {
+  const { vaultBasePath, seenKeys, errors, warnings } = context;
+  const label = `sources[${index}]`;
+
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+    errors.push(`${label}: expected an object with key, name and path.`);
+    return null;
+  }
+
+  const { key, name, path: sourcePath, defaults = {} } = entry;
+  let ok = true;
+
+  if (typeof key !== "string" || !/^[a-zA-Z0-9_-]+$/.test(key)) {
+    errors.push(
+      `${label}: 'key' is required and may only contain letters, numbers, '-' and '_'.`
+    );
+    ok = false;
+  } else if (seenKeys.has(key)) {
+    errors.push(`${label}: duplicate key '${key}'.`);
+    ok = false;
+  }
+
+  if (typeof name !== "string" || !name.trim()) {
+    errors.push(`${label} (${key}): 'name' is required.`);
+    ok = false;
+  }
+
+  if (typeof sourcePath !== "string" || !sourcePath.trim()) {
+    errors.push(`${label} (${key}): 'path' is required.`);
+    ok = false;
+  }
+
+  if (!defaults || typeof defaults !== "object" || Array.isArray(defaults)) {
+    errors.push(`${label} (${key}): 'defaults' must be an object if provided.`);
+    ok = false;
+  } else {
+    Object.keys(defaults)
+      .filter((defaultKey) => !KNOWN_DEFAULT_KEYS.includes(defaultKey))
+      .forEach((defaultKey) =>
+        warnings.push(
+          `${label} (${key}): unknown default '${defaultKey}' ignored.`
+        )
+      );
+    ["include", "exclude"].forEach((patternKey) => {
+      if (
+        defaults[patternKey] !== undefined &&
+        !isPatternList(defaults[patternKey])
+      ) {
+        errors.push(
+          `${label} (${key}): 'defaults.${patternKey}' must be a glob string or an array of glob strings.`
+        );
+        ok = false;
+      }
+    });
+    if (
+      defaults.dateFormats !== undefined &&
+      !isPatternList(defaults.dateFormats)
+    ) {
+      errors.push(
+        `${label} (${key}): 'defaults.dateFormats' must be a string or an array of strings.`
+      );
+      ok = false;
+    }
+    if (
+      defaults.dateField !== undefined &&
+      typeof defaults.dateField !== "string"
+    ) {
+      errors.push(`${label} (${key}): 'defaults.dateField' must be a string.`);
+      ok = false;
+    }
+    if (
+      defaults.undatedPolicy !== undefined &&
+      !UNDATED_POLICIES.includes(defaults.undatedPolicy)
+    ) {
+      errors.push(
+        `${label} (${key}): 'defaults.undatedPolicy' must be one of: ${UNDATED_POLICIES.join(
+          ", "
+        )}.`
+      );
+      ok = false;
+    }
+    if (
+      defaults.template !== undefined &&
+      (typeof defaults.template !== "string" ||
+        !/^[a-zA-Z0-9_-]+$/.test(defaults.template))
+    ) {
+      errors.push(
+        `${label} (${key}): 'defaults.template' must be a template name (letters, numbers, '-' and '_').`
+      );
+      ok = false;
+    }
+    if (defaults.filenameTemplate !== undefined) {
+      try {
+        validateFilenameTemplate(defaults.filenameTemplate);
+      } catch (templateError) {
+        errors.push(
+          `${label} (${key}): 'defaults.filenameTemplate': ${templateError.message}`
+        );
+        ok = false;
+      }
+    }
+    if (
+      defaults.collisionPolicy !== undefined &&
+      !COLLISION_POLICIES.includes(defaults.collisionPolicy)
+    ) {
+      errors.push(
+        `${label} (${key}): 'defaults.collisionPolicy' must be one of: ${COLLISION_POLICIES.join(
+          ", "
+        )}.`
+      );
+      ok = false;
+    }
+    if (
+      defaults.outputPath !== undefined &&
+      (typeof defaults.outputPath !== "string" || !defaults.outputPath.trim())
+    ) {
+      errors.push(
+        `${label} (${key}): 'defaults.outputPath' must be a folder path.`
+      );
+      ok = false;
+    }
+    if (defaults.extraction !== undefined) {
+      try {
+        resolveExtraction(defaults.extraction);
+      } catch (extractionError) {
+        errors.push(
+          `${label} (${key}): 'defaults.extraction': ${extractionError.message}`
+        );
+        ok = false;
+      }
+    }
+    if (
+      defaults.linkMode !== undefined &&
+      !LINK_MODES.includes(defaults.linkMode)
+    ) {
+      errors.push(
+        `${label} (${key}): 'defaults.linkMode' must be one of: ${LINK_MODES.join(
+          ", "
+        )}.`
+      );
+      ok = false;
+    }
+    if (defaults.redaction !== undefined) {
+      try {
+        resolveRedaction(defaults.redaction);
+      } catch (redactionError) {
+        errors.push(
+          `${label} (${key}): 'defaults.redaction': ${redactionError.message}`
+        );
+        ok = false;
+      }
+    }
+    if (
+      defaults.privacy !== undefined &&
+      (!Array.isArray(defaults.privacy) ||
+        defaults.privacy.some((level) => typeof level !== "string"))
+    ) {
+      errors.push(
+        `${label} (${key}): 'defaults.privacy' must be an array of strings.`
+      );
+      ok = false;
+    }
+  }
+
+  if (!ok) return null;
+  seenKeys.add(key);
+
+  return {
+    key,
+    name: name.trim(),
+    path: resolveSourcePath(sourcePath, vaultBasePath),
+    defaults: {
+      // Left undefined when not set so discovery.js applies its defaults
+      include: defaults.include,
+      exclude: defaults.exclude,
+      dateFormats: toList(defaults.dateFormats, DEFAULT_DATE_FORMATS),
+      dateField: defaults.dateField || "date",
+      // Null when not set: "warn" with a date range, "include" without one
+      undatedPolicy: defaults.undatedPolicy || null,
+      extraction: resolveExtraction(defaults.extraction),
+      redaction: resolveRedaction(defaults.redaction),
+      linkMode: defaults.linkMode || DEFAULT_LINK_MODE,
+      template: defaults.template || DEFAULT_TEMPLATE_NAME,
+      privacy: defaults.privacy || [],
+      filenameTemplate: defaults.filenameTemplate || DEFAULT_FILENAME_TEMPLATE,
+      collisionPolicy: defaults.collisionPolicy || DEFAULT_COLLISION_POLICY,
+      // Left undefined when not set so the global output folder is used
+      outputPath:
+        defaults.outputPath &&
+        resolveSourcePath(defaults.outputPath, vaultBasePath),
+    },
+  };
+}
+
+// --- Load and validate the sources config file ---
+// Returns { sources, errors, warnings } where sources is keyed by source key.
+function loadSourcesConfig(configPath, vaultBasePath) {
+  const errors = [];
+  const warnings = [];
+  const sources = {};
+
+  if (!fs.existsSync(configPath)) {
+    errors.push(
+      `Sources config file not found at ${configPath}. Copy 'sources.example.json' to '${path.basename(
+        configPath
+      )}' and adjust the paths.`
+    );
+    return { sources, errors, warnings };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (parseError) {
+    errors.push(`Could not parse ${configPath}: ${parseError.message}`);
+    return { sources, errors, warnings };
+  }
+
+  if (!parsed || !Array.isArray(parsed.sources)) {
+    errors.push(`${configPath}: expected a top-level "sources" array.`);
+    return { sources, errors, warnings };
+  }
+  if (parsed.sources.length === 0) {
+    errors.push(`${configPath}: "sources" must contain at least one entry.`);
+  }
+
+  const seenKeys = new Set();
+  parsed.sources.forEach((entry, index) => {
+    const source = validateSourceEntry(entry, index, {
+      vaultBasePath,
+      seenKeys,
+      errors,
+      warnings,
+    });
+    if (source) sources[source.key] = source;
+  });
+
+  // Aggregates must never land in a folder that a source scans
+  Object.values(sources).forEach((source) => {
+    if (!source.defaults.outputPath) return;
+    findSourcesContaining(
+      source.defaults.outputPath,
+      sources
+    ).forEach((scanned) =>
+      errors.push(
+        `${source.key}: 'defaults.outputPath' (${source.defaults.outputPath}) is inside the folder of source '${scanned.key}' (${scanned.path}); aggregates written there would be scanned again.`
+      )
+    );
+  });
+
+  return { sources, errors, warnings };
+}
+
+// --- Source Registry: current sources, reloaded when the file changes ---
+// The file's mtime is checked on every access so edits are picked up without
+// a restart. An edit that fails validation is logged and the last good
+// configuration stays active.
+function createSourceRegistry({ configPath, vaultBasePath }) {
+  let current = loadSourcesConfig(configPath, vaultBasePath);
+  let loadedMtimeMs = getMtimeMs(configPath);
+
+  function getMtimeMs(filePath) {
+    try {
+      return fs.statSync(filePath).mtimeMs;
+    } catch (statError) {
+      return null;
+    }
+  }
+
+  function refreshIfChanged() {
+    const mtimeMs = getMtimeMs(configPath);
+    if (mtimeMs === loadedMtimeMs) return;
+    loadedMtimeMs = mtimeMs;
+
+    const next = loadSourcesConfig(configPath, vaultBasePath);
+    next.warnings.forEach((warning) => console.warn(`WARN: ${warning}`));
+    if (next.errors.length > 0) {
+      console.error(
+        `Sources config changed but is invalid; keeping previous sources:\n  ${next.errors.join(
+          "\n  "
+        )}`
+      );
+      return;
+    }
+    current = next;
+    console.log(
+      `[INFO] Reloaded sources from ${configPath}: ${Object.keys(
+        current.sources
+      ).join(", ")}`
+    );
+  }
+
+  function getSources() {
+    refreshIfChanged();
+    return current.sources;
+  }
+
+  function getSource(key) {
+    const sources = getSources();
+    return Object.prototype.hasOwnProperty.call(sources, key)
+      ? sources[key]
+      : undefined;
+  }
+
+  return {
+    configPath,
+    // Result of the initial load, for startup validation
+    initialResult: current,
+    getSources,
+    getSource,
+  };
+}
+
+module.exports = {
+  createSourceRegistry,
+  loadSourcesConfig,
+  resolveSourcePath,
+};
@@ -0,0 +1,119 @@
+// logic/stats.js
+//
+// Tag and privacy statistics for a source: how many notes use each tag or
+// privacy level, the first and last note dates, the tags that most often
+// appear alongside it, and the number of notes per month (for the activity
+// view). Notes are read through the note index, like getAvailableOptions.
+
+// Only the most frequent co-occurring tags are listed
+const MAX_CO_TAGS = 10;
+
+// --- Empty statistics for one tag or privacy level ---
+function createEntry() {
+  return {
+    count: 0,
+    firstDate: null,
+    lastDate: null,
+    coTags: new Map(), // Tag -> number of notes shared
+    activity: {}, // "YYYY-MM" -> number of notes
+  };
+}
+
+// --- Count one note into an entry ---
+// `otherTags` are the note's tags that co-occur with the entry.
+function addNote(entry, date, otherTags) {
+  entry.count++;
+  if (date) {
+    if (!entry.firstDate || date < entry.firstDate) entry.firstDate = date;
+    if (!entry.lastDate || date > entry.lastDate) entry.lastDate = date;
+    const month = date.slice(0, 7);
+    entry.activity[month] = (entry.activity[month] || 0) + 1;
+  }
+  otherTags.forEach((tag) => {
+    entry.coTags.set(tag, (entry.coTags.get(tag) || 0) + 1);
+  });
+}
+
+// --- Plain-object version of an entry, co-occurring tags most frequent first ---
+function finishEntry(entry) {
+  return {
+    count: entry.count,
+    firstDate: entry.firstDate,
+    lastDate: entry.lastDate,
+    coTags: Array.from(entry.coTags, ([tag, count]) => ({ tag, count }))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag))
+      .slice(0, MAX_CO_TAGS),
+    activity: Object.fromEntries(
+      Object.entries(entry.activity).sort(([a], [b]) => a.localeCompare(b))
+    ),
+  };
+}
+
+// --- Statistics for the notes of a source directory ---
+// `include` / `exclude`, `dateFormats` and `dateField` are the source's
+// settings (see discovery.js and dates.js); `noteIndex` is required.
+// Returns { notes, datedNotes, tags: { <tag>: stats }, privacyLevels:
+// { <level>: stats } }, where stats is { count, firstDate, lastDate, coTags:
+// [{ tag, count }], activity: { "YYYY-MM": count } }. Earlier aggregates and
+// unparseable notes are not counted.
+// For several sources, pass a list of { notesDir, include, exclude,
+// dateFormats, dateField } instead of a directory to combine their notes.
+function getSourceStats(
+  notesDir,
+  { include, exclude, dateFormats, dateField, noteIndex }
+) {
+  const directories = Array.isArray(notesDir)
+    ? notesDir
+    : [{ notesDir, include, exclude, dateFormats, dateField }];
+  const notes = directories.flatMap(
+    (directory) =>
+      noteIndex.refresh(directory.notesDir, {
+        include: directory.include,
+        exclude: directory.exclude,
+        dateFormats: directory.dateFormats,
+        dateField: directory.dateField,
+      }).notes
+  );
+  const tags = new Map();
+  const privacyLevels = new Map();
+  let noteCount = 0;
+  let datedNotes = 0;
+
+  notes
+    .filter((note) => !note.error && !note.aggregate)
+    .forEach((note) => {
+      noteCount++;
+      if (note.date) datedNotes++;
+      note.tags.forEach((tag) => {
+        if (!tags.has(tag)) tags.set(tag, createEntry());
+        addNote(
+          tags.get(tag),
+          note.date,
+          note.tags.filter((other) => other !== tag)
+        );
+      });
+      if (note.privacy) {
+        if (!privacyLevels.has(note.privacy)) {
+          privacyLevels.set(note.privacy, createEntry());
+        }
+        addNote(privacyLevels.get(note.privacy), note.date, note.tags);
+      }
+    });
+
+  const finish = (entries) =>
+    Object.fromEntries(
+      Array.from(entries.keys())
+        .sort()
+        .map((key) => [key, finishEntry(entries.get(key))])
+    );
+  return {
+    notes: noteCount,
+    datedNotes,
+    tags: finish(tags),
+    privacyLevels: finish(privacyLevels),
+  };
+}
+
+module.exports = {
+  getSourceStats,
+};
@@ -0,0 +1,172 @@
+// logic/tagQuery.js
+//
+// Boolean tag expressions, e.g. `project/alpha AND NOT private` or
+// `(meeting OR 1on1) AND team-x`.
+//
+// Grammar (operators are case-insensitive, NOT binds tighter than AND,
+// AND binds tighter than OR, and two terms side by side mean AND):
+//   query  := or
+//   or     := and ("OR" and)*
+//   and    := unary ("AND"? unary)*
+//   unary  := "NOT" unary | "(" or ")" | tag
+//
+// Tags follow Obsidian's nesting rules: `project` matches `project/alpha`.
+
+const OPERATORS = ["AND", "OR", "NOT"];
+
+// --- Normalise a tag for comparison (no leading '#', case-insensitive) ---
+function normalizeTag(tag) {
+  return String(tag).trim().replace(/^#/, "").toLowerCase();
+}
+
+// --- Split a query string into tokens ---
+function tokenize(query) {
+  const tokens = [];
+  const tokenPattern = /\s*(\(|\)|[^\s()]+)/g;
+  let match;
+  while ((match = tokenPattern.exec(query)) !== null) {
+    const text = match[1];
+    const upper = text.toUpperCase();
+    tokens.push(
+      text === "(" || text === ")"
+        ? { type: text, position: match.index }
+        : OPERATORS.includes(upper)
+        ? { type: upper, position: match.index }
+        : { type: "TAG", value: text, position: match.index }
+    );
+  }
+  return tokens;
+}
+
+// --- Parse a query string into an expression tree ---
+// Throws an Error describing the problem if the query is malformed.
+function parseTagQuery(query) {
+  if (typeof query !== "string" || !query.trim()) {
+    throw new Error("Tag query is empty.");
+  }
+  const tokens = tokenize(query);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const describe = (token) =>
+    token
+      ? `'${token.value || token.type}' at position ${token.position + 1}`
+      : "end of query";
+
+  function parseOr() {
+    const operands = [parseAnd()];
+    while (peek() && peek().type === "OR") {
+      index++;
+      operands.push(parseAnd());
+    }
+    return operands.length === 1 ? operands[0] : { type: "or", operands };
+  }
+
+  function parseAnd() {
+    const operands = [parseUnary()];
+    while (peek() && peek().type !== "OR" && peek().type !== ")") {
+      if (peek().type === "AND") index++; // Explicit AND (otherwise implicit)
+      operands.push(parseUnary());
+    }
+    return operands.length === 1 ? operands[0] : { type: "and", operands };
+  }
+
+  function parseUnary() {
+    const token = peek();
+    if (!token) {
+      throw new Error("Tag query ended unexpectedly; expected a tag.");
+    }
+    if (token.type === "NOT") {
+      index++;
+      return { type: "not", operand: parseUnary() };
+    }
+    if (token.type === "(") {
+      index++;
+      const inner = parseOr();
+      if (!peek() || peek().type !== ")") {
+        throw new Error(`Missing ')' in tag query; found ${describe(peek())}.`);
+      }
+      index++;
+      return inner;
+    }
+    if (token.type === "TAG") {
+      index++;
+      const tag = normalizeTag(token.value);
+      if (!tag) {
+        throw new Error(`Empty tag ${describe(token)} in tag query.`);
+      }
+      return { type: "tag", tag };
+    }
+    throw new Error(`Unexpected ${describe(token)} in tag query.`);
+  }
+
+  const tree = parseOr();
+  if (index < tokens.length) {
+    throw new Error(`Unexpected ${describe(peek())} in tag query.`);
+  }
+  return tree;
+}
+
+// --- Build the expression for "any of these tags" (checkbox selection) ---
+function tagsToQuery(tags) {
+  const operands = tags.map((tag) => ({ type: "tag", tag: normalizeTag(tag) }));
+  return operands.length === 1 ? operands[0] : { type: "or", operands };
+}
+
+// --- Does a single note tag satisfy a query tag (including nesting)? ---
+function tagMatches(queryTag, noteTag) {
+  return noteTag === queryTag || noteTag.startsWith(`${queryTag}/`);
+}
+
+// --- Evaluate an expression tree against a note's tags ---
+function matchesTagQuery(tree, noteTags) {
+  const normalized = noteTags.map(normalizeTag);
+  const evaluate = (node) => {
+    switch (node.type) {
+      case "tag":
+        return normalized.some((noteTag) => tagMatches(node.tag, noteTag));
+      case "not":
+        return !evaluate(node.operand);
+      case "and":
+        return node.operands.every(evaluate);
+      case "or":
+        return node.operands.some(evaluate);
+      default:
+        throw new Error(`Unknown tag query node type '${node.type}'.`);
+    }
+  };
+  return evaluate(tree);
+}
+
+// --- Turn an expression tree back into a canonical query string ---
+function formatTagQuery(tree) {
+  const format = (node, parentType) => {
+    switch (node.type) {
+      case "tag":
+        return node.tag;
+      case "not":
+        return `NOT ${format(node.operand, "not")}`;
+      case "and":
+      case "or": {
+        const text = node.operands
+          .map((operand) => format(operand, node.type))
+          .join(` ${node.type.toUpperCase()} `);
+        // Parenthesise when nested inside a tighter-binding operator
+        const needsParens =
+          parentType === "not" || (parentType === "and" && node.type === "or");
+        return needsParens ? `(${text})` : text;
+      }
+      default:
+        throw new Error(`Unknown tag query node type '${node.type}'.`);
+    }
+  };
+  return format(tree, null);
+}
+
+module.exports = {
+  formatTagQuery,
+  matchesTagQuery,
+  normalizeTag,
+  parseTagQuery,
+  tagsToQuery,
+};
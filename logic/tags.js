@@ -0,0 +1,62 @@
+// logic/tags.js
+
+// Obsidian tag characters: letters, numbers, '_', '-' and '/' (for nesting)
+const INLINE_TAG_PATTERN = /(^|\s)#([\p{L}\p{N}_\-/]+)/gu;
+
+// --- Normalise a frontmatter tags value to a list of strings ---
+// Handles `tags: [a, b]`, `tags: a, b`, `tags: "a b"` and a single value.
+function frontmatterValueToTags(value) {
+  if (value === undefined || value === null) return [];
+  const values = Array.isArray(value) ? value : String(value).split(/[,\s]+/);
+  return values
+    .map((tag) => String(tag).trim().replace(/^#/, ""))
+    .filter(Boolean);
+}
+
+// --- Remove code from a note body so it can't produce tags ---
+// Strips fenced blocks (``` and ~~~) and inline `code` spans.
+function stripCode(content) {
+  return content
+    .replace(/^(```|~~~)[^\n]*\n[\s\S]*?^\1[^\n]*$/gm, "")
+    .replace(/`[^`\n]*`/g, "");
+}
+
+// --- Find inline #tags in a note body ---
+// A tag must follow whitespace or start a line, so heading markers ("# Title",
+// "## 2024-03-05") and URL fragments ("page#section") are not tags. Purely
+// numeric "tags" like #123 are ignored, as in Obsidian.
+function extractInlineTags(content) {
+  const tags = [];
+  const body = stripCode(content || "");
+  for (const match of body.matchAll(INLINE_TAG_PATTERN)) {
+    const tag = match[2].replace(/\/+$/, "");
+    if (tag && /[^\d/]/.test(tag)) tags.push(tag);
+  }
+  return tags;
+}
+
+// --- Extract every tag of a note, with where it was found ---
+// Returns { tags, sources } where tags is a de-duplicated list and sources maps
+// each tag to the places it was found ("frontmatter" and/or "inline").
+function extractTags(data = {}, content = "") {
+  const found = new Map(); // tag -> ["frontmatter", "inline"]
+  const add = (tag, source) => {
+    if (!found.has(tag)) found.set(tag, []);
+    if (!found.get(tag).includes(source)) found.get(tag).push(source);
+  };
+
+  frontmatterValueToTags(data.tags).forEach((tag) => add(tag, "frontmatter"));
+  frontmatterValueToTags(data.tag).forEach((tag) => add(tag, "frontmatter"));
+  extractInlineTags(content).forEach((tag) => add(tag, "inline"));
+
+  return {
+    tags: Array.from(found.keys()),
+    sources: Object.fromEntries(found),
+  };
+}
+
+module.exports = {
+  extractInlineTags,
+  extractTags,
+  frontmatterValueToTags,
+};
@@ -0,0 +1,271 @@
+// logic/template.js
+//
+// A small Handlebars-style template engine for the Markdown output, plus
+// loading of named templates from the templates directory.
+//
+// Supported syntax:
+//   {{name}} / {{note.date}}          - insert a value (arrays are joined with ", ")
+//   {{#each notes}}...{{/each}}       - loop; inside, {{this}}, {{@index}},
+//                                       {{@first}} and {{@last}} are available
+//   {{#if tags}}...{{else}}...{{/if}} - conditional (empty arrays are falsy)
+//   {{#unless @last}}...{{/unless}}   - inverted conditional
+//   {{! comment }} / {{!-- comment --}}
+//   {{~ ... ~}}                       - trim whitespace before/after the tag
+// Names not found in the current context are looked up in the enclosing ones,
+// so aggregate-level values can be used inside {{#each notes}}.
+
+const fs = require("fs-extra");
+const path = require("path");
+
+// The built-in layout: note contents separated by horizontal rules (the
+// original output format), with a "## <group> (N notes)" heading per group
+// when notes are grouped, a "_Source: <name>_" line above each note when
+// several sources are merged, and a line with the filtered fields' values
+// when they are shown.
+const DEFAULT_TEMPLATE_NAME = "default";
+const DEFAULT_TEMPLATE = [
+  "{{#each groups}}",
+  "{{#if label}}## {{label}} ({{count_label}})\n\n{{/if}}",
+  "{{#each notes}}{{#if source}}_Source: {{source}}_\n\n{{/if}}{{#if field_values}}_{{field_values}}_\n\n{{/if}}{{content}}{{#unless @last}}\n\n---\n\n{{/unless}}{{/each}}",
+  "{{#unless @last}}\n\n{{/unless}}",
+  "{{/each}}",
+].join("");
+
+const TAG_PATTERN = /\{\{(~?)(!--[\s\S]*?--|[\s\S]*?)(~?)\}\}/g;
+const BLOCK_HELPERS = ["each", "if", "unless"];
+
+// --- Split a template into text and tag tokens ---
+function tokenize(source) {
+  const tokens = [];
+  let lastIndex = 0;
+  let match;
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(source)) !== null) {
+    if (match.index > lastIndex) {
+      tokens.push({
+        type: "text",
+        value: source.slice(lastIndex, match.index),
+      });
+    }
+    tokens.push({
+      type: "tag",
+      value: match[2].trim(),
+      trimBefore: match[1] === "~",
+      trimAfter: match[3] === "~",
+    });
+    lastIndex = TAG_PATTERN.lastIndex;
+  }
+  if (lastIndex < source.length) {
+    tokens.push({ type: "text", value: source.slice(lastIndex) });
+  }
+
+  // Apply {{~ and ~}} whitespace control to the neighbouring text tokens
+  tokens.forEach((token, index) => {
+    if (token.type !== "tag") return;
+    const before = tokens[index - 1];
+    const after = tokens[index + 1];
+    if (token.trimBefore && before && before.type === "text") {
+      before.value = before.value.replace(/\s+$/, "");
+    }
+    if (token.trimAfter && after && after.type === "text") {
+      after.value = after.value.replace(/^\s+/, "");
+    }
+  });
+  return tokens;
+}
+
+// --- Build a tree of text, variable and block nodes ---
+// Throws an Error for unknown helpers and unbalanced blocks.
+function compileTemplate(source) {
+  if (typeof source !== "string") {
+    throw new Error("Template error: template must be a string.");
+  }
+  const root = { type: "root", children: [] };
+  const stack = [root];
+  const current = () => {
+    const node = stack[stack.length - 1];
+    return node.inElse ? node.inverse : node.children;
+  };
+
+  for (const token of tokenize(source)) {
+    if (token.type === "text") {
+      current().push({ type: "text", value: token.value });
+      continue;
+    }
+    const tag = token.value;
+    if (tag.startsWith("!")) continue; // Comment
+
+    if (tag.startsWith("#")) {
+      const [helper, argument] = tag.slice(1).trim().split(/\s+/, 2);
+      if (!BLOCK_HELPERS.includes(helper)) {
+        throw new Error(`Template error: unknown block helper '#${helper}'.`);
+      }
+      if (!argument) {
+        throw new Error(`Template error: '#${helper}' needs an argument.`);
+      }
+      const block = {
+        type: "block",
+        helper,
+        argument,
+        children: [],
+        inverse: [],
+        inElse: false,
+      };
+      current().push(block);
+      stack.push(block);
+    } else if (tag.startsWith("/")) {
+      const helper = tag.slice(1).trim();
+      const open = stack[stack.length - 1];
+      if (open.type !== "block" || open.helper !== helper) {
+        throw new Error(`Template error: unexpected '{{/${helper}}}'.`);
+      }
+      stack.pop();
+    } else if (tag === "else") {
+      const open = stack[stack.length - 1];
+      if (open.type !== "block") {
+        throw new Error("Template error: '{{else}}' outside a block.");
+      }
+      open.inElse = true;
+    } else {
+      current().push({ type: "variable", path: tag });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(
+      `Template error: '{{#${
+        stack[stack.length - 1].helper
+      }}}' is never closed.`
+    );
+  }
+  return root;
+}
+
+// --- Resolve a dotted path ("note.date", "this", "@last") in a scope chain ---
+function lookup(scopes, pathExpression) {
+  if (pathExpression.startsWith("@")) {
+    for (let i = scopes.length - 1; i >= 0; i--) {
+      const { data } = scopes[i];
+      if (data && pathExpression in data) return data[pathExpression];
+    }
+    return undefined;
+  }
+  if (pathExpression === "this" || pathExpression === ".") {
+    return scopes[scopes.length - 1].context;
+  }
+
+  const parts = pathExpression.replace(/^this\./, "").split(".");
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const { context } = scopes[i];
+    if (
+      context !== null &&
+      typeof context === "object" &&
+      parts[0] in context
+    ) {
+      return parts.reduce(
+        (value, part) =>
+          value === null || value === undefined ? undefined : value[part],
+        context
+      );
+    }
+  }
+  return undefined;
+}
+
+// --- Handlebars truthiness: empty arrays and empty strings are false ---
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+// --- Turn a value into output text ---
+function stringify(value) {
+  if (value === null || value === undefined) return "";
+  if (Array.isArray(value)) return value.join(", ");
+  return String(value);
+}
+
+// --- Render a node list against a scope chain ---
+function renderNodes(nodes, scopes) {
+  return nodes
+    .map((node) => {
+      if (node.type === "text") return node.value;
+      if (node.type === "variable") return stringify(lookup(scopes, node.path));
+
+      const value = lookup(scopes, node.argument);
+      if (node.helper === "each") {
+        const items = Array.isArray(value) ? value : [];
+        if (items.length === 0) return renderNodes(node.inverse, scopes);
+        return items
+          .map((item, index) =>
+            renderNodes(node.children, [
+              ...scopes,
+              {
+                context: item,
+                data: {
+                  "@index": index,
+                  "@first": index === 0,
+                  "@last": index === items.length - 1,
+                },
+              },
+            ])
+          )
+          .join("");
+      }
+      const condition =
+        node.helper === "if" ? isTruthy(value) : !isTruthy(value);
+      return renderNodes(condition ? node.children : node.inverse, scopes);
+    })
+    .join("");
+}
+
+// --- Render a template source string with the given context ---
+function renderTemplate(source, context) {
+  const tree = compileTemplate(source);
+  return renderNodes(tree.children, [{ context, data: {} }]);
+}
+
+// --- List the named templates available in a directory ---
+// The built-in "default" template is always available.
+function listTemplates(templatesDir) {
+  const names = new Set([DEFAULT_TEMPLATE_NAME]);
+  if (templatesDir && fs.existsSync(templatesDir)) {
+    fs.readdirSync(templatesDir)
+      .filter((file) => file.endsWith(".md"))
+      .forEach((file) => names.add(path.basename(file, ".md")));
+  }
+  return Array.from(names).sort();
+}
+
+// --- Load a named template (templates/<name>.md) ---
+// Returns the template source; a single trailing newline is dropped so the
+// file's final line break doesn't end up in the output. Throws for unknown
+// names and templates that don't compile.
+function loadTemplate(name, templatesDir) {
+  if (!/^[a-zA-Z0-9_-]+$/.test(name)) {
+    throw new Error(`Invalid template name '${name}'.`);
+  }
+  const templateFile = templatesDir && path.join(templatesDir, `${name}.md`);
+  let source;
+  if (templateFile && fs.existsSync(templateFile)) {
+    source = fs.readFileSync(templateFile, "utf8").replace(/\r?\n$/, "");
+  } else if (name === DEFAULT_TEMPLATE_NAME) {
+    source = DEFAULT_TEMPLATE;
+  } else {
+    throw new Error(
+      `Template '${name}' not found. Available templates: ${listTemplates(
+        templatesDir
+      ).join(", ")}.`
+    );
+  }
+  compileTemplate(source); // Fail early on syntax errors
+  return source;
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  DEFAULT_TEMPLATE_NAME,
+  compileTemplate,
+  listTemplates,
+  loadTemplate,
+  renderTemplate,
+};
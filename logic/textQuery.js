@@ -0,0 +1,146 @@
+// logic/textQuery.js
+//
+// Full-text queries on a note's extracted content, e.g. `atlas migration`
+// (both words), `"Atlas migration"` (the phrase) or, as a regex,
+// `Atlas (migration|cut-?over)`. Matching is case-insensitive.
+//
+//   terms  - words and "quoted phrases"; a phrase matches across line breaks
+//   match  - "all" (every term, the default) or "any" (at least one)
+//   regex  - the whole query is one regular expression
+//
+// Matches can be highlighted with Obsidian's ==highlight== syntax, and a
+// note can be cut down to the paragraphs that match.
+
+const TEXT_MATCH_MODES = ["all", "any"];
+
+// Without "u", so ordinary regexes like `[\w-.]` or `\-` stay valid
+const TERM_FLAGS = "gi";
+
+// Links and code are never highlighted (it would break their syntax)
+const PROTECTED_PATTERN = /(^(?:```|~~~)[^\n]*\n[\s\S]*?^(?:```|~~~)[^\n]*$|`[^`\n]*`|!?\[\[[^\]]*\]\]|\]\([^)]*\))/gm;
+
+// --- Escape a literal string for use inside a RegExp ---
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// --- Split a plain query into words and "quoted phrases" ---
+function tokenize(query) {
+  const terms = [];
+  const termPattern = /"([^"]*)"|(\S+)/g;
+  let match;
+  while ((match = termPattern.exec(query)) !== null) {
+    const term = (match[1] !== undefined ? match[1] : match[2]).trim();
+    if (term) terms.push(term);
+  }
+  return terms;
+}
+
+// --- Parse a text query ---
+// Returns { query, match, regex, terms: [{ text, pattern }] }, or null for an
+// empty query (no text filtering). Throws an Error on an unknown match mode
+// or an invalid regex.
+function parseTextQuery(query, { match = "all", regex = false } = {}) {
+  if (!TEXT_MATCH_MODES.includes(match)) {
+    throw new Error(
+      `Invalid text match mode '${match}'. Expected one of: ${TEXT_MATCH_MODES.join(
+        ", "
+      )}.`
+    );
+  }
+  if (typeof query !== "string" || !query.trim()) return null;
+
+  let terms;
+  if (regex) {
+    try {
+      terms = [{ text: query, pattern: new RegExp(query, TERM_FLAGS) }];
+    } catch (regexError) {
+      throw new Error(`Invalid text query regex: ${regexError.message}`);
+    }
+  } else {
+    terms = tokenize(query).map((term) => ({
+      text: term,
+      pattern: new RegExp(
+        term.split(/\s+/).map(escapeRegex).join("\\s+"),
+        TERM_FLAGS
+      ),
+    }));
+    if (terms.length === 0) return null; // Only empty quotes
+  }
+  return { query: query.trim(), match, regex, terms };
+}
+
+// --- Does a term occur in the text? ---
+function termMatches(term, text) {
+  term.pattern.lastIndex = 0; // Global patterns remember their last match
+  return term.pattern.test(text);
+}
+
+// --- Does a note's content match the query? (null matches everything) ---
+function matchesTextQuery(textQuery, content) {
+  if (!textQuery) return true;
+  const text = content || "";
+  return textQuery.match === "any"
+    ? textQuery.terms.some((term) => termMatches(term, text))
+    : textQuery.terms.every((term) => termMatches(term, text));
+}
+
+// --- The paragraphs (blank-line separated) containing any term ---
+// Paragraphs are kept in order; skipped stretches are marked with "…".
+// A note that only matches across paragraphs (a phrase or regex spanning a
+// blank line) has no matching paragraph of its own and is kept whole.
+function matchingParagraphs(textQuery, content) {
+  if (!textQuery) return content;
+  const paragraphs = content.split(/\n\s*\n/);
+  const kept = [];
+  let skipped = false;
+  paragraphs.forEach((paragraph) => {
+    if (textQuery.terms.some((term) => termMatches(term, paragraph))) {
+      if (skipped && kept.length > 0) kept.push("…");
+      kept.push(paragraph.trim());
+      skipped = false;
+    } else {
+      skipped = true;
+    }
+  });
+  if (kept.length === 0 && matchesTextQuery(textQuery, content)) {
+    return content;
+  }
+  return kept.join("\n\n");
+}
+
+// --- Wrap every match in ==highlight== marks ---
+// Code, [[links]] and Markdown link targets are left untouched.
+function highlightMatches(textQuery, content) {
+  if (!textQuery) return content;
+  // One pattern for all terms, so overlapping terms ("atlas", "atlas
+  // migration") are marked once, the longest first
+  const anyTerm = new RegExp(
+    [...textQuery.terms]
+      .sort((a, b) => b.text.length - a.text.length)
+      .map((term) => `(?:${term.pattern.source})`)
+      .join("|"),
+    TERM_FLAGS
+  );
+  return content
+    .split(PROTECTED_PATTERN)
+    .map((part, index) => {
+      if (index % 2 === 1) return part; // A protected part the pattern captured
+      // Highlights can't span lines, so each line of a match is marked
+      return part.replace(anyTerm, (match) =>
+        match
+          .split("\n")
+          .map((line) => (line.trim() ? `==${line}==` : line))
+          .join("\n")
+      );
+    })
+    .join("");
+}
+
+module.exports = {
+  TEXT_MATCH_MODES,
+  highlightMatches,
+  matchesTextQuery,
+  matchingParagraphs,
+  parseTextQuery,
+};
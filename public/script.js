@@ -1,15 +1,114 @@
 document.addEventListener("DOMContentLoaded", () => {
   const sourceDirSelect = document.getElementById("sourceDir");
+  const extraSourcesGroup = document.getElementById("extraSourcesGroup");
+  const extraSourcesDiv = document.getElementById("extraSources");
   // Tag related elements
   const includeAllTagsCheckbox = document.getElementById("includeAllTags");
   const tagsListDiv = document.getElementById("tagsList"); // Div for tag checkboxes
+  const tagQueryInput = document.getElementById("tagQuery"); // Boolean tag expression
+  // Text search elements
+  const textQueryInput = document.getElementById("textQuery");
+  const textMatchSelect = document.getElementById("textMatch");
+  const textRegexCheckbox = document.getElementById("textRegex");
+  const textExcerptsCheckbox = document.getElementById("textExcerpts");
+  // Frontmatter field filter elements
+  const fieldFiltersDiv = document.getElementById("fieldFilters");
+  const addFieldFilterButton = document.getElementById("addFieldFilter");
+  const showFieldValuesCheckbox = document.getElementById("showFieldValues");
+  // Tag statistics elements
+  const activityTagSelect = document.getElementById("activityTag");
+  const activitySummary = document.getElementById("activitySummary");
+  const activityChart = document.getElementById("activityChart");
   // Other elements
   const privacyDiv = document.getElementById("privacyLevels");
+  const undatedPolicySelect = document.getElementById("undatedPolicy");
+  const dateRangeSelect = document.getElementById("dateRange");
+  const startDateInput = document.getElementById("startDate");
+  const endDateInput = document.getElementById("endDate");
+  const groupBySelect = document.getElementById("groupBy");
+  const sortSelect = document.getElementById("sort");
+  const formatSelect = document.getElementById("format");
+  const templateSelect = document.getElementById("template");
+  const filenameTemplateInput = document.getElementById("filenameTemplate");
+  const collisionPolicySelect = document.getElementById("collisionPolicy");
+  const linkModeSelect = document.getElementById("linkMode");
+  // Extraction elements
+  const extractionModeSelect = document.getElementById("extractionMode");
+  const extractionFieldGroups = document.querySelectorAll(".extraction-fields");
+  const extractSeparatorInput = document.getElementById("extractSeparator");
+  const extractHeadingsInput = document.getElementById("extractHeadings");
+  const extractStartMarkerInput = document.getElementById("extractStartMarker");
+  const extractEndMarkerInput = document.getElementById("extractEndMarker");
+  const extractPatternInput = document.getElementById("extractPattern");
+  const extractFlagsInput = document.getElementById("extractFlags");
+  const extractStripDateHeadingCheckbox = document.getElementById(
+    "extractStripDateHeading"
+  );
+  // Redaction elements
+  const redactEnabledCheckbox = document.getElementById("redactEnabled");
+  const redactionFields = document.getElementById("redactionFields");
+  const redactActionSelect = document.getElementById("redactAction");
+  const redactMaskInput = document.getElementById("redactMask");
+  const redactStartMarkerInput = document.getElementById("redactStartMarker");
+  const redactEndMarkerInput = document.getElementById("redactEndMarker");
+  const redactLineTagsInput = document.getElementById("redactLineTags");
+  const redactPatternsDiv = document.getElementById("redactPatterns");
+  const redactLinksCheckbox = document.getElementById("redactLinks");
+  const redactCustomPatternsInput = document.getElementById(
+    "redactCustomPatterns"
+  );
   const form = document.getElementById("aggregate-form");
   const statusDiv = document.getElementById("status");
   const aggregateButton = document.getElementById("aggregate-button");
+  // Preset elements
+  const presetSelect = document.getElementById("presetSelect");
+  const presetLoadButton = document.getElementById("preset-load-button");
+  const presetRunButton = document.getElementById("preset-run-button");
+  const presetSaveButton = document.getElementById("preset-save-button");
+  const presetDeleteButton = document.getElementById("preset-delete-button");
+  // History elements
+  const historyDirSelect = document.getElementById("historyDir");
+  const historyRefreshButton = document.getElementById(
+    "history-refresh-button"
+  );
+  const historyList = document.getElementById("historyList");
+  const historyEmpty = document.getElementById("historyEmpty");
+  const historyViewer = document.getElementById("historyViewer");
+  const historyViewerTitle = document.getElementById("historyViewerTitle");
+  const historyFrame = document.getElementById("historyFrame");
+  // Schedule elements
+  const scheduleTable = document.getElementById("scheduleTable");
+  const scheduleRows = document.getElementById("scheduleRows");
+  const schedulesEmpty = document.getElementById("schedulesEmpty");
+  const scheduleForm = document.getElementById("schedule-form");
+  const scheduleFormDetails = document.getElementById("scheduleFormDetails");
+  const schedulePresetSelect = document.getElementById("schedulePreset");
+  const scheduleRunsList = document.getElementById("scheduleRuns");
+  // Preview elements
+  const previewButton = document.getElementById("preview-button");
+  const matchCountDiv = document.getElementById("matchCount");
+  const previewDiv = document.getElementById("preview");
+  const previewSummary = document.getElementById("previewSummary");
+  const previewFilesList = document.getElementById("previewFiles");
+  const previewNotesDiv = document.getElementById("previewNotes");
+  const previewRenderedLabel = document.getElementById("previewRenderedLabel");
+  const previewRenderedPre = document.getElementById("previewRendered");
+  const previewUndatedDetails = document.getElementById("previewUndated");
+  const previewUndatedList = document.getElementById("previewUndatedFiles");
+  const previewUnresolvedDetails = document.getElementById("previewUnresolved");
+  const previewUnresolvedList = document.getElementById(
+    "previewUnresolvedLinks"
+  );
 
-  let availableOptionsCache = {}; // Cache fetched options
+  // Fetched options per source, kept current by the server's live updates
+  // (cleared while the update stream is disconnected)
+  let availableOptionsCache = {};
+  let sourceStats = null; // Tag and privacy statistics of the selected source
+  let sourceDefaults = {}; // Per-source defaults from the sources config
+  let presets = []; // Saved presets from the server
+
+  toggleExtractionFields(); // Show only the default mode's fields
+  renderActivity(); // Empty until a source is selected
 
   // --- Fetch initial configuration ---
   fetch("/api/config-options")
@@ -18,17 +117,25 @@ document.addEventListener("DOMContentLoaded", () => {
       sourceDirSelect.innerHTML =
         '<option value="" disabled selected>Select source...</option>';
       data.sources.forEach((source) => {
+        sourceDefaults[source.key] = source.defaults || {};
         const option = document.createElement("option");
         option.value = source.key;
         option.textContent = source.name;
         sourceDirSelect.appendChild(option);
       });
+      updateExtraSourcesUI(data.sources);
+      updateFormatsUI(data.formats || []);
+      updateTemplatesUI(data.templates || []);
+      updateDateRangesUI(data.dateRanges || []);
       availableOptionsCache = data.options || {};
       if (
         data.sources.length > 0 &&
         availableOptionsCache[data.sources[0].key]
       ) {
-        updateDynamicOptionsUI(data.sources[0].key);
+        updateDynamicOptionsUI(
+          data.sources[0].key,
+          availableOptionsCache[data.sources[0].key]
+        );
       } else {
         // Initial state if no pre-fetch
         updateTagsUI([]); // Show empty state
@@ -37,6 +144,9 @@ document.addEventListener("DOMContentLoaded", () => {
       // Initial state for tag list based on checkbox
       toggleTagListState();
     })
+    .then(loadPresets)
+    .then(loadSchedules)
+    .then(loadHistory)
     .catch((error) => {
       console.error("Error fetching config:", error);
       setStatus("Error loading configuration options.", "error");
@@ -47,11 +157,88 @@ document.addEventListener("DOMContentLoaded", () => {
     });
 
   // --- Update Options when Source Changes ---
-  sourceDirSelect.addEventListener("change", async (event) => {
-    const selectedSourceKey = event.target.value;
+  sourceDirSelect.addEventListener("change", (event) =>
+    loadSourceOptions(event.target.value)
+  );
+
+  // --- Merging Sources: extra sources whose notes are added to the run ---
+  // The selected source's defaults apply; tags and privacy levels are the
+  // union across all selected sources.
+  function updateExtraSourcesUI(sources) {
+    extraSourcesDiv.innerHTML = "";
+    sources.forEach((source) => {
+      const label = document.createElement("label");
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.name = "extraSources";
+      checkbox.value = source.key;
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(` ${source.name}`));
+      extraSourcesDiv.appendChild(label);
+    });
+    extraSourcesGroup.classList.toggle("hidden", sources.length < 2);
+  }
+
+  // The main source can't also be an extra one
+  function syncExtraSources() {
+    extraSourcesDiv
+      .querySelectorAll('input[type="checkbox"]')
+      .forEach((checkbox) => {
+        const isMain = checkbox.value === sourceDirSelect.value;
+        checkbox.disabled = isMain;
+        if (isMain) checkbox.checked = false;
+      });
+  }
+
+  // The selected source first, then the checked extra sources
+  function selectedSourceKeys() {
+    if (!sourceDirSelect.value) return [];
+    return [
+      sourceDirSelect.value,
+      ...checkedValues(extraSourcesDiv).filter(
+        (key) => key !== sourceDirSelect.value
+      ),
+    ];
+  }
+
+  // Cache key of the current selection ("daily" or "daily,work")
+  function selectionKey() {
+    return selectedSourceKeys().join(",");
+  }
+
+  extraSourcesDiv.addEventListener("change", () => {
+    const key = selectionKey();
+    if (!key) return;
+    fetchOptions(key)
+      .then(() => refreshOptionsUI(key))
+      .catch((error) => {
+        console.error(`Error fetching options for ${key}:`, error);
+        setStatus(`Error loading options for ${key}.`, "error");
+      });
+  });
+
+  // Tags and privacy levels of one source or a combination ("daily,work"),
+  // from the cache when possible
+  async function fetchOptions(key) {
+    if (availableOptionsCache[key]) return availableOptionsCache[key];
+    const response = await fetch(
+      `/api/config-options?source=${encodeURIComponent(key)}`
+    );
+    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+    const options = await response.json();
+    availableOptionsCache[key] = options;
+    return options;
+  }
+
+  // Fetch (or reuse cached) tags and privacy levels for a source, then apply
+  // its defaults to the form
+  async function loadSourceOptions(selectedSourceKey) {
     tagsListDiv.innerHTML = "<p>Loading tags...</p>"; // Clear old tags
     privacyDiv.innerHTML = "<p>Loading privacy levels...</p>";
 
+    sourceStats = null;
+    applyStats();
+    syncExtraSources();
     if (!selectedSourceKey) {
       updateTagsUI([]); // Reset UI if no source selected
       updatePrivacyUI([]);
@@ -59,30 +246,296 @@ document.addEventListener("DOMContentLoaded", () => {
       return;
     }
 
-    if (availableOptionsCache[selectedSourceKey]) {
-      updateDynamicOptionsUI(selectedSourceKey);
-    } else {
-      try {
-        const response = await fetch(
-          `/api/config-options?source=${selectedSourceKey}`
-        );
-        if (!response.ok)
-          throw new Error(`HTTP error! status: ${response.status}`);
-        const options = await response.json();
-        availableOptionsCache[selectedSourceKey] = options;
-        updateDynamicOptionsUI(selectedSourceKey);
-      } catch (error) {
-        console.error(
-          `Error fetching options for ${selectedSourceKey}:`,
-          error
+    const key = selectionKey();
+    try {
+      const options = await fetchOptions(key);
+      updateDynamicOptionsUI(selectedSourceKey, options);
+    } catch (error) {
+      console.error(`Error fetching options for ${key}:`, error);
+      setStatus(`Error loading options for ${key}.`, "error");
+      updateTagsUI([]); // Show error/empty state
+      updatePrivacyUI([]);
+      toggleTagListState();
+      return;
+    }
+    loadStats(key); // Counts are added when they arrive
+  }
+
+  // --- Live Updates: tags and privacy levels pushed by the server ---
+  // The server watches the source folders and sends a source's new options
+  // when notes add or remove tags or privacy levels.
+  const events = new EventSource("/api/events");
+  let eventsDisconnected = false;
+
+  events.addEventListener("options", (event) => {
+    const { source, options } = JSON.parse(event.data);
+    availableOptionsCache[source] = options;
+    // Combinations that include the source are out of date now
+    Object.keys(availableOptionsCache)
+      .filter((key) => key !== source && key.split(",").includes(source))
+      .forEach((key) => delete availableOptionsCache[key]);
+    if (selectedSourceKeys().includes(source)) refreshSelection();
+  });
+
+  events.addEventListener("error", () => {
+    // Updates sent while disconnected are lost; fetch again when needed
+    eventsDisconnected = true;
+    availableOptionsCache = {};
+  });
+
+  events.addEventListener("open", () => {
+    if (!eventsDisconnected) return;
+    eventsDisconnected = false;
+    if (sourceDirSelect.value) refreshSelection();
+  });
+
+  // Fetch the current selection's options again (if not cached) and
+  // refresh the checkboxes
+  function refreshSelection() {
+    const key = selectionKey();
+    fetchOptions(key)
+      .then(() => {
+        if (key === selectionKey()) refreshOptionsUI(key);
+      })
+      .catch((error) =>
+        console.error(`Error refreshing options for ${key}:`, error)
+      );
+  }
+
+  // Rebuild the tag and privacy checkboxes from the cache, keeping what the
+  // user has checked. Checked tags that no longer occur in any note stay in
+  // the list, so a note being edited doesn't drop them from the selection.
+  function refreshOptionsUI(key) {
+    const options = availableOptionsCache[key];
+    if (!options) return;
+    const checkedTags = checkedValues(tagsListDiv);
+    const checkedPrivacy = checkedValues(privacyDiv);
+    const tags = options.tags || [];
+    updateTagsUI(
+      [...tags, ...checkedTags.filter((tag) => !tags.includes(tag))].sort(),
+      options.tagSources || {}
+    );
+    setCheckedValues(tagsListDiv, checkedTags);
+    const privacyLevels = options.privacyLevels || [];
+    updatePrivacyUI(
+      [
+        ...privacyLevels,
+        ...checkedPrivacy.filter((level) => !privacyLevels.includes(level)),
+      ].sort(),
+      checkedPrivacy
+    );
+    updateFieldsUI(options.fields || {});
+    loadStats(key);
+    scheduleMatchCount(); // The notes behind the options changed too
+  }
+
+  function checkedValues(container) {
+    return Array.from(
+      container.querySelectorAll('input[type="checkbox"]:checked')
+    ).map((checkbox) => checkbox.value);
+  }
+
+  // --- Live Match Count ---
+  // Recounted (debounced) whenever a filter changes, so a filter combination
+  // that matches nothing shows up before aggregating.
+  const MATCH_COUNT_DELAY_MS = 300;
+  let matchCountTimer = null;
+  let matchCountRequest = 0; // Only the latest request's answer is shown
+
+  form.addEventListener("change", scheduleMatchCount);
+  form.addEventListener("input", scheduleMatchCount);
+
+  function scheduleMatchCount() {
+    clearTimeout(matchCountTimer);
+    matchCountTimer = setTimeout(updateMatchCount, MATCH_COUNT_DELAY_MS);
+  }
+
+  function plural(count, word) {
+    return `${count} ${word}${count === 1 ? "" : "s"}`;
+  }
+
+  function showMatchCount(text, details = "", none = false) {
+    matchCountDiv.textContent = text;
+    if (details) {
+      const small = document.createElement("small");
+      small.textContent = details;
+      matchCountDiv.appendChild(small);
+    }
+    matchCountDiv.classList.toggle("none", none);
+    matchCountDiv.classList.remove("hidden");
+  }
+
+  function updateMatchCount() {
+    const request = ++matchCountRequest;
+    if (!sourceDirSelect.value) {
+      matchCountDiv.classList.add("hidden");
+      return;
+    }
+    const data = buildRequestPayload({ quiet: true });
+    if (!data) {
+      showMatchCount("Select at least one tag or enter a tag query.");
+      return;
+    }
+
+    postJson("/api/aggregate/count", data)
+      .then(({ status, body }) => {
+        if (request !== matchCountRequest) return; // A newer count is pending
+        if (status !== 200) {
+          showMatchCount(
+            body.error || "Could not count matching notes.",
+            "",
+            true
+          );
+          return;
+        }
+        const { excludedBy } = body;
+        const excluded = [
+          excludedBy.date &&
+            `date range: ${excludedBy.date}${
+              body.undated ? ` (${body.undated} without a date)` : ""
+            }`,
+          excludedBy.tags && `tags: ${excludedBy.tags}`,
+          excludedBy.privacy && `privacy: ${excludedBy.privacy}`,
+          excludedBy.text && `text search: ${excludedBy.text}`,
+          excludedBy.fields && `fields: ${excludedBy.fields}`,
+          body.emptyContent && `nothing to extract: ${body.emptyContent}`,
+        ].filter(Boolean);
+        showMatchCount(
+          `${plural(body.matching, "note")} of ${body.total} match${
+            body.matching === 1 ? "es" : ""
+          }`,
+          excluded.length ? `Excluded by ${excluded.join(" · ")}` : "",
+          body.matching === 0
         );
-        setStatus(`Error loading options for ${selectedSourceKey}.`, "error");
-        updateTagsUI([]); // Show error/empty state
-        updatePrivacyUI([]);
-        toggleTagListState();
+      })
+      .catch((error) => console.error("Error counting notes:", error));
+  }
+
+  // --- Tag and Privacy Statistics ---
+  // Note counts are shown next to each checkbox (with the date range and
+  // co-occurring tags as a tooltip) and feed the tag activity view.
+  function loadStats(sourceKey) {
+    return sendJson("GET", `/api/stats?source=${sourceKey}`)
+      .then(({ status, body }) => {
+        if (sourceKey !== selectionKey()) return; // Sources changed since
+        if (status !== 200) {
+          console.error(`Error loading statistics for ${sourceKey}:`, body);
+          return;
+        }
+        sourceStats = body;
+        applyStats();
+      })
+      .catch((error) => console.error("Error loading statistics:", error));
+  }
+
+  function describeStats(stats) {
+    const notes = `${stats.count} note${stats.count === 1 ? "" : "s"}`;
+    const dates =
+      stats.firstDate && stats.firstDate !== stats.lastDate
+        ? `, ${stats.firstDate} to ${stats.lastDate}`
+        : stats.firstDate
+        ? `, ${stats.firstDate}`
+        : "";
+    const coTags = stats.coTags.length
+      ? `; often with ${stats.coTags
+          .map((coTag) => `${coTag.tag} (${coTag.count})`)
+          .join(", ")}`
+      : "";
+    return `${notes}${dates}${coTags}`;
+  }
+
+  // Add (or refresh) the count badges of a checkbox list
+  function applyCounts(container, statsByValue) {
+    container.querySelectorAll("label").forEach((label) => {
+      const checkbox = label.querySelector('input[type="checkbox"]');
+      if (!checkbox) return;
+      let badge = label.querySelector(".option-count");
+      const stats = statsByValue && statsByValue[checkbox.value];
+      if (!stats) {
+        if (badge) badge.remove();
+        label.removeAttribute("title");
+        return;
+      }
+      if (!badge) {
+        badge = document.createElement("span");
+        badge.className = "option-count";
+        label.appendChild(badge);
+      }
+      badge.textContent = stats.count;
+      label.title = describeStats(stats);
+    });
+  }
+
+  function applyStats() {
+    applyCounts(tagsListDiv, sourceStats && sourceStats.tags);
+    applyCounts(privacyDiv, sourceStats && sourceStats.privacyLevels);
+
+    // Tags for the activity view, keeping the selected one if it still exists
+    const selectedTag = activityTagSelect.value;
+    activityTagSelect.innerHTML = '<option value="">Select a tag...</option>';
+    Object.keys((sourceStats && sourceStats.tags) || {}).forEach((tag) => {
+      const option = document.createElement("option");
+      option.value = tag;
+      option.textContent = tag;
+      activityTagSelect.appendChild(option);
+    });
+    activityTagSelect.value =
+      sourceStats && sourceStats.tags[selectedTag] ? selectedTag : "";
+    renderActivity();
+  }
+
+  activityTagSelect.addEventListener("change", renderActivity);
+
+  // Months from the first to the last month (YYYY-MM), gaps included
+  function monthsBetween(first, last) {
+    const months = [];
+    let [year, month] = first.split("-").map(Number);
+    const [lastYear, lastMonth] = last.split("-").map(Number);
+    while (year < lastYear || (year === lastYear && month <= lastMonth)) {
+      months.push(`${year}-${String(month).padStart(2, "0")}`);
+      month++;
+      if (month > 12) {
+        month = 1;
+        year++;
       }
     }
-  });
+    return months;
+  }
+
+  // One bar per month with the selected tag's note count
+  function renderActivity() {
+    activityChart.innerHTML = "";
+    const stats = sourceStats && sourceStats.tags[activityTagSelect.value];
+    if (!stats) {
+      activitySummary.textContent = sourceStats
+        ? "Pick a tag to see how often it was used."
+        : "Select a source first.";
+      return;
+    }
+    activitySummary.textContent = describeStats(stats);
+    const activeMonths = Object.keys(stats.activity);
+    if (activeMonths.length === 0) return; // Only undated notes
+
+    const maxCount = Math.max(...Object.values(stats.activity));
+    monthsBetween(
+      activeMonths[0],
+      activeMonths[activeMonths.length - 1]
+    ).forEach((month) => {
+      const count = stats.activity[month] || 0;
+      const row = document.createElement("div");
+      row.className = "activity-row";
+      const label = document.createElement("span");
+      label.className = "activity-month";
+      label.textContent = month;
+      const bar = document.createElement("div");
+      bar.className = "activity-bar";
+      bar.style.width = `${(count / maxCount) * 70}%`;
+      const value = document.createElement("span");
+      value.textContent = count;
+      row.append(label, bar, value);
+      activityChart.appendChild(row);
+    });
+  }
 
   // --- Toggle Tag Checkbox List ---
   includeAllTagsCheckbox.addEventListener("change", toggleTagListState);
@@ -90,6 +543,7 @@ document.addEventListener("DOMContentLoaded", () => {
   function toggleTagListState() {
     const isDisabled = includeAllTagsCheckbox.checked;
     tagsListDiv.classList.toggle("disabled", isDisabled);
+    tagQueryInput.disabled = isDisabled;
 
     // Also disable/enable individual checkboxes inside
     const tagCheckboxes = tagsListDiv.querySelectorAll(
@@ -117,16 +571,345 @@ document.addEventListener("DOMContentLoaded", () => {
   }
 
   // --- Helper to Update Both Tags and Privacy UI ---
-  function updateDynamicOptionsUI(sourceKey) {
-    const options = availableOptionsCache[sourceKey];
+  // `options` may be the union of several sources; the defaults are those of
+  // `sourceKey`, the selected source.
+  function updateDynamicOptionsUI(sourceKey, options) {
     if (!options) return;
-    updateTagsUI(options.tags || []);
-    updatePrivacyUI(options.privacyLevels || []);
+    updateTagsUI(options.tags || [], options.tagSources || {});
+    updateFieldsUI(options.fields || {});
+    const defaults = sourceDefaults[sourceKey] || {};
+    updatePrivacyUI(options.privacyLevels || [], defaults.privacy || []);
+    undatedPolicySelect.value = defaults.undatedPolicy || "";
+    if (defaults.extraction) applyExtractionSettings(defaults.extraction);
+    if (defaults.redaction) applyRedactionSettings(defaults.redaction);
+    linkModeSelect.value = defaults.linkMode || "keep";
+    if (defaults.template) templateSelect.value = defaults.template;
+    filenameTemplateInput.value = defaults.filenameTemplate || "";
+    collisionPolicySelect.value = defaults.collisionPolicy || "fail";
     toggleTagListState(); // Update disabled state after populating
+    scheduleMatchCount();
+  }
+
+  // --- Populate Output Format Options (from the server's renderer registry) ---
+  function updateFormatsUI(formats) {
+    if (formats.length === 0) return; // Keep the built-in Markdown option
+    formatSelect.innerHTML = "";
+    formats.forEach((format) => {
+      const option = document.createElement("option");
+      option.value = format.name;
+      option.textContent = format.label;
+      formatSelect.appendChild(option);
+    });
+    formatSelect.value = "md";
+  }
+
+  // --- Populate Markdown Template Options (from the templates/ folder) ---
+  function updateTemplatesUI(templates) {
+    if (templates.length === 0) return; // Keep the built-in default option
+    templateSelect.innerHTML = "";
+    templates.forEach((name) => {
+      const option = document.createElement("option");
+      option.value = name;
+      option.textContent = name;
+      templateSelect.appendChild(option);
+    });
+    templateSelect.value = "default";
+  }
+
+  // --- Populate Relative Date Range Options ---
+  function updateDateRangesUI(dateRanges) {
+    dateRanges.forEach((range) => {
+      const option = document.createElement("option");
+      option.value = range.name;
+      option.textContent = range.label;
+      dateRangeSelect.appendChild(option);
+    });
+  }
+
+  // A relative range replaces the custom start/end dates
+  dateRangeSelect.addEventListener("change", toggleDateInputs);
+
+  function toggleDateInputs() {
+    const relative = Boolean(dateRangeSelect.value);
+    startDateInput.disabled = relative;
+    endDateInput.disabled = relative;
+  }
+
+  // Templates only apply to Markdown output
+  formatSelect.addEventListener("change", () => {
+    templateSelect.disabled = formatSelect.value !== "md";
+  });
+
+  // --- Extraction Mode Controls ---
+  extractionModeSelect.addEventListener("change", toggleExtractionFields);
+
+  // Show only the inputs used by the selected extraction mode
+  function toggleExtractionFields() {
+    extractionFieldGroups.forEach((group) => {
+      group.classList.toggle(
+        "hidden",
+        group.dataset.mode !== extractionModeSelect.value
+      );
+    });
+  }
+
+  // Fill the extraction controls from a source's default settings
+  function applyExtractionSettings(extraction) {
+    extractionModeSelect.value = extraction.mode;
+    extractSeparatorInput.value = extraction.separator || "";
+    extractHeadingsInput.value = (extraction.headings || []).join(", ");
+    extractStartMarkerInput.value = extraction.startMarker || "";
+    extractEndMarkerInput.value = extraction.endMarker || "";
+    extractPatternInput.value = extraction.pattern || "";
+    extractFlagsInput.value = extraction.flags || "";
+    extractStripDateHeadingCheckbox.checked =
+      extraction.stripDateHeading !== false;
+    toggleExtractionFields();
+  }
+
+  // Build the extraction settings for the request (only the selected mode's fields)
+  function buildExtractionPayload() {
+    const mode = extractionModeSelect.value;
+    const extraction = {
+      mode,
+      stripDateHeading: extractStripDateHeadingCheckbox.checked,
+    };
+    if (mode === "separator")
+      extraction.separator = extractSeparatorInput.value;
+    if (mode === "headings") extraction.headings = extractHeadingsInput.value;
+    if (mode === "markers") {
+      extraction.startMarker = extractStartMarkerInput.value;
+      extraction.endMarker = extractEndMarkerInput.value;
+    }
+    if (mode === "regex") {
+      extraction.pattern = extractPatternInput.value;
+      extraction.flags = extractFlagsInput.value;
+    }
+    return extraction;
+  }
+
+  // --- Redaction Controls ---
+  redactEnabledCheckbox.addEventListener("change", toggleRedactionFields);
+
+  function toggleRedactionFields() {
+    redactionFields.classList.toggle("hidden", !redactEnabledCheckbox.checked);
+  }
+
+  // Fill the redaction controls from a source's defaults (or a preset)
+  function applyRedactionSettings(redaction) {
+    redactEnabledCheckbox.checked = Boolean(redaction.enabled);
+    redactActionSelect.value = redaction.action || "mask";
+    redactMaskInput.value = redaction.mask || "";
+    redactStartMarkerInput.value = redaction.startMarker || "";
+    redactEndMarkerInput.value = redaction.endMarker || "";
+    redactLineTagsInput.value = (redaction.lineTags || []).join(", ");
+    setCheckedValues(redactPatternsDiv, redaction.patterns || []);
+    redactLinksCheckbox.checked = redaction.links !== false;
+    redactCustomPatternsInput.value = (redaction.customPatterns || []).join(
+      "\n"
+    );
+    toggleRedactionFields();
+  }
+
+  // Build the redaction settings for the request (just "off" when unchecked)
+  function buildRedactionPayload() {
+    if (!redactEnabledCheckbox.checked) return { enabled: false };
+    return {
+      enabled: true,
+      action: redactActionSelect.value,
+      mask: redactMaskInput.value,
+      startMarker: redactStartMarkerInput.value.trim(),
+      endMarker: redactEndMarkerInput.value.trim(),
+      lineTags: redactLineTagsInput.value,
+      patterns: checkedValues(redactPatternsDiv),
+      customPatterns: redactCustomPatternsInput.value
+        .split("\n")
+        .map((pattern) => pattern.trim())
+        .filter(Boolean),
+      links: redactLinksCheckbox.checked,
+    };
+  }
+
+  // --- Frontmatter Field Filters ---
+  // One row per rule: field, operator and the operator's value(s). The field
+  // list comes from the selected sources' frontmatter (options.fields).
+  let availableFields = {}; // Field -> { types, values, min, max }
+  const FIELD_OPERATOR_LABELS = {
+    equals: "equals",
+    in: "is one of",
+    exists: "is set",
+    range: "is between",
+  };
+
+  addFieldFilterButton.addEventListener("click", () => addFieldFilterRow());
+
+  // Refresh the field choices of every row, keeping the selected fields
+  function updateFieldsUI(fields) {
+    availableFields = fields;
+    fieldFiltersDiv
+      .querySelectorAll(".field-filter")
+      .forEach((row) => fillFieldSelect(row));
+  }
+
+  function fillFieldSelect(row) {
+    const select = row.querySelector(".field-name");
+    const selected = select.value;
+    const names = Object.keys(availableFields);
+    // A field no note uses any more (or from a preset) stays selectable
+    if (selected && !names.includes(selected)) names.push(selected);
+    select.innerHTML = '<option value="">Select a field...</option>';
+    names.sort().forEach((name) => {
+      const option = document.createElement("option");
+      option.value = name;
+      const field = availableFields[name];
+      option.textContent = field
+        ? `${name} (${field.types.join(", ")})`
+        : `${name} (not found)`;
+      select.appendChild(option);
+    });
+    select.value = selected;
+    updateFieldValueChoices(row);
+  }
+
+  // Known values of the selected field are offered as suggestions, and its
+  // numeric range as placeholders
+  function updateFieldValueChoices(row) {
+    const field = availableFields[row.querySelector(".field-name").value];
+    const datalist = row.querySelector("datalist");
+    datalist.innerHTML = "";
+    ((field && field.values) || []).forEach((value) => {
+      const option = document.createElement("option");
+      option.value = value;
+      datalist.appendChild(option);
+    });
+    const hasRange = field && field.min !== null;
+    row.querySelector(".field-min").placeholder = hasRange
+      ? `min (${field.min})`
+      : "min";
+    row.querySelector(".field-max").placeholder = hasRange
+      ? `max (${field.max})`
+      : "max";
+  }
+
+  // Show only the inputs the selected operator uses
+  function toggleFieldValueInputs(row) {
+    const op = row.querySelector(".field-op").value;
+    row
+      .querySelector(".field-value")
+      .classList.toggle("hidden", !["equals", "in"].includes(op));
+    row.querySelector(".field-value").placeholder =
+      op === "in" ? "value, value, ..." : "value";
+    row
+      .querySelectorAll(".field-min, .field-max")
+      .forEach((input) => input.classList.toggle("hidden", op !== "range"));
+  }
+
+  // Add a rule row, optionally filled from a rule ({ field, op, value, values, min, max })
+  function addFieldFilterRow(rule = {}) {
+    const row = document.createElement("div");
+    row.className = "field-filter";
+    const listId = `fieldValues-${
+      fieldFiltersDiv.children.length
+    }-${Date.now()}`;
+
+    const fieldSelect = document.createElement("select");
+    fieldSelect.className = "field-name";
+    if (rule.field) {
+      // Selected before the options exist, so fillFieldSelect keeps it
+      const option = document.createElement("option");
+      option.value = rule.field;
+      fieldSelect.appendChild(option);
+      fieldSelect.value = rule.field;
+    }
+
+    const opSelect = document.createElement("select");
+    opSelect.className = "field-op";
+    Object.entries(FIELD_OPERATOR_LABELS).forEach(([op, label]) => {
+      const option = document.createElement("option");
+      option.value = op;
+      option.textContent = label;
+      opSelect.appendChild(option);
+    });
+    opSelect.value = rule.op || "equals";
+
+    const valueInput = document.createElement("input");
+    valueInput.type = "text";
+    valueInput.className = "field-value";
+    valueInput.setAttribute("list", listId);
+    valueInput.value =
+      rule.op === "in"
+        ? [].concat(rule.values || []).join(", ")
+        : rule.value === undefined
+        ? ""
+        : String(rule.value);
+    const datalist = document.createElement("datalist");
+    datalist.id = listId;
+
+    const [minInput, maxInput] = ["min", "max"].map((bound) => {
+      const input = document.createElement("input");
+      input.type = "number";
+      input.step = "any";
+      input.className = `field-${bound}`;
+      input.value =
+        rule[bound] === undefined || rule[bound] === null ? "" : rule[bound];
+      return input;
+    });
+
+    const removeButton = document.createElement("button");
+    removeButton.type = "button";
+    removeButton.className = "danger small";
+    removeButton.textContent = "Remove";
+    removeButton.addEventListener("click", () => {
+      row.remove();
+      scheduleMatchCount();
+    });
+
+    fieldSelect.addEventListener("change", () => updateFieldValueChoices(row));
+    opSelect.addEventListener("change", () => toggleFieldValueInputs(row));
+    [
+      fieldSelect,
+      opSelect,
+      valueInput,
+      datalist,
+      minInput,
+      maxInput,
+      removeButton,
+    ].forEach((element) => row.appendChild(element));
+    fieldFiltersDiv.appendChild(row);
+    fillFieldSelect(row);
+    toggleFieldValueInputs(row);
+  }
+
+  // The rules for the request; rows without a field are left out. The
+  // server validates the values (see logic/fields.js).
+  function buildFieldFiltersPayload() {
+    return Array.from(fieldFiltersDiv.querySelectorAll(".field-filter"))
+      .map((row) => {
+        const field = row.querySelector(".field-name").value;
+        const op = row.querySelector(".field-op").value;
+        const value = row.querySelector(".field-value").value.trim();
+        switch (op) {
+          case "equals":
+            return { field, op, value };
+          case "in":
+            return { field, op, values: value };
+          case "range":
+            return {
+              field,
+              op,
+              min: row.querySelector(".field-min").value,
+              max: row.querySelector(".field-max").value,
+            };
+          default:
+            return { field, op };
+        }
+      })
+      .filter((rule) => rule.field);
   }
 
   // --- Populate Tags Checkbox List ---
-  function updateTagsUI(tags) {
+  // tagSources maps each tag to where it was found ("frontmatter", "inline")
+  function updateTagsUI(tags, tagSources = {}) {
     tagsListDiv.innerHTML = ""; // Clear previous content
     if (tags && tags.length > 0) {
       tags.forEach((tag) => {
@@ -139,6 +922,12 @@ document.addEventListener("DOMContentLoaded", () => {
 
         label.appendChild(checkbox);
         label.appendChild(document.createTextNode(` ${tag}`));
+        if (tagSources[tag] && tagSources[tag].length > 0) {
+          const foundIn = document.createElement("span");
+          foundIn.className = "tag-source";
+          foundIn.textContent = ` (${tagSources[tag].join(", ")})`;
+          label.appendChild(foundIn);
+        }
         tagsListDiv.appendChild(label);
         // No <br> needed if using display: block on label
       });
@@ -150,7 +939,8 @@ document.addEventListener("DOMContentLoaded", () => {
   }
 
   // --- Populate Privacy Levels Checkbox List ---
-  function updatePrivacyUI(privacyLevels) {
+  // Levels listed in defaultPrivacy (from the source config) start checked
+  function updatePrivacyUI(privacyLevels, defaultPrivacy = []) {
     privacyDiv.innerHTML = ""; // Clear previous
     if (privacyLevels && privacyLevels.length > 0) {
       privacyLevels.forEach((level) => {
@@ -159,6 +949,7 @@ document.addEventListener("DOMContentLoaded", () => {
         checkbox.type = "checkbox";
         checkbox.name = "privacy";
         checkbox.value = level;
+        checkbox.checked = defaultPrivacy.includes(level);
 
         label.appendChild(checkbox);
         label.appendChild(document.createTextNode(` ${level}`));
@@ -169,60 +960,120 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   }
 
-  // --- Handle Form Submission ---
-  form.addEventListener("submit", (event) => {
-    event.preventDefault();
-    setStatus("Processing...", "loading");
-    aggregateButton.disabled = true;
-
+  // --- Build the Aggregation Payload from the Form ---
+  // Returns null (and sets an error status, unless `quiet`) if the form is
+  // incomplete.
+  function buildRequestPayload({ quiet = false } = {}) {
     const formData = new FormData(form);
     const selectedPrivacy = formData.getAll("privacy");
 
     let selectedTags = null; // Default to null for "include all"
-    if (!includeAllTagsCheckbox.checked) {
+    const tagQuery = includeAllTagsCheckbox.checked
+      ? ""
+      : tagQueryInput.value.trim();
+    if (!includeAllTagsCheckbox.checked && !tagQuery) {
       // Get checked tags ONLY if "include all" is OFF
       selectedTags = Array.from(formData.getAll("requiredTags"));
       // Validation: If not including all, at least one tag must be selected
       if (selectedTags.length === 0) {
-        setStatus(
-          'Please select at least one tag, or check "Include All Notes".',
-          "error"
-        );
-        aggregateButton.disabled = false;
-        return; // Stop submission
+        if (!quiet) {
+          setStatus(
+            'Please select at least one tag, enter a tag query, or check "Include All Notes".',
+            "error"
+          );
+        }
+        return null;
       }
     }
 
+    const sourceKeys = selectedSourceKeys();
     const data = {
-      sourceDirKey: formData.get("sourceDir"),
+      // Several sources are merged into one aggregate
+      ...(sourceKeys.length > 1
+        ? { sourceDirKeys: sourceKeys }
+        : { sourceDirKey: formData.get("sourceDir") }),
       requiredTags: selectedTags, // Send null or array of tags
+      tagQuery, // Takes precedence over requiredTags when not empty
+      textQuery: textQueryInput.value.trim(),
+      textMatch: textMatchSelect.value,
+      textRegex: textRegexCheckbox.checked,
+      textExcerpts: textExcerptsCheckbox.checked,
+      fieldFilters: buildFieldFiltersPayload(),
+      showFieldValues: showFieldValuesCheckbox.checked,
       allowedPrivacy: selectedPrivacy,
-      startDate: formData.get("startDate"),
-      endDate: formData.get("endDate"),
+      // Disabled date inputs are left out of FormData when a range is chosen
+      dateRange: formData.get("dateRange") || undefined,
+      startDate: formData.get("startDate") || undefined,
+      endDate: formData.get("endDate") || undefined,
+      undatedPolicy: formData.get("undatedPolicy"),
+      groupBy: formData.get("groupBy"),
+      sort: formData.get("sort"),
+      extraction: buildExtractionPayload(),
+      redaction: buildRedactionPayload(),
+      linkMode: formData.get("linkMode"),
+      format: formData.get("format"),
+      // Disabled selects are left out of FormData, so read the value directly
+      template: templateSelect.value,
+      filenameTemplate: filenameTemplateInput.value.trim(),
+      collisionPolicy: formData.get("collisionPolicy"),
     };
 
     // Basic validation
-    if (!data.sourceDirKey) {
-      setStatus("Please select a source directory.", "error");
-      aggregateButton.disabled = false;
-      return;
+    if (sourceKeys.length === 0) {
+      if (!quiet) setStatus("Please select a source directory.", "error");
+      return null;
     }
-    // No longer need requiredTag check, handled above
+    return data;
+  }
 
-    fetch("/api/aggregate", {
-      method: "POST",
+  // --- Send a JSON request and resolve to { status, body } ---
+  // body is {} for empty responses (e.g. 204 after a delete)
+  function sendJson(method, url, data) {
+    return fetch(url, {
+      method,
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify(data),
-    })
-      .then((response) =>
-        response.json().then((body) => ({ status: response.status, body }))
-      )
+      body: data === undefined ? undefined : JSON.stringify(data),
+    }).then((response) =>
+      response.text().then((text) => ({
+        status: response.status,
+        body: text ? JSON.parse(text) : {},
+      }))
+    );
+  }
+
+  function postJson(url, data) {
+    return sendJson("POST", url, data);
+  }
+
+  function setButtonsDisabled(disabled) {
+    aggregateButton.disabled = disabled;
+    previewButton.disabled = disabled;
+    presetRunButton.disabled = disabled;
+  }
+
+  // --- Handle Form Submission ---
+  form.addEventListener("submit", (event) => {
+    event.preventDefault();
+    const data = buildRequestPayload();
+    if (!data) return;
+
+    setStatus("Processing...", "loading");
+    setButtonsDisabled(true);
+
+    postJson("/api/aggregate", data)
       .then(({ status, body }) => {
         if (status >= 200 && status < 300) {
           setStatus(
-            `Success! ${body.notesIncluded} note(s) aggregated into: ${body.outputFile}`,
+            `Success! ${body.notesIncluded} note(s) aggregated into: ${
+              body.outputFile
+            }${body.overwritten ? " (existing file overwritten)" : ""}${
+              body.unresolvedLinks && body.unresolvedLinks.length
+                ? ` ${body.unresolvedLinks.length} link(s) could not be resolved.`
+                : ""
+            }`,
             "success"
           );
+          loadHistory();
         } else {
           const errorMessage =
             body.error || `Aggregation failed (Status: ${status})`;
@@ -238,10 +1089,745 @@ document.addEventListener("DOMContentLoaded", () => {
         );
       })
       .finally(() => {
-        aggregateButton.disabled = false;
+        setButtonsDisabled(false);
+      });
+  });
+
+  // --- Handle Preview (dry run, nothing is written) ---
+  previewButton.addEventListener("click", () => {
+    const data = buildRequestPayload();
+    if (!data) return;
+
+    setStatus("Building preview...", "loading");
+    setButtonsDisabled(true);
+
+    postJson("/api/aggregate/preview", data)
+      .then(({ status, body }) => {
+        if (status >= 200 && status < 300) {
+          renderPreview(body);
+          setStatus(
+            `Preview ready: ${body.notesIncluded} note(s) would be aggregated. Nothing was written.`,
+            "success"
+          );
+        } else {
+          previewDiv.classList.add("hidden");
+          const errorMessage =
+            body.error || `Preview failed (Status: ${status})`;
+          setStatus(errorMessage, "error");
+          console.error("Preview error:", body);
+        }
+      })
+      .catch((error) => {
+        console.error("Fetch Error:", error);
+        setStatus(
+          `An network or fetch error occurred: ${error.message}`,
+          "error"
+        );
+      })
+      .finally(() => {
+        setButtonsDisabled(false);
+      });
+  });
+
+  // --- Populate the Preview Panel ---
+  function renderPreview(result) {
+    previewSummary.textContent = `${result.notesIncluded} of ${result.filesProcessed} note(s) match. Would be saved as: ${result.outputFile}`;
+    const labelledGroups = (result.groups || []).filter((group) => group.label);
+    if (labelledGroups.length > 0) {
+      previewSummary.textContent += ` Groups: ${labelledGroups
+        .map((group) => `${group.label} (${group.count})`)
+        .join(", ")}.`;
+    }
+    if (result.skippedAggregates && result.skippedAggregates.length > 0) {
+      previewSummary.textContent += ` ${result.skippedAggregates.length} earlier aggregate(s) in the source were skipped.`;
+    }
+    if (result.redaction) {
+      const { notes, ...redacted } = result.redaction;
+      const parts = Object.entries(redacted)
+        .filter(([, count]) => count > 0)
+        .map(([kind, count]) => `${count} ${kind}`);
+      previewSummary.textContent += parts.length
+        ? ` Redacted in ${notes} note(s): ${parts.join(", ")}.`
+        : " Nothing needed redacting.";
+    }
+    if (result.outputExists) {
+      previewSummary.textContent +=
+        collisionPolicySelect.value === "overwrite"
+          ? " That file already exists and would be overwritten."
+          : " That file already exists, so aggregating would fail.";
+    }
+
+    previewFilesList.innerHTML = "";
+    result.matchedFiles.forEach((file) => {
+      const item = document.createElement("li");
+      item.textContent = file;
+      previewFilesList.appendChild(item);
+    });
+
+    previewNotesDiv.innerHTML = "";
+    result.notes.forEach((note) => {
+      const heading = document.createElement("h4");
+      heading.textContent = `${
+        note.date ? `${note.date} — ${note.file}` : `(no date) — ${note.file}`
+      }${note.field_values ? ` — ${note.field_values}` : ""}`;
+      const pre = document.createElement("pre");
+      pre.textContent = note.content;
+      previewNotesDiv.appendChild(heading);
+      previewNotesDiv.appendChild(pre);
+    });
+
+    previewUndatedList.innerHTML = "";
+    (result.undatedFiles || []).forEach((file) => {
+      const item = document.createElement("li");
+      item.textContent = file;
+      previewUndatedList.appendChild(item);
+    });
+    previewUndatedDetails.classList.toggle(
+      "hidden",
+      !result.undatedFiles || result.undatedFiles.length === 0
+    );
+
+    previewUnresolvedList.innerHTML = "";
+    (result.unresolvedLinks || []).forEach((link) => {
+      const item = document.createElement("li");
+      item.textContent = `${link.link} — ${link.file}`;
+      previewUnresolvedList.appendChild(item);
+    });
+    previewUnresolvedDetails.classList.toggle(
+      "hidden",
+      !result.unresolvedLinks || result.unresolvedLinks.length === 0
+    );
+
+    previewRenderedLabel.textContent = `Rendered Output (${result.format})`;
+    previewRenderedPre.textContent = result.rendered;
+    previewDiv.classList.remove("hidden");
+  }
+
+  // --- Presets ---
+  // Fetch the saved presets and fill the picker, keeping the selection
+  function loadPresets() {
+    return sendJson("GET", "/api/presets").then(({ status, body }) => {
+      if (status !== 200) {
+        setStatus(body.error || "Error loading presets.", "error");
+        return;
+      }
+      presets = body.presets || [];
+      const selected = presetSelect.value;
+      presetSelect.innerHTML = '<option value="">No preset</option>';
+      presets.forEach((preset) => {
+        const option = document.createElement("option");
+        option.value = preset.name;
+        option.textContent = preset.description
+          ? `${preset.name} — ${preset.description}`
+          : preset.name;
+        presetSelect.appendChild(option);
+      });
+      presetSelect.value = presets.some((preset) => preset.name === selected)
+        ? selected
+        : "";
+
+      // The schedule form picks from the same presets
+      const scheduledPreset = schedulePresetSelect.value;
+      schedulePresetSelect.innerHTML =
+        '<option value="" disabled selected>Select preset...</option>';
+      presets.forEach((preset) => {
+        const option = document.createElement("option");
+        option.value = preset.name;
+        option.textContent = preset.name;
+        schedulePresetSelect.appendChild(option);
+      });
+      if (presets.some((preset) => preset.name === scheduledPreset)) {
+        schedulePresetSelect.value = scheduledPreset;
+      }
+    });
+  }
+
+  function selectedPreset() {
+    const preset = presets.find((item) => item.name === presetSelect.value);
+    if (!preset) setStatus("Please select a preset first.", "error");
+    return preset;
+  }
+
+  function setCheckedValues(container, values) {
+    container.querySelectorAll('input[type="checkbox"]').forEach((checkbox) => {
+      checkbox.checked = values.includes(checkbox.value);
+    });
+  }
+
+  // Fill the form from a preset's request. Fields the preset leaves out keep
+  // the source's defaults.
+  async function applyPreset(request) {
+    // With several sources, the first is selected and the others merged in
+    const [sourceKey, ...extraKeys] = request.sourceDirKeys || [
+      request.sourceDirKey,
+    ];
+    sourceDirSelect.value = sourceKey;
+    setCheckedValues(extraSourcesDiv, extraKeys);
+    await loadSourceOptions(sourceKey);
+
+    const requiredTags = request.requiredTags || [];
+    includeAllTagsCheckbox.checked =
+      !request.tagQuery && requiredTags.length === 0;
+    tagQueryInput.value = request.tagQuery || "";
+    toggleTagListState();
+    setCheckedValues(tagsListDiv, requiredTags);
+    textQueryInput.value = request.textQuery || "";
+    textMatchSelect.value = request.textMatch || "all";
+    textRegexCheckbox.checked = Boolean(request.textRegex);
+    textExcerptsCheckbox.checked = Boolean(request.textExcerpts);
+    fieldFiltersDiv.innerHTML = "";
+    (request.fieldFilters || []).forEach(addFieldFilterRow);
+    showFieldValuesCheckbox.checked = Boolean(request.showFieldValues);
+    if (request.allowedPrivacy) {
+      setCheckedValues(privacyDiv, request.allowedPrivacy);
+    }
+
+    dateRangeSelect.value = request.dateRange || "";
+    startDateInput.value = request.dateRange ? "" : request.startDate || "";
+    endDateInput.value = request.dateRange ? "" : request.endDate || "";
+    toggleDateInputs();
+
+    if (request.undatedPolicy)
+      undatedPolicySelect.value = request.undatedPolicy;
+    groupBySelect.value = request.groupBy || "none";
+    sortSelect.value = request.sort || "asc";
+    if (request.extraction) {
+      const defaults = sourceDefaults[sourceKey] || {};
+      applyExtractionSettings({
+        ...defaults.extraction,
+        ...request.extraction,
+      });
+    }
+    if (request.redaction) {
+      const defaults = sourceDefaults[sourceKey] || {};
+      applyRedactionSettings({
+        ...defaults.redaction,
+        ...request.redaction,
+      });
+    }
+    if (request.linkMode) linkModeSelect.value = request.linkMode;
+    if (request.format) formatSelect.value = request.format;
+    templateSelect.disabled = formatSelect.value !== "md";
+    if (request.template) templateSelect.value = request.template;
+    if (request.filenameTemplate) {
+      filenameTemplateInput.value = request.filenameTemplate;
+    }
+    if (request.collisionPolicy) {
+      collisionPolicySelect.value = request.collisionPolicy;
+    }
+    scheduleMatchCount();
+  }
+
+  presetLoadButton.addEventListener("click", () => {
+    const preset = selectedPreset();
+    if (!preset) return;
+    applyPreset(preset.request).then(() =>
+      setStatus(`Loaded preset '${preset.name}'.`, "success")
+    );
+  });
+
+  // Save the current form as a preset (replacing one with the same name)
+  presetSaveButton.addEventListener("click", () => {
+    const data = buildRequestPayload();
+    if (!data) return;
+    const name = prompt(
+      "Preset name (letters, numbers, '-' and '_'):",
+      presetSelect.value
+    );
+    if (!name) return;
+    if (
+      presets.some((preset) => preset.name === name) &&
+      !confirm(`Replace the existing preset '${name}'?`)
+    ) {
+      return;
+    }
+    const description = prompt("Description (optional):", "") || undefined;
+
+    // Store only the fields that are set, so the source's defaults still
+    // apply to the rest when the preset is run
+    const request = Object.fromEntries(
+      Object.entries(data).filter(
+        ([, value]) =>
+          value !== undefined &&
+          value !== null &&
+          value !== "" &&
+          !(Array.isArray(value) && value.length === 0)
+      )
+    );
+
+    sendJson("PUT", `/api/presets/${encodeURIComponent(name)}`, {
+      description,
+      request,
+    })
+      .then(({ status, body }) => {
+        if (status !== 200 && status !== 201) {
+          setStatus(body.error || `Saving failed (Status: ${status})`, "error");
+          return;
+        }
+        presetSelect.value = name;
+        return loadPresets().then(() =>
+          setStatus(`Saved preset '${name}'.`, "success")
+        );
+      })
+      .catch((error) => {
+        console.error("Fetch Error:", error);
+        setStatus(`Could not save the preset: ${error.message}`, "error");
+      });
+  });
+
+  // Run the selected preset on the server, as saved (not the form's values)
+  presetRunButton.addEventListener("click", () => {
+    const preset = selectedPreset();
+    if (!preset) return;
+
+    setStatus(`Running preset '${preset.name}'...`, "loading");
+    setButtonsDisabled(true);
+
+    postJson(`/api/presets/${encodeURIComponent(preset.name)}/run`, {})
+      .then(({ status, body }) => {
+        if (status >= 200 && status < 300) {
+          setStatus(
+            `Success! ${body.notesIncluded} note(s) aggregated into: ${
+              body.outputFile
+            }${body.overwritten ? " (existing file overwritten)" : ""}${
+              body.unresolvedLinks && body.unresolvedLinks.length
+                ? ` ${body.unresolvedLinks.length} link(s) could not be resolved.`
+                : ""
+            }`,
+            "success"
+          );
+          loadHistory();
+        } else {
+          setStatus(
+            body.error || `Running the preset failed (Status: ${status})`,
+            "error"
+          );
+        }
+      })
+      .catch((error) => {
+        console.error("Fetch Error:", error);
+        setStatus(
+          `An network or fetch error occurred: ${error.message}`,
+          "error"
+        );
+      })
+      .finally(() => {
+        setButtonsDisabled(false);
+      });
+  });
+
+  presetDeleteButton.addEventListener("click", () => {
+    const preset = selectedPreset();
+    if (!preset || !confirm(`Delete the preset '${preset.name}'?`)) return;
+
+    sendJson("DELETE", `/api/presets/${encodeURIComponent(preset.name)}`)
+      .then(({ status, body }) => {
+        if (status !== 204) {
+          setStatus(body.error || `Delete failed (Status: ${status})`, "error");
+          return;
+        }
+        return loadPresets().then(() =>
+          setStatus(`Deleted preset '${preset.name}'.`, "success")
+        );
+      })
+      .catch((error) => {
+        console.error("Fetch Error:", error);
+        setStatus(`Could not delete the preset: ${error.message}`, "error");
       });
   });
 
+  // --- Schedules ---
+  // Fetch the schedules and recent runs; refreshed every minute so the next
+  // and last run times stay current
+  function loadSchedules() {
+    return Promise.all([
+      sendJson("GET", "/api/schedules"),
+      sendJson("GET", "/api/schedule-runs?limit=20"),
+    ]).then(([schedulesResponse, runsResponse]) => {
+      if (schedulesResponse.status !== 200) {
+        setStatus(
+          schedulesResponse.body.error || "Error loading schedules.",
+          "error"
+        );
+        return;
+      }
+      renderSchedules(schedulesResponse.body.schedules || []);
+      renderRuns(runsResponse.body.runs || []);
+    });
+  }
+
+  setInterval(loadSchedules, 60000);
+
+  function formatDateTime(isoString) {
+    return isoString ? new Date(isoString).toLocaleString() : "—";
+  }
+
+  // "success" / "error" / ... label for a run, with the file or error as a tooltip
+  function runStatusElement(run) {
+    const span = document.createElement("span");
+    span.className = `run-status ${run.status}`;
+    span.textContent = run.status;
+    span.title = run.error || run.outputFile || "";
+    return span;
+  }
+
+  function smallButton(text, className, onClick) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = `small ${className}`.trim();
+    button.textContent = text;
+    button.addEventListener("click", onClick);
+    return button;
+  }
+
+  function renderSchedules(schedules) {
+    scheduleRows.innerHTML = "";
+    scheduleTable.classList.toggle("hidden", schedules.length === 0);
+    schedulesEmpty.classList.toggle("hidden", schedules.length > 0);
+
+    schedules.forEach((schedule) => {
+      const row = document.createElement("tr");
+      row.classList.toggle("disabled", !schedule.enabled);
+
+      const nameCell = document.createElement("td");
+      nameCell.textContent = schedule.name;
+      nameCell.title = schedule.description || "";
+      const presetCell = document.createElement("td");
+      presetCell.textContent = schedule.preset;
+      const cronCell = document.createElement("td");
+      const cronCode = document.createElement("code");
+      cronCode.textContent = schedule.cron;
+      cronCell.appendChild(cronCode);
+      const nextCell = document.createElement("td");
+      nextCell.textContent = schedule.enabled
+        ? formatDateTime(schedule.nextRunAt)
+        : "Disabled";
+      const lastCell = document.createElement("td");
+      if (schedule.lastRun) {
+        lastCell.appendChild(runStatusElement(schedule.lastRun));
+        lastCell.appendChild(
+          document.createTextNode(
+            ` ${formatDateTime(schedule.lastRun.startedAt)}`
+          )
+        );
+      } else {
+        lastCell.textContent = "Never";
+      }
+
+      const actionsCell = document.createElement("td");
+      actionsCell.className = "schedule-actions";
+      actionsCell.appendChild(
+        smallButton("Run Now", "", () => runScheduleNow(schedule))
+      );
+      actionsCell.appendChild(
+        smallButton("Edit", "secondary", () => editSchedule(schedule))
+      );
+      actionsCell.appendChild(
+        smallButton(schedule.enabled ? "Disable" : "Enable", "secondary", () =>
+          saveSchedule({
+            ...scheduleFields(schedule),
+            enabled: !schedule.enabled,
+          })
+        )
+      );
+      actionsCell.appendChild(
+        smallButton("Delete", "danger", () => deleteSchedule(schedule))
+      );
+
+      [
+        nameCell,
+        presetCell,
+        cronCell,
+        nextCell,
+        lastCell,
+        actionsCell,
+      ].forEach((cell) => row.appendChild(cell));
+      scheduleRows.appendChild(row);
+    });
+  }
+
+  function renderRuns(runs) {
+    scheduleRunsList.innerHTML = "";
+    if (runs.length === 0) {
+      scheduleRunsList.innerHTML = "<li>No runs yet.</li>";
+      return;
+    }
+    runs.forEach((run) => {
+      const item = document.createElement("li");
+      item.appendChild(runStatusElement(run));
+      const details =
+        run.status === "success"
+          ? `${run.notesIncluded} note(s) into ${run.outputFile}`
+          : run.error || "";
+      item.appendChild(
+        document.createTextNode(
+          ` ${formatDateTime(run.startedAt)} — ${run.schedule} (${
+            run.trigger
+          })${details ? `: ${details}` : ""}`
+        )
+      );
+      scheduleRunsList.appendChild(item);
+    });
+  }
+
+  // The editable fields of a schedule (without timestamps and run info)
+  function scheduleFields(schedule) {
+    return {
+      name: schedule.name,
+      description: schedule.description,
+      preset: schedule.preset,
+      cron: schedule.cron,
+      enabled: schedule.enabled,
+      catchUp: schedule.catchUp,
+    };
+  }
+
+  function saveSchedule(fields) {
+    const { name, ...schedule } = fields;
+    return sendJson(
+      "PUT",
+      `/api/schedules/${encodeURIComponent(name)}`,
+      schedule
+    )
+      .then(({ status, body }) => {
+        if (status !== 200 && status !== 201) {
+          setStatus(
+            body.error || `Saving the schedule failed (Status: ${status})`,
+            "error"
+          );
+          return false;
+        }
+        setStatus(`Saved schedule '${name}'.`, "success");
+        return loadSchedules().then(() => true);
+      })
+      .catch((error) => {
+        console.error("Fetch Error:", error);
+        setStatus(`Could not save the schedule: ${error.message}`, "error");
+        return false;
+      });
+  }
+
+  function editSchedule(schedule) {
+    scheduleForm.elements.name.value = schedule.name;
+    scheduleForm.elements.preset.value = schedule.preset;
+    scheduleForm.elements.cron.value = schedule.cron;
+    scheduleForm.elements.description.value = schedule.description || "";
+    scheduleForm.elements.enabled.checked = schedule.enabled;
+    scheduleForm.elements.catchUp.checked = schedule.catchUp;
+    scheduleFormDetails.open = true;
+    scheduleForm.scrollIntoView({ behavior: "smooth" });
+  }
+
+  scheduleForm.addEventListener("submit", (event) => {
+    event.preventDefault();
+    const elements = scheduleForm.elements;
+    saveSchedule({
+      name: elements.name.value.trim(),
+      preset: elements.preset.value,
+      cron: elements.cron.value.trim(),
+      description: elements.description.value.trim() || undefined,
+      enabled: elements.enabled.checked,
+      catchUp: elements.catchUp.checked,
+    }).then((saved) => {
+      if (saved) scheduleForm.reset();
+    });
+  });
+
+  function runScheduleNow(schedule) {
+    setStatus(`Running schedule '${schedule.name}'...`, "loading");
+    postJson(`/api/schedules/${encodeURIComponent(schedule.name)}/run`, {})
+      .then(({ status, body }) => {
+        if (status === 200) {
+          setStatus(
+            `Success! ${body.notesIncluded} note(s) aggregated into: ${body.outputFile}`,
+            "success"
+          );
+          loadHistory();
+        } else {
+          setStatus(
+            body.error || `Running the schedule failed (Status: ${status})`,
+            "error"
+          );
+        }
+        return loadSchedules();
+      })
+      .catch((error) => {
+        console.error("Fetch Error:", error);
+        setStatus(
+          `An network or fetch error occurred: ${error.message}`,
+          "error"
+        );
+      });
+  }
+
+  function deleteSchedule(schedule) {
+    if (!confirm(`Delete the schedule '${schedule.name}'?`)) return;
+    sendJson("DELETE", `/api/schedules/${encodeURIComponent(schedule.name)}`)
+      .then(({ status, body }) => {
+        if (status !== 204) {
+          setStatus(body.error || `Delete failed (Status: ${status})`, "error");
+          return;
+        }
+        setStatus(`Deleted schedule '${schedule.name}'.`, "success");
+        return loadSchedules();
+      })
+      .catch((error) => {
+        console.error("Fetch Error:", error);
+        setStatus(`Could not delete the schedule: ${error.message}`, "error");
+      });
+  }
+
+  // --- Past Aggregates ---
+  let outputDirsLoaded = false;
+
+  function aggregateUrl(aggregate, action = "") {
+    return `/api/aggregates/${encodeURIComponent(
+      aggregate.dir
+    )}/${encodeURIComponent(aggregate.file)}${action ? `/${action}` : ""}`;
+  }
+
+  // Fetch the aggregates in the output folders (newest first) and list them
+  function loadHistory() {
+    return sendJson("GET", "/api/aggregates").then(({ status, body }) => {
+      if (status !== 200) {
+        setStatus(body.error || "Error loading past aggregates.", "error");
+        return;
+      }
+      if (!outputDirsLoaded) {
+        body.outputDirs.forEach((dir) => {
+          const option = document.createElement("option");
+          option.value = dir.key;
+          option.textContent = `${dir.label} (${dir.path})`;
+          historyDirSelect.appendChild(option);
+        });
+        outputDirsLoaded = true;
+      }
+      renderHistory(
+        body.aggregates.filter(
+          (aggregate) =>
+            !historyDirSelect.value || aggregate.dir === historyDirSelect.value
+        )
+      );
+    });
+  }
+
+  historyDirSelect.addEventListener("change", loadHistory);
+  historyRefreshButton.addEventListener("click", loadHistory);
+
+  // "daily · tags: spain · 2024-03-01 – 2024-03-31 · md · 19/10/2026, 10:00"
+  function describeAggregate(aggregate) {
+    const parts = [];
+    if (aggregate.summary) {
+      const { source, tags, startDate, endDate } = aggregate.summary;
+      if (source) parts.push(source);
+      parts.push(`tags: ${tags}`);
+      if (startDate || endDate) {
+        parts.push(`${startDate || "any"} – ${endDate || "any"}`);
+      }
+    }
+    parts.push(aggregate.format);
+    parts.push(formatDateTime(aggregate.modifiedAt));
+    return parts.join(" · ");
+  }
+
+  function renderHistory(aggregates) {
+    historyList.innerHTML = "";
+    historyEmpty.classList.toggle("hidden", aggregates.length > 0);
+
+    aggregates.forEach((aggregate) => {
+      const item = document.createElement("li");
+      const name = document.createElement("strong");
+      name.textContent = aggregate.file;
+      name.title = aggregate.path;
+      const meta = document.createElement("span");
+      meta.className = "history-meta";
+      meta.textContent = describeAggregate(aggregate);
+      item.appendChild(name);
+      item.appendChild(meta);
+
+      item.appendChild(
+        smallButton("View", "secondary", () => viewAggregate(aggregate))
+      );
+      item.appendChild(
+        smallButton("Download", "secondary", () => {
+          window.location.href = aggregateUrl(aggregate, "download");
+        })
+      );
+      // Re-running needs the settings recorded in the aggregate
+      if (aggregate.request) {
+        item.appendChild(
+          smallButton("Load into Form", "secondary", () =>
+            applyPreset(aggregate.request).then(() =>
+              setStatus(`Loaded the settings of ${aggregate.file}.`, "success")
+            )
+          )
+        );
+        item.appendChild(
+          smallButton("Re-run", "", () => rerunAggregate(aggregate))
+        );
+      }
+      item.appendChild(
+        smallButton("Delete", "danger", () => deleteAggregate(aggregate))
+      );
+      historyList.appendChild(item);
+    });
+  }
+
+  // Show the aggregate in a sandboxed frame (Markdown is rendered by the server)
+  function viewAggregate(aggregate) {
+    historyViewerTitle.textContent = aggregate.file;
+    historyFrame.src = aggregateUrl(aggregate, "view");
+    historyViewer.classList.remove("hidden");
+    historyViewer.scrollIntoView({ behavior: "smooth" });
+  }
+
+  // Repeat the run with the same settings. A numbered name is used if the
+  // file already exists, so nothing is overwritten.
+  function rerunAggregate(aggregate) {
+    setStatus(`Re-running ${aggregate.file}...`, "loading");
+    postJson("/api/aggregate", {
+      ...aggregate.request,
+      collisionPolicy: "suffix",
+    })
+      .then(({ status, body }) => {
+        if (status >= 200 && status < 300) {
+          setStatus(
+            `Success! ${body.notesIncluded} note(s) aggregated into: ${body.outputFile}`,
+            "success"
+          );
+          return loadHistory();
+        }
+        setStatus(body.error || `Re-run failed (Status: ${status})`, "error");
+      })
+      .catch((error) => {
+        console.error("Fetch Error:", error);
+        setStatus(
+          `An network or fetch error occurred: ${error.message}`,
+          "error"
+        );
+      });
+  }
+
+  function deleteAggregate(aggregate) {
+    if (!confirm(`Delete ${aggregate.path}?`)) return;
+    sendJson("DELETE", aggregateUrl(aggregate))
+      .then(({ status, body }) => {
+        if (status !== 204) {
+          setStatus(body.error || `Delete failed (Status: ${status})`, "error");
+          return;
+        }
+        if (historyViewerTitle.textContent === aggregate.file) {
+          historyViewer.classList.add("hidden");
+        }
+        setStatus(`Deleted ${aggregate.file}.`, "success");
+        return loadHistory();
+      })
+      .catch((error) => {
+        console.error("Fetch Error:", error);
+        setStatus(`Could not delete the aggregate: ${error.message}`, "error");
+      });
+  }
+
   function setStatus(message, type) {
     statusDiv.textContent = message;
     statusDiv.className = type;
@@ -10,14 +10,61 @@ const cors = require("cors");
 const fs = require("fs");
 
 // --- Local Modules ---
-const { aggregateNotes, getAvailableOptions } = require("./logic/aggregate");
+const {
+  aggregateNotes,
+  countMatchingNotes,
+  getAvailableOptions,
+} = require("./logic/aggregate");
+const { createSourceRegistry } = require("./logic/sources");
+const { listFormats } = require("./logic/renderers");
+const { listTemplates, loadTemplate } = require("./logic/template");
+const {
+  findSourcesContaining,
+  isSameOrInsideDir,
+  metadataSidecarFor,
+} = require("./logic/output");
+const { resolveAppPaths } = require("./logic/config");
+const { createNoteIndex } = require("./logic/noteIndex");
+const { assetsDirFor } = require("./logic/links");
+const { RELATIVE_DATE_RANGES } = require("./logic/dateRanges");
+const { createPresetStore, validatePreset } = require("./logic/presets");
+const {
+  createRunHistory,
+  createScheduleStore,
+  validateSchedule,
+} = require("./logic/schedules");
+const { createScheduler } = require("./logic/scheduler");
+const { createSourceWatcher } = require("./logic/sourceWatcher");
+const { getSourceStats } = require("./logic/stats");
+const {
+  findAggregate,
+  listAggregates,
+  listOutputDirs,
+  renderAggregatePage,
+} = require("./logic/outputBrowser");
+const {
+  aggregationErrorStatus,
+  buildAggregationOptions,
+} = require("./logic/aggregationOptions");
 
 // --- Express App Setup ---
 const app = express();
 const port = process.env.PORT || 3000;
 
 // --- Configuration - Load Input Paths from Environment Variables ---
-const vaultBasePath = process.env.OBSIDIAN_VAULT_PATH;
+// See logic/config.js: OBSIDIAN_VAULT_PATH, SOURCES_CONFIG_PATH,
+// AGGREGATES_PATH, TEMPLATES_PATH, PRESETS_PATH, SCHEDULES_PATH,
+// SCHEDULE_HISTORY_PATH and INDEX_PATH
+const {
+  vaultBasePath,
+  sourcesConfigPath,
+  aggregatesDir: AGGREGATES_DIR,
+  templatesDir: TEMPLATES_DIR,
+  presetsPath,
+  schedulesPath,
+  scheduleHistoryPath,
+  indexDir,
+} = resolveAppPaths();
 
 // --- CRITICAL Check: Ensure Vault Path is Set ---
 if (!vaultBasePath) {
@@ -31,31 +78,83 @@ if (!vaultBasePath) {
   process.exit(1); // Exit if the essential path is missing
 }
 
-// --- Define Source Directories using the Vault Base Path ---
-const SOURCES = {
-  daily: {
-    name: "Daily Journal",
-    path: path.join(vaultBasePath, "daily"),
-  },
-  work: {
-    name: "Work Journal",
-    path: path.join(vaultBasePath, "my stuff", "my journals", "work-journal"),
-  },
-  // Add more sources here if needed
+// --- Load Source Directories from the Sources Config File ---
+// Re-read whenever it changes, so no restart is needed after editing it.
+const sourceRegistry = createSourceRegistry({
+  configPath: sourcesConfigPath,
+  vaultBasePath,
+});
+
+// --- Saved Presets (PRESETS_PATH, default presets.json next to .env) ---
+const presetStore = createPresetStore(presetsPath);
+
+// --- Note Index: parsed notes per source, saved in INDEX_PATH ---
+// Refreshed incrementally on every options request and aggregation.
+const noteIndex = createNoteIndex({ indexDir });
+
+// Everything buildAggregationOptions needs to resolve a request
+const aggregationContext = {
+  sourceRegistry,
+  aggregatesDir: AGGREGATES_DIR,
+  templatesDir: TEMPLATES_DIR,
+  vaultBasePath,
+  noteIndex,
 };
 
-// --- Define Aggregates Output Directory (Relative to this project) ---
-// Output will go into a folder named 'output' within the note-aggregator directory
-const AGGREGATES_DIR = path.join(__dirname, "output"); // <-- CHANGED HERE
+// --- Scheduler: runs presets on cron schedules while the server is up ---
+const scheduleStore = createScheduleStore(schedulesPath);
+const runHistory = createRunHistory(scheduleHistoryPath);
+const scheduler = createScheduler({
+  presetStore,
+  scheduleStore,
+  runHistory,
+  aggregationContext,
+});
+
+// --- Live Updates: Server-Sent Events to connected browsers ---
+// Open GET /api/events responses; each event is sent to all of them.
+const eventClients = new Set();
+
+function broadcastEvent(event, data) {
+  const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  eventClients.forEach((client) => client.write(message));
+}
+
+// Keep idle connections from being closed by proxies
+const EVENT_HEARTBEAT_MS = 25000;
+setInterval(() => {
+  eventClients.forEach((client) => client.write(": heartbeat\n\n"));
+}, EVENT_HEARTBEAT_MS).unref();
+
+// Tell browsers when a source's tags or privacy levels change on disk
+const sourceWatcher = createSourceWatcher({
+  sourceRegistry,
+  noteIndex,
+  onOptionsChanged: (sourceKey, options) => {
+    console.log(`[Watcher] Options of '${sourceKey}' changed`);
+    broadcastEvent("options", { source: sourceKey, options });
+  },
+});
+
+// --- Path shown to the user: relative inside this project, else absolute ---
+function displayPath(file) {
+  return isSameOrInsideDir(file, __dirname)
+    ? path.relative(__dirname, file)
+    : file;
+}
 
 // --- Startup Validation ---
 console.log("--- Verifying Configuration ---");
 let configOk = true;
-Object.entries(SOURCES).forEach(([key, config]) => {
-  if (!config.path) {
-    console.error(`ERROR: Path configuration missing for source '${key}'.`);
-    configOk = false;
-  } else if (!fs.existsSync(config.path)) {
+const initialSources = sourceRegistry.initialResult;
+console.log(`[INFO] Sources config: ${sourcesConfigPath}`);
+initialSources.errors.forEach((message) => {
+  console.error(`ERROR: ${message}`);
+  configOk = false;
+});
+initialSources.warnings.forEach((message) => console.warn(`WARN: ${message}`));
+Object.entries(initialSources.sources).forEach(([key, config]) => {
+  if (!fs.existsSync(config.path)) {
     console.warn(
       `WARN: Source directory for '${config.name}' (${key}) not found at: ${config.path}`
     );
@@ -65,14 +164,47 @@ Object.entries(SOURCES).forEach(([key, config]) => {
   }
 });
 
+// Check that every template referenced by a source exists and compiles
+Object.values(initialSources.sources).forEach((config) => {
+  try {
+    loadTemplate(config.defaults.template, TEMPLATES_DIR);
+  } catch (templateError) {
+    console.error(
+      `ERROR: Source '${config.name}' (${config.key}): ${templateError.message}`
+    );
+    configOk = false;
+  }
+});
+console.log(`[INFO] Templates directory: ${TEMPLATES_DIR}`);
+console.log(`[INFO] Presets file: ${presetsPath}`);
+console.log(`[INFO] Schedules file: ${schedulesPath}`);
+console.log(`[INFO] Note index directory: ${indexDir}`);
+
 // Log the chosen aggregates directory
 console.log(`[INFO] Aggregates will be saved to: ${AGGREGATES_DIR}`);
+Object.values(initialSources.sources)
+  .filter((config) => config.defaults.outputPath)
+  .forEach((config) =>
+    console.log(
+      `[INFO] Aggregates of '${config.name}' (${config.key}) will be saved to: ${config.defaults.outputPath}`
+    )
+  );
 // We don't need to check if AGGREGATES_DIR exists here,
 // as ensureDirSync in aggregate.js will create it.
 
+// Aggregates written into a scanned folder would be aggregated again
+findSourcesContaining(AGGREGATES_DIR, initialSources.sources).forEach(
+  (config) => {
+    console.error(
+      `ERROR: The aggregates directory ${AGGREGATES_DIR} is inside the folder of source '${config.name}' (${config.key}). Set AGGREGATES_PATH to a folder outside every source.`
+    );
+    configOk = false;
+  }
+);
+
 if (!configOk) {
   console.error(
-    "\nConfiguration errors found. Please check your .env file and folder structure."
+    "\nConfiguration errors found. Please check your .env file, sources config and folder structure."
   );
   process.exit(1);
 }
@@ -85,53 +217,79 @@ app.use(express.static(path.join(__dirname, "public")));
 
 // --- API Endpoints ---
 
-// /api/config-options endpoint remains the same...
+// --- Sources named in ?source=<key> (or several: ?source=daily,work) ---
+// Returns them as { notesDir, include, exclude, dateFormats, dateField }
+// entries, or sends a 404 and returns null when one is unknown or missing.
+function sourceDirsFromQuery(query, res) {
+  const keys = String(query.source)
+    .split(",")
+    .map((key) => key.trim())
+    .filter(Boolean);
+  const directories = [];
+  for (const key of keys) {
+    const source = sourceRegistry.getSource(key);
+    if (!source) {
+      res.status(404).json({ error: `Source key '${key}' not found.` });
+      return null;
+    }
+    if (!fs.existsSync(source.path)) {
+      res.status(404).json({
+        error: `Source directory for '${key}' not found at ${source.path}`,
+      });
+      return null;
+    }
+    directories.push({
+      notesDir: source.path,
+      include: source.defaults.include,
+      exclude: source.defaults.exclude,
+      dateFormats: source.defaults.dateFormats,
+      dateField: source.defaults.dateField,
+    });
+  }
+  return directories;
+}
+
+// Lists configured sources, or the tags, privacy levels and frontmatter
+// fields for one source (or the union across several: ?source=daily,work)
 app.get("/api/config-options", async (req, res) => {
-  // ... (no changes needed in this endpoint) ...
   const sourceKey = req.query.source;
+  const sources = sourceRegistry.getSources();
 
   try {
     if (sourceKey) {
-      // Fetch options only for the requested source
-      if (!SOURCES[sourceKey]) {
-        return res
-          .status(404)
-          .json({ error: `Source key '${sourceKey}' not found.` });
-      }
-      if (!fs.existsSync(SOURCES[sourceKey].path)) {
-        return res
-          .status(404)
-          .json({
-            error: `Source directory for '${sourceKey}' not found at ${SOURCES[sourceKey].path}`,
-          });
-      }
-      const options = await getAvailableOptions(SOURCES[sourceKey].path);
+      // Fetch options only for the requested source(s)
+      const directories = sourceDirsFromQuery(req.query, res);
+      if (!directories) return;
+      const options = await getAvailableOptions(directories, { noteIndex });
       res.json(options);
     } else {
       // Return list of all configured sources
-      const sourceList = Object.entries(SOURCES).map(([key, config]) => ({
-        key: key,
+      const sourceList = Object.values(sources).map((config) => ({
+        key: config.key,
         name: config.name,
+        defaults: config.defaults,
       }));
 
       // Optional: Pre-fetch options for the first source
       let firstSourceOptions = {};
       if (sourceList.length > 0) {
-        const firstSourceKey = sourceList[0].key;
-        const firstSourcePath = SOURCES[firstSourceKey].path;
+        const firstSource = sources[sourceList[0].key];
         try {
-          if (fs.existsSync(firstSourcePath)) {
-            firstSourceOptions[firstSourceKey] = await getAvailableOptions(
-              firstSourcePath
-            );
+          if (fs.existsSync(firstSource.path)) {
+            const options = await getAvailableOptions(firstSource.path, {
+              include: firstSource.defaults.include,
+              exclude: firstSource.defaults.exclude,
+              noteIndex,
+            });
+            firstSourceOptions[firstSource.key] = options;
           } else {
             console.warn(
-              `Skipping options pre-fetch for ${firstSourceKey}: Directory not found.`
+              `Skipping options pre-fetch for ${firstSource.key}: Directory not found.`
             );
           }
         } catch (optionsError) {
           console.warn(
-            `Could not pre-fetch options for ${firstSourceKey}: ${optionsError.message}`
+            `Could not pre-fetch options for ${firstSource.key}: ${optionsError.message}`
           );
         }
       }
@@ -139,98 +297,526 @@ app.get("/api/config-options", async (req, res) => {
       res.json({
         sources: sourceList,
         options: firstSourceOptions,
+        formats: listFormats(),
+        templates: listTemplates(TEMPLATES_DIR),
+        dateRanges: RELATIVE_DATE_RANGES,
       });
     }
   } catch (error) {
     console.error("Error in /api/config-options:", error);
+    res.status(500).json({
+      error: `Failed to get configuration or options: ${error.message}`,
+    });
+  }
+});
+
+// Tag and privacy statistics of one source (?source=<key>, or combined for
+// ?source=daily,work): note counts, first and last dates, co-occurring tags
+// and notes per month
+app.get("/api/stats", (req, res) => {
+  if (!req.query.source) {
+    return res
+      .status(400)
+      .json({ error: "Query parameter 'source' is required." });
+  }
+  const directories = sourceDirsFromQuery(req.query, res);
+  if (!directories) return;
+
+  try {
+    res.json(getSourceStats(directories, { noteIndex }));
+  } catch (error) {
+    console.error("Error in /api/stats:", error);
     res
       .status(500)
-      .json({
-        error: `Failed to get configuration or options: ${error.message}`,
-      });
+      .json({ error: `Failed to get statistics: ${error.message}` });
   }
 });
 
+// Server-Sent Events stream. Sends `options` events,
+// { source, options: { tags, tagSources, privacyLevels, fields } }, whenever
+// the notes of a source change.
+app.get("/api/events", (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+  res.write("retry: 5000\n\n"); // Reconnect delay for the browser
+  eventClients.add(res);
+  req.on("close", () => eventClients.delete(res));
+});
+
+// --- Log an aggregation or preview request (not the live counts) ---
+function logAggregationRequest(options, dryRun) {
+  const tagDescription = options.tagQuery.trim()
+    ? `tag query: ${options.tagQuery}`
+    : options.requiredTags === null
+    ? "all tags"
+    : `tag(s): ${options.requiredTags.join(", ")}`;
+  console.log(
+    `Received ${
+      dryRun ? "preview" : "aggregation"
+    } request for source '${options.sources
+      .map((source) => source.key)
+      .join("', '")}' with ${tagDescription}`
+  );
+}
+
+// --- Run an aggregation (or a dry run) and send the result ---
+// Shared by the aggregate, preview and preset endpoints.
+async function respondWithAggregation(res, payload, { dryRun = false } = {}) {
+  const { options, status, error } = buildAggregationOptions(
+    payload,
+    aggregationContext
+  );
+  if (error) {
+    return res.status(status).json({ error });
+  }
+  logAggregationRequest(options, dryRun);
+
+  try {
+    // --- Call aggregation logic with updated parameters ---
+    const result = await aggregateNotes({ ...options, dryRun });
+
+    const outputPath = displayPath(result.outputFile);
+    if (!dryRun) console.log(`Aggregation successful: ${outputPath}`);
+    res.status(200).json({ ...result, outputFile: outputPath });
+  } catch (error) {
+    console.error(`Aggregation${dryRun ? " preview" : ""} failed:`, error);
+    const errorMessage =
+      error.message ||
+      `An unknown error occurred during ${dryRun ? "preview" : "aggregation"}.`;
+    res.status(aggregationErrorStatus(error)).json({ error: errorMessage });
+  }
+}
+
 // Endpoint to trigger the note aggregation
-app.post("/api/aggregate", async (req, res) => {
-  // --- Destructure expected payload ---
-  const {
-    sourceDirKey,
-    requiredTags, // <-- Changed from requiredTag. Expect null or an array.
-    allowedPrivacy,
-    startDate,
-    endDate,
-  } = req.body;
-
-  // --- Input Validation ---
-  if (!sourceDirKey || !SOURCES[sourceDirKey]) {
-    return res
-      .status(400)
-      .json({ error: "Invalid or missing source directory key provided." });
+app.post("/api/aggregate", (req, res) => respondWithAggregation(res, req.body));
+
+// Endpoint to preview an aggregation (same filtering, nothing written to disk)
+app.post("/api/aggregate/preview", (req, res) =>
+  respondWithAggregation(res, req.body, { dryRun: true })
+);
+
+// Count the notes the form's filters match (and what each filter excludes),
+// without rendering anything. Used for the live match count in the form.
+app.post("/api/aggregate/count", async (req, res) => {
+  const { options, status, error } = buildAggregationOptions(
+    req.body,
+    aggregationContext
+  );
+  if (error) {
+    return res.status(status).json({ error });
   }
-  // Validate requiredTags: should be null or an array
-  if (requiredTags !== null && !Array.isArray(requiredTags)) {
-    return res
-      .status(400)
-      .json({
-        error: "Invalid format for requiredTags. Expected null or an array.",
-      });
+  try {
+    res.json(await countMatchingNotes(options));
+  } catch (countError) {
+    const status = aggregationErrorStatus(countError);
+    if (status === 500) console.error("Counting notes failed:", countError);
+    res.status(status).json({ error: countError.message });
   }
-  // Add validation: if requiredTags is an array, it shouldn't be empty (handled by frontend, but good backend check)
-  if (Array.isArray(requiredTags) && requiredTags.length === 0) {
-    return res
-      .status(400)
-      .json({
-        error: "If filtering by tags, at least one tag must be provided.",
-      });
+});
+
+// --- Output Browser: past aggregates in the output folders ---
+
+// Output folders of the current sources config
+function currentOutputDirs() {
+  return listOutputDirs(sourceRegistry.getSources(), AGGREGATES_DIR);
+}
+
+// An aggregate as sent to the UI (no absolute path inside this project)
+function aggregateForDisplay({ filePath, ...aggregate }) {
+  return { ...aggregate, path: displayPath(filePath) };
+}
+
+// Looks up the aggregate named in the URL, or sends a 404 and returns null
+function aggregateFromRequest(req, res) {
+  const aggregate = findAggregate(
+    currentOutputDirs(),
+    req.params.dir,
+    req.params.file,
+    sourceRegistry.getSources()
+  );
+  if (!aggregate) {
+    res.status(404).json({
+      error: `Aggregate '${req.params.file}' not found in '${req.params.dir}'.`,
+    });
+    return null;
+  }
+  return aggregate;
+}
+
+// Lists the output folders and every aggregate in them, newest first
+app.get("/api/aggregates", (req, res) => {
+  try {
+    const dirs = currentOutputDirs();
+    res.json({
+      outputDirs: dirs.map((dir) => ({ ...dir, path: displayPath(dir.path) })),
+      aggregates: listAggregates(dirs, sourceRegistry.getSources()).map(
+        aggregateForDisplay
+      ),
+    });
+  } catch (error) {
+    console.error("Error listing aggregates:", error);
+    res.status(500).json({ error: error.message });
   }
+});
 
-  const notesDir = SOURCES[sourceDirKey].path;
+// Returns one aggregate with its metadata and file contents
+app.get("/api/aggregates/:dir/:file", (req, res) => {
+  try {
+    const aggregate = aggregateFromRequest(req, res);
+    if (!aggregate) return;
+    const content = fs.readFileSync(aggregate.filePath, "utf8");
+    res.json({ ...aggregateForDisplay(aggregate), content });
+  } catch (error) {
+    console.error("Error reading aggregate:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-  if (!fs.existsSync(notesDir)) {
-    console.error(
-      `Aggregation failed: Source directory for key '${sourceDirKey}' not found at ${notesDir}`
-    );
-    return res
-      .status(400)
-      .json({
-        error: `Source directory '${SOURCES[sourceDirKey].name}' not found. Check configuration.`,
+// Shows an aggregate as a web page (Markdown rendered, HTML as is)
+app.get("/api/aggregates/:dir/:file/view", (req, res) => {
+  try {
+    const aggregate = aggregateFromRequest(req, res);
+    if (!aggregate) return;
+    const content = fs.readFileSync(aggregate.filePath, "utf8");
+    // Aggregates are shown, never run: block scripts from note content
+    res.set("Content-Security-Policy", "script-src 'none'");
+    res.type("html").send(renderAggregatePage(aggregate, content));
+  } catch (error) {
+    console.error("Error reading aggregate:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Downloads an aggregate file
+app.get("/api/aggregates/:dir/:file/download", (req, res) => {
+  const aggregate = aggregateFromRequest(req, res);
+  if (!aggregate) return;
+  res.download(aggregate.filePath, aggregate.file);
+});
+
+// Deletes an aggregate file
+app.delete("/api/aggregates/:dir/:file", (req, res) => {
+  try {
+    const aggregate = aggregateFromRequest(req, res);
+    if (!aggregate) return;
+    fs.unlinkSync(aggregate.filePath);
+    fs.rmSync(metadataSidecarFor(aggregate.filePath), { force: true });
+    // Attachments copied by the "copy" link mode go with it
+    fs.rmSync(assetsDirFor(aggregate.filePath), {
+      recursive: true,
+      force: true,
+    });
+    console.log(`Deleted aggregate: ${displayPath(aggregate.filePath)}`);
+    res.status(204).end();
+  } catch (error) {
+    console.error("Error deleting aggregate:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// --- Presets: saved aggregation requests ---
+
+// Checks a preset's request against the current sources, templates etc.
+// Returns an error message, or null when the preset can be run.
+function presetRequestError(preset) {
+  const problems = validatePreset(preset);
+  if (problems.length > 0) return problems.join(" ");
+  const { error } = buildAggregationOptions(preset.request, aggregationContext);
+  return error || null;
+}
+
+// Lists all presets
+app.get("/api/presets", (req, res) => {
+  try {
+    res.json({ presets: presetStore.listPresets() });
+  } catch (error) {
+    console.error("Error reading presets:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Returns one preset
+app.get("/api/presets/:name", (req, res) => {
+  try {
+    const preset = presetStore.getPreset(req.params.name);
+    if (!preset) {
+      return res
+        .status(404)
+        .json({ error: `Preset '${req.params.name}' not found.` });
+    }
+    res.json(preset);
+  } catch (error) {
+    console.error("Error reading presets:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Creates a preset ({ name, description?, request })
+app.post("/api/presets", (req, res) => {
+  try {
+    const error = presetRequestError(req.body);
+    if (error) return res.status(400).json({ error });
+    if (presetStore.getPreset(req.body.name)) {
+      return res
+        .status(409)
+        .json({ error: `Preset '${req.body.name}' already exists.` });
+    }
+    res.status(201).json(presetStore.savePreset(req.body));
+  } catch (error) {
+    console.error("Error saving preset:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Creates or replaces a preset ({ description?, request }; name from the URL)
+app.put("/api/presets/:name", (req, res) => {
+  try {
+    const preset = { ...req.body, name: req.params.name };
+    const error = presetRequestError(preset);
+    if (error) return res.status(400).json({ error });
+    const existed = Boolean(presetStore.getPreset(preset.name));
+    res.status(existed ? 200 : 201).json(presetStore.savePreset(preset));
+  } catch (error) {
+    console.error("Error saving preset:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Deletes a preset (not while a schedule still runs it)
+app.delete("/api/presets/:name", (req, res) => {
+  try {
+    const usedBy = scheduleStore
+      .listSchedules()
+      .filter((schedule) => schedule.preset === req.params.name)
+      .map((schedule) => schedule.name);
+    if (usedBy.length > 0) {
+      return res.status(409).json({
+        error: `Preset '${
+          req.params.name
+        }' is used by schedule(s): ${usedBy.join(
+          ", "
+        )}. Delete or change those first.`,
       });
+    }
+    if (!presetStore.deletePreset(req.params.name)) {
+      return res
+        .status(404)
+        .json({ error: `Preset '${req.params.name}' not found.` });
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error("Error deleting preset:", error);
+    res.status(500).json({ error: error.message });
   }
+});
 
-  const tagDescription =
-    requiredTags === null ? "all tags" : `tag(s): ${requiredTags.join(", ")}`;
-  console.log(
-    `Received aggregation request for source '${sourceDirKey}' with ${tagDescription}`
-  );
+// Runs a preset; send { "dryRun": true } to preview it instead
+app.post("/api/presets/:name/run", async (req, res) => {
+  let preset;
+  try {
+    preset = presetStore.getPreset(req.params.name);
+  } catch (error) {
+    console.error("Error reading presets:", error);
+    return res.status(500).json({ error: error.message });
+  }
+  if (!preset) {
+    return res
+      .status(404)
+      .json({ error: `Preset '${req.params.name}' not found.` });
+  }
+  console.log(`Running preset '${preset.name}'`);
+  await respondWithAggregation(res, preset.request, {
+    dryRun: Boolean(req.body && req.body.dryRun),
+  });
+});
+
+// --- Schedules: presets run on cron expressions ---
+
+// A run record as sent to the UI (output path shown like other results)
+function runForDisplay(run) {
+  return run.outputFile
+    ? { ...run, outputFile: displayPath(run.outputFile) }
+    : run;
+}
 
+function scheduleForDisplay(schedule) {
+  const described = scheduler.describeSchedule(schedule);
+  return {
+    ...described,
+    lastRun: described.lastRun && runForDisplay(described.lastRun),
+  };
+}
+
+// Checks a schedule's fields and that its preset exists.
+// Returns an error message, or null when the schedule can be saved.
+function scheduleError(schedule) {
+  const problems = validateSchedule(schedule);
+  if (problems.length > 0) return problems.join(" ");
+  if (!presetStore.getPreset(schedule.preset)) {
+    return `Preset '${schedule.preset}' not found.`;
+  }
+  return null;
+}
+
+// Lists all schedules with their next run time and last run
+app.get("/api/schedules", (req, res) => {
   try {
-    // --- Call aggregation logic with updated parameters ---
-    const result = await aggregateNotes({
-      notesDir,
-      aggregatesDir: AGGREGATES_DIR,
-      requiredTags, // <-- Pass the array or null
-      allowedPrivacy: allowedPrivacy || [],
-      startDate: startDate || "",
-      endDate: endDate || "",
-      newNoteTags: [],
+    res.json({
+      schedules: scheduleStore.listSchedules().map(scheduleForDisplay),
     });
+  } catch (error) {
+    console.error("Error reading schedules:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const relativeOutputPath = path.relative(__dirname, result.outputFile);
-    console.log(`Aggregation successful: ${relativeOutputPath}`);
-    res.status(200).json({ ...result, outputFile: relativeOutputPath });
+// Returns one schedule
+app.get("/api/schedules/:name", (req, res) => {
+  try {
+    const schedule = scheduleStore.getSchedule(req.params.name);
+    if (!schedule) {
+      return res
+        .status(404)
+        .json({ error: `Schedule '${req.params.name}' not found.` });
+    }
+    res.json(scheduleForDisplay(schedule));
   } catch (error) {
-    console.error("Aggregation failed:", error);
-    const errorMessage =
-      error.message || "An unknown error occurred during aggregation.";
-    // Use 400 for request/logic errors, 500 for unexpected server errors
+    console.error("Error reading schedules:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Creates a schedule ({ name, preset, cron, description?, enabled?, catchUp? })
+app.post("/api/schedules", (req, res) => {
+  try {
+    const error = scheduleError(req.body);
+    if (error) return res.status(400).json({ error });
+    if (scheduleStore.getSchedule(req.body.name)) {
+      return res
+        .status(409)
+        .json({ error: `Schedule '${req.body.name}' already exists.` });
+    }
+    const schedule = scheduleStore.saveSchedule(req.body);
+    res.status(201).json(scheduleForDisplay(schedule));
+  } catch (error) {
+    console.error("Error saving schedule:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Creates or replaces a schedule (name from the URL)
+app.put("/api/schedules/:name", (req, res) => {
+  try {
+    const input = { ...req.body, name: req.params.name };
+    const error = scheduleError(input);
+    if (error) return res.status(400).json({ error });
+    const existed = Boolean(scheduleStore.getSchedule(input.name));
+    const schedule = scheduleStore.saveSchedule(input);
+    res.status(existed ? 200 : 201).json(scheduleForDisplay(schedule));
+  } catch (error) {
+    console.error("Error saving schedule:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Deletes a schedule (its run history is kept)
+app.delete("/api/schedules/:name", (req, res) => {
+  try {
+    if (!scheduleStore.deleteSchedule(req.params.name)) {
+      return res
+        .status(404)
+        .json({ error: `Schedule '${req.params.name}' not found.` });
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error("Error deleting schedule:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Runs a schedule's preset now and returns the run record
+app.post("/api/schedules/:name/run", async (req, res) => {
+  try {
+    const run = await scheduler.runNow(req.params.name);
+    if (!run) {
+      return res
+        .status(404)
+        .json({ error: `Schedule '${req.params.name}' not found.` });
+    }
+    const statusCode = { success: 200, "no-match": 404 }[run.status] || 400;
+    res.status(statusCode).json(runForDisplay(run));
+  } catch (error) {
+    console.error("Error running schedule:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Run history, newest first (?schedule=<name> and ?limit=<n> are optional)
+app.get("/api/schedule-runs", (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit, 10) || undefined;
+    const runs = runHistory.listRuns({ schedule: req.query.schedule, limit });
+    res.json({ runs: runs.map(runForDisplay) });
+  } catch (error) {
+    console.error("Error reading run history:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// --- Note Index ---
+
+// Index status of every source: { sources: [{ key, name, notes, refreshedAt }] }
+app.get("/api/index", (req, res) => {
+  const sources = Object.values(sourceRegistry.getSources()).map((source) => {
+    const { notes, refreshedAt } = noteIndex.describe(source.path);
+    return { key: source.key, name: source.name, notes, refreshedAt };
+  });
+  res.json({ sources });
+});
+
+// Forget the index of one source ({ source: "<key>" }) or of all sources and
+// read every note again. Responds with what changed per source.
+app.post("/api/index/rebuild", (req, res) => {
+  const sourceKey = req.body && req.body.source;
+  let sources = Object.values(sourceRegistry.getSources());
+  if (sourceKey) {
+    const source = sourceRegistry.getSource(sourceKey);
+    if (!source) {
+      return res
+        .status(404)
+        .json({ error: `Source key '${sourceKey}' not found.` });
+    }
+    sources = [source];
+  }
+
+  try {
+    const rebuilt = sources
+      .filter((source) => fs.existsSync(source.path))
+      .map((source) => {
+        const { notes, changes } = noteIndex.rebuild(source.path, {
+          include: source.defaults.include,
+          exclude: source.defaults.exclude,
+        });
+        console.log(
+          `Rebuilt note index of '${source.name}' (${source.key}): ${notes.length} notes`
+        );
+        return {
+          key: source.key,
+          name: source.name,
+          notes: notes.length,
+          changes,
+        };
+      });
+    res.json({ sources: rebuilt });
+  } catch (error) {
+    console.error("Error rebuilding note index:", error);
     res
-      .status(
-        error instanceof Error && error.message.includes("No notes found")
-          ? 404
-          : 400
-      )
-      .json({ error: errorMessage });
+      .status(500)
+      .json({ error: `Failed to rebuild index: ${error.message}` });
   }
 });
 
@@ -243,4 +829,6 @@ app.get("*", (req, res) => {
 app.listen(port, () => {
   console.log(`\nNote Aggregator server running at http://localhost:${port}`);
   console.log("Ready to aggregate notes.");
+  scheduler.start();
+  sourceWatcher.start();
 });
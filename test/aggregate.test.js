@@ -0,0 +1,90 @@
+// test/aggregate.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const { aggregateNotes, countMatchingNotes } = require("../logic/aggregate");
+const { createNoteIndex } = require("../logic/noteIndex");
+
+const quiet = { log: () => {}, warn: () => {} };
+
+// A vault with one public note that links to two private ones: one in the
+// aggregated folder, one elsewhere in the vault
+function createVault(t) {
+  const vaultDir = fs.mkdtempSync(path.join(os.tmpdir(), "aggregator-vault-"));
+  t.after(() => fs.removeSync(vaultDir));
+  const notes = {
+    "work/2024-03-01.md":
+      "---\nprivacy: public\n---\nPlanning the launch with [[2024-03-02]].\n\n![[diary]]\n\nSee [[diary|my diary]].",
+    "work/2024-03-02.md":
+      "---\nprivacy: private\n---\nCodename atlas, launch in May.",
+    "personal/diary.md": "---\nprivacy: private\n---\natlas diary entry",
+  };
+  Object.entries(notes).forEach(([file, content]) => {
+    fs.outputFileSync(path.join(vaultDir, file), content);
+  });
+  return vaultDir;
+}
+
+function optionsFor(vaultDir, overrides = {}) {
+  return {
+    notesDir: path.join(vaultDir, "work"),
+    vaultDir,
+    aggregatesDir: path.join(vaultDir, "output"),
+    allowedPrivacy: ["public"],
+    redaction: { enabled: true },
+    linkMode: "inline",
+    noteIndex: createNoteIndex(),
+    logger: quiet,
+    ...overrides,
+  };
+}
+
+test("a note excluded by privacy can't be reached through a wikilink", async (t) => {
+  const vaultDir = createVault(t);
+  const result = await aggregateNotes({
+    ...optionsFor(vaultDir),
+    dryRun: true,
+  });
+  assert.deepEqual(result.matchedFiles, ["2024-03-01.md"]);
+  const [note] = result.notes;
+  assert.equal(
+    note.content,
+    "Planning the launch with [redacted].\n\n[redacted]\n\nSee [redacted]."
+  );
+  assert.doesNotMatch(result.rendered, /atlas|diary/);
+  assert.equal(result.redaction.links, 3);
+});
+
+test("a note excluded by privacy can't be reached through a text query", async (t) => {
+  const vaultDir = createVault(t);
+  // In the private notes' text, or in the names of the links to them
+  for (const textQuery of ["atlas", "diary", "2024-03-02"]) {
+    const counts = await countMatchingNotes(
+      optionsFor(vaultDir, { textQuery })
+    );
+    assert.equal(counts.matching, 0, textQuery);
+    await assert.rejects(
+      aggregateNotes({ ...optionsFor(vaultDir, { textQuery }), dryRun: true }),
+      /No notes found/
+    );
+  }
+  const counts = await countMatchingNotes(
+    optionsFor(vaultDir, { textQuery: "launch" })
+  );
+  assert.equal(counts.matching, 1);
+});
+
+test("allowed notes are still inlined and searchable", async (t) => {
+  const vaultDir = createVault(t);
+  const result = await aggregateNotes({
+    ...optionsFor(vaultDir, {
+      allowedPrivacy: ["public", "private"],
+      textQuery: "launch",
+    }),
+    dryRun: true,
+  });
+  assert.deepEqual(result.matchedFiles, ["2024-03-01.md", "2024-03-02.md"]);
+  assert.match(result.notes[0].content, /atlas diary entry/);
+});
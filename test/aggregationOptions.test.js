@@ -0,0 +1,55 @@
+// test/aggregationOptions.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const { countMatchingNotes } = require("../logic/aggregate");
+const { aggregationErrorStatus } = require("../logic/aggregationOptions");
+const { createNoteIndex } = require("../logic/noteIndex");
+
+// The error an async call rejects with
+async function errorFrom(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  assert.fail("Expected the call to fail.");
+}
+
+test("nothing matching is a 404", () => {
+  assert.equal(
+    aggregationErrorStatus(new Error("No notes found matching tags [x]")),
+    404
+  );
+});
+
+test("invalid request settings are a 400", async (t) => {
+  const notesDir = fs.mkdtempSync(path.join(os.tmpdir(), "aggregator-notes-"));
+  t.after(() => fs.removeSync(notesDir));
+  const options = { notesDir, noteIndex: createNoteIndex() };
+  for (const invalid of [
+    { linkMode: "embed" },
+    { undatedPolicy: "bogus" },
+    { tagQuery: "(" },
+    { textQuery: "(", textRegex: true },
+    { fieldFilters: [{ field: "hours", op: "range" }] },
+  ]) {
+    const error = await errorFrom(
+      countMatchingNotes({ ...options, ...invalid })
+    );
+    assert.equal(aggregationErrorStatus(error), 400, error.message);
+  }
+});
+
+test("file system errors and bugs are a 500", () => {
+  let readError;
+  try {
+    fs.readFileSync(path.join(os.tmpdir(), "aggregator-missing", "note.md"));
+  } catch (error) {
+    readError = error;
+  }
+  assert.equal(aggregationErrorStatus(readError), 500);
+  assert.equal(aggregationErrorStatus(new TypeError("x is undefined")), 500);
+});
@@ -0,0 +1,72 @@
+// test/cron.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { cronMatches, nextCronTime, parseCron } = require("../logic/cron");
+
+// Cron works in local time, so the dates are built in local time too
+const local = (year, month, day, hour = 0, minute = 0) =>
+  new Date(year, month - 1, day, hour, minute);
+const next = (expression, after) => nextCronTime(parseCron(expression), after);
+
+test("fields accept lists, ranges, steps and names", () => {
+  const cron = parseCron("*/15 9-17/4 1,15 jan-mar mon-fri");
+  assert.deepEqual([...cron.minutes], [0, 15, 30, 45]);
+  assert.deepEqual([...cron.hours], [9, 13, 17]);
+  assert.deepEqual([...cron.days], [1, 15]);
+  assert.deepEqual([...cron.months], [1, 2, 3]);
+  assert.deepEqual([...cron.weekdays], [1, 2, 3, 4, 5]);
+  // "5/20" starts at 5 and runs to the end of the field
+  assert.deepEqual([...parseCron("5/20 * * * *").minutes], [5, 25, 45]);
+});
+
+test("7 is Sunday and macros expand to their schedule", () => {
+  assert.deepEqual([...parseCron("0 0 * * 7").weekdays], [0]);
+  assert.deepEqual(parseCron("@weekly"), {
+    ...parseCron("0 0 * * 0"),
+    expression: "@weekly",
+  });
+});
+
+test("the next run is strictly after the given time", () => {
+  // Tuesday 5 March 2024
+  assert.deepEqual(
+    next("0 7 * * mon", local(2024, 3, 5, 8)),
+    local(2024, 3, 11, 7)
+  );
+  assert.deepEqual(
+    next("30 * * * *", local(2024, 3, 5, 8, 30)),
+    local(2024, 3, 5, 9, 30)
+  );
+  assert.deepEqual(next("@yearly", local(2024, 3, 5)), local(2025, 1, 1));
+});
+
+test("a day matching either restricted day field is enough", () => {
+  const cron = parseCron("0 0 1 * mon");
+  assert.equal(cronMatches(cron, local(2024, 3, 1)), true); // A Friday
+  assert.equal(cronMatches(cron, local(2024, 3, 4)), true); // A Monday
+  assert.equal(cronMatches(cron, local(2024, 3, 5)), false);
+});
+
+test("a day field starting with '*' doesn't count as restricted", () => {
+  // Odd days that are also Mondays: 4 March is even, 11 March odd
+  assert.deepEqual(
+    next("0 0 */2 * mon", local(2024, 3, 1)),
+    local(2024, 3, 11)
+  );
+  // The 1st on a Sunday, Tuesday, Thursday or Saturday: 1 June 2024 (April
+  // and May start on a Monday and a Wednesday)
+  assert.deepEqual(next("0 0 1 * */2", local(2024, 3, 2)), local(2024, 6, 1));
+});
+
+test("a schedule that can never run has no next time", () => {
+  assert.equal(next("0 0 30 2 *", local(2024, 3, 5)), null);
+});
+
+test("invalid expressions are rejected with the problem", () => {
+  assert.throws(() => parseCron(""), /non-empty string/);
+  assert.throws(() => parseCron("0 7 * *"), /must have 5 fields/);
+  assert.throws(() => parseCron("60 * * * *"), /out of range \(0-59\)/);
+  assert.throws(() => parseCron("*/0 * * * *"), /Invalid step/);
+  assert.throws(() => parseCron("0 17-9 * * *"), /Invalid range '17-9'/);
+  assert.throws(() => parseCron("0 0 * * funday"), /Invalid .* value 'funday'/);
+});
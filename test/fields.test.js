@@ -0,0 +1,158 @@
+// test/fields.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  collectFields,
+  fieldValues,
+  formatFieldFilter,
+  formatFieldValues,
+  matchesFieldFilters,
+  resolveFieldFilters,
+} = require("../logic/fields");
+
+const passes = (rules, data) =>
+  matchesFieldFilters(resolveFieldFilters(rules), data);
+
+test("collectFields lists each field's kinds, values and numeric range", () => {
+  const fields = collectFields([
+    { data: { mood: "Good", hours: 7.5, client: ["acme", "globex"] } },
+    { data: { mood: "good", hours: "4", day: new Date("2024-03-05") } },
+    { data: { mood: null } },
+  ]);
+  assert.deepEqual(Object.keys(fields), ["client", "day", "hours", "mood"]);
+  assert.deepEqual(fields.mood, {
+    types: ["string"],
+    values: ["Good"],
+    min: null,
+    max: null,
+  });
+  assert.deepEqual(fields.hours.types, ["number", "string"]);
+  assert.deepEqual([fields.hours.min, fields.hours.max], [7.5, 7.5]);
+  assert.deepEqual(fields.client.values, ["acme", "globex"]);
+  assert.deepEqual(fields.day.values, ["2024-03-05"]);
+});
+
+test("equals and in ignore case and match any item of a list", () => {
+  const data = { mood: "Good", client: ["Acme", "Globex"] };
+  assert.equal(passes([{ field: "mood", value: "good" }], data), true);
+  assert.equal(passes([{ field: "mood", value: "bad" }], data), false);
+  assert.equal(
+    passes([{ field: "client", op: "in", values: "initech, globex" }], data),
+    true
+  );
+  assert.equal(
+    passes([{ field: "day", value: "2024-03-05" }], {
+      day: new Date("2024-03-05"),
+    }),
+    true
+  );
+});
+
+test("range accepts numbers written as text, but not booleans", () => {
+  const rules = [{ field: "hours", op: "range", min: 4, max: "8" }];
+  assert.equal(passes(rules, { hours: 7.5 }), true);
+  assert.equal(passes(rules, { hours: "4" }), true);
+  assert.equal(passes(rules, { hours: 9 }), false);
+  assert.equal(
+    passes([{ field: "done", op: "range", min: 0 }], { done: true }),
+    false
+  );
+});
+
+test("exists needs a value, and every rule must pass", () => {
+  assert.equal(passes([{ field: "mood", op: "exists" }], { mood: "" }), false);
+  assert.equal(passes([{ field: "mood", op: "exists" }], { mood: 0 }), true);
+  assert.equal(
+    passes(
+      [
+        { field: "mood", op: "exists" },
+        { field: "hours", op: "range", max: 2 },
+      ],
+      { mood: "good", hours: 7 }
+    ),
+    false
+  );
+  assert.equal(passes([], null), true);
+});
+
+test("only a note's own frontmatter keys are fields", () => {
+  const data = { mood: "good" };
+  ["constructor", "toString", "__proto__"].forEach((field) => {
+    assert.equal(passes([{ field, op: "exists" }], data), false, field);
+  });
+  const rules = resolveFieldFilters([
+    { field: "constructor", op: "exists" },
+    { field: "mood", op: "exists" },
+  ]);
+  assert.deepEqual(fieldValues(rules, data), { mood: "good" });
+});
+
+test("fieldValues follows the rules and formats dates and lists", () => {
+  const rules = resolveFieldFilters([
+    { field: "hours", op: "range", min: 1 },
+    { field: "day", op: "exists" },
+    { field: "client", op: "exists" },
+    { field: "hours", op: "exists" },
+  ]);
+  const values = fieldValues(rules, {
+    client: ["acme", ""],
+    day: new Date("2024-03-05"),
+    hours: 7.5,
+  });
+  assert.deepEqual(values, { hours: 7.5, day: "2024-03-05", client: ["acme"] });
+  assert.equal(
+    formatFieldValues(values),
+    "hours: 7.5 · day: 2024-03-05 · client: acme"
+  );
+});
+
+test("rules are validated, rules without a field dropped", () => {
+  assert.deepEqual(
+    resolveFieldFilters([{ field: "" }, { field: " mood ", op: "exists" }]),
+    [{ field: "mood", op: "exists" }]
+  );
+  assert.deepEqual(resolveFieldFilters(null), []);
+  assert.throws(() => resolveFieldFilters({}), /must be a list/);
+  assert.throws(
+    () => resolveFieldFilters([{ field: "mood", op: "like" }]),
+    /Invalid operator 'like'/
+  );
+  assert.throws(
+    () => resolveFieldFilters([{ field: "mood" }]),
+    /needs a value/
+  );
+  assert.throws(
+    () => resolveFieldFilters([{ field: "client", op: "in", values: " , " }]),
+    /needs a list of values/
+  );
+  assert.throws(
+    () => resolveFieldFilters([{ field: "hours", op: "range" }]),
+    /a minimum, a maximum or both/
+  );
+  assert.throws(
+    () => resolveFieldFilters([{ field: "hours", op: "range", min: "x" }]),
+    /'min' must be a number/
+  );
+  assert.throws(
+    () =>
+      resolveFieldFilters([{ field: "hours", op: "range", min: 5, max: 1 }]),
+    /minimum is larger/
+  );
+});
+
+test("formatFieldFilter describes each kind of rule", () => {
+  const rules = resolveFieldFilters([
+    { field: "mood", value: "good" },
+    { field: "client", op: "in", values: ["acme", "globex"] },
+    { field: "hours", op: "range", min: 4, max: 8 },
+    { field: "hours", op: "range", max: 8 },
+    { field: "project", op: "exists" },
+  ]);
+  assert.deepEqual(rules.map(formatFieldFilter), [
+    "mood = good",
+    "client in (acme, globex)",
+    "hours 4–8",
+    "hours ≤ 8",
+    "project exists",
+  ]);
+});
@@ -0,0 +1,69 @@
+// test/noteIndex.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const { createNoteIndex } = require("../logic/noteIndex");
+const { resolveExtraction } = require("../logic/extract");
+
+const extraction = resolveExtraction({});
+
+// A notes folder and an index folder, removed after the test
+function createFolders(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "aggregator-index-"));
+  t.after(() => fs.removeSync(root));
+  const notesDir = path.join(root, "notes");
+  fs.outputFileSync(
+    path.join(notesDir, "2024-03-01.md"),
+    "---\nprivacy: private\ntags: [work]\n---\nSalary talk with Ana."
+  );
+  fs.outputFileSync(path.join(notesDir, "journal/2024-03-02.md"), "#home");
+  return { notesDir, indexDir: path.join(root, "index") };
+}
+
+test("only changed notes are read again", (t) => {
+  const { notesDir } = createFolders(t);
+  const index = createNoteIndex();
+  assert.deepEqual(index.refresh(notesDir).changes, {
+    added: 2,
+    updated: 0,
+    removed: 0,
+    unchanged: 0,
+  });
+  const file = path.join(notesDir, "2024-03-01.md");
+  fs.writeFileSync(file, "---\ntags: [work, atlas]\n---\nChanged");
+  fs.removeSync(path.join(notesDir, "journal"));
+  const { notes, changes } = index.refresh(notesDir);
+  assert.deepEqual(changes, { added: 0, updated: 1, removed: 1, unchanged: 0 });
+  assert.deepEqual(notes[0].tags, ["work", "atlas"]);
+});
+
+test("the saved index holds metadata, not note text", (t) => {
+  const { notesDir, indexDir } = createFolders(t);
+  createNoteIndex({ indexDir }).refresh(notesDir, { extraction });
+  const [indexFile] = fs.readdirSync(indexDir);
+  const saved = fs.readFileSync(path.join(indexDir, indexFile), "utf8");
+  assert.match(saved, /"privacy":"private"/);
+  assert.doesNotMatch(saved, /Salary/);
+
+  // After a restart the text is read again when extraction needs it
+  const restarted = createNoteIndex({ indexDir });
+  const { notes, changes } = restarted.refresh(notesDir, { extraction });
+  assert.equal(changes.unchanged, 2);
+  assert.equal(notes[0].extracted, "Salary talk with Ana.");
+});
+
+test("sources sharing a folder with other patterns keep each other's notes", (t) => {
+  const { notesDir } = createFolders(t);
+  const index = createNoteIndex();
+  index.refresh(notesDir, { include: ["*.md"] });
+  index.refresh(notesDir, { include: ["journal/**"] });
+  const { notes, changes } = index.refresh(notesDir, { include: ["*.md"] });
+  assert.deepEqual(
+    notes.map((note) => note.relativePath),
+    ["2024-03-01.md"]
+  );
+  assert.deepEqual(changes, { added: 0, updated: 0, removed: 0, unchanged: 1 });
+  assert.equal(index.describe(notesDir).notes, 2);
+});
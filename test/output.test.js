@@ -0,0 +1,116 @@
+// test/output.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const {
+  renderFilename,
+  resolveOutputPath,
+  slugify,
+  validateFilenameTemplate,
+} = require("../logic/output");
+
+// A fresh output folder holding `existing` files
+function outputDir(t, existing = []) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "aggregator-output-"));
+  t.after(() => fs.removeSync(dir));
+  existing.forEach((name) => fs.writeFileSync(path.join(dir, name), ""));
+  return dir;
+}
+
+test("a free name is used whatever the policy", (t) => {
+  const dir = outputDir(t);
+  ["fail", "overwrite", "suffix", "timestamp"].forEach((collisionPolicy) => {
+    assert.deepEqual(
+      resolveOutputPath(dir, "work-2024-03-01", "md", { collisionPolicy }),
+      { outputFile: path.join(dir, "work-2024-03-01.md"), exists: false }
+    );
+  });
+});
+
+test("'fail' aborts when the file exists, except in a preview", (t) => {
+  const dir = outputDir(t, ["work.md"]);
+  assert.throws(
+    () => resolveOutputPath(dir, "work", "md", { collisionPolicy: "fail" }),
+    /File already exists: .*work\.md\. Aborting aggregation\./
+  );
+  assert.deepEqual(resolveOutputPath(dir, "work", "md", { dryRun: true }), {
+    outputFile: path.join(dir, "work.md"),
+    exists: true,
+  });
+});
+
+test("'overwrite' keeps the name and reports the existing file", (t) => {
+  const dir = outputDir(t, ["work.md"]);
+  assert.deepEqual(
+    resolveOutputPath(dir, "work", "md", { collisionPolicy: "overwrite" }),
+    { outputFile: path.join(dir, "work.md"), exists: true }
+  );
+});
+
+test("'suffix' numbers the name from 2", (t) => {
+  const dir = outputDir(t, ["work.md", "work-2.md"]);
+  assert.equal(
+    resolveOutputPath(dir, "work", "md", { collisionPolicy: "suffix" })
+      .outputFile,
+    path.join(dir, "work-3.md")
+  );
+  // Only files with the same extension clash
+  assert.equal(
+    resolveOutputPath(dir, "work", "html", { collisionPolicy: "suffix" })
+      .outputFile,
+    path.join(dir, "work.html")
+  );
+});
+
+test("'timestamp' adds the UTC time, numbered within the same second", (t) => {
+  const now = new Date("2024-03-05T14:30:12Z");
+  const dir = outputDir(t, ["work.md"]);
+  const options = { collisionPolicy: "timestamp", now };
+  assert.equal(
+    resolveOutputPath(dir, "work", "md", options).outputFile,
+    path.join(dir, "work-20240305-143012.md")
+  );
+  fs.writeFileSync(path.join(dir, "work-20240305-143012.md"), "");
+  assert.equal(
+    resolveOutputPath(dir, "work", "md", options).outputFile,
+    path.join(dir, "work-20240305-143012-2.md")
+  );
+});
+
+test("unknown collision policies are rejected", (t) => {
+  assert.throws(
+    () =>
+      resolveOutputPath(outputDir(t), "work", "md", {
+        collisionPolicy: "replace",
+      }),
+    /Invalid 'collisionPolicy' parameter/
+  );
+});
+
+test("renderFilename slugifies the values and the result", () => {
+  assert.equal(slugify("Café / Notes: März"), "café-notes-märz");
+  assert.equal(
+    renderFilename("{{source}}_{{tags}}-{{date}}", {
+      source: "Work Notes",
+      tags: "project/alpha",
+      date: "2024-03-05",
+    }),
+    "work-notes_project-alpha-2024-03-05"
+  );
+  assert.equal(
+    renderFilename("{{tags}}-{{date}}", { tags: "", date: "2024-03-05" }),
+    "2024-03-05"
+  );
+  assert.throws(
+    () => renderFilename("{{tags}}", { tags: "" }),
+    /produced an empty name/
+  );
+});
+
+test("validateFilenameTemplate rejects empty and broken templates", () => {
+  assert.throws(() => validateFilenameTemplate(" "), /non-empty string/);
+  assert.throws(() => validateFilenameTemplate("{{#if tags}}x"));
+  assert.doesNotThrow(() => validateFilenameTemplate("{{date}}-notes"));
+});
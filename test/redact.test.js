@@ -0,0 +1,113 @@
+// test/redact.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  describeRedaction,
+  redactContent,
+  resolveRedaction,
+  summarizeRedactions,
+} = require("../logic/redact");
+
+const redact = (content, settings, options) =>
+  redactContent(
+    content,
+    resolveRedaction({ enabled: true, ...settings }),
+    options
+  );
+
+test("nothing is touched while redaction is off", () => {
+  const content = "Mail me at ana@example.com\n%%private%%x%%/private%%";
+  const { content: result, counts } = redactContent(
+    content,
+    resolveRedaction()
+  );
+  assert.equal(result, content);
+  assert.equal(summarizeRedactions([counts]).notes, 0);
+  assert.equal(describeRedaction(resolveRedaction(), null), null);
+});
+
+test("private blocks are masked, and an unclosed block runs to the end", () => {
+  const { content, counts } = redact(
+    "Start %%private%%hidden%%/private%% middle %%private%%rest of note"
+  );
+  assert.equal(content, "Start [redacted] middle [redacted]");
+  assert.equal(counts.blocks, 2);
+});
+
+test("lines with a line tag (or a nested one) are removed with 'strip'", () => {
+  const {
+    content,
+    counts,
+  } = redact(
+    "keep\nsalary talk #private\nhealth #private/medical\n#privately kept",
+    { action: "strip" }
+  );
+  assert.equal(content, "keep\n#privately kept");
+  assert.equal(counts.lines, 2);
+});
+
+test("built-in patterns skip numbers too short to be phone numbers", () => {
+  const {
+    content,
+    counts,
+  } = redact("ana@example.com called +1 (555) 123-4567 on 2024-03-05", {
+    patterns: "email, phone",
+  });
+  assert.equal(content, "[redacted] called [redacted] on 2024-03-05");
+  assert.deepEqual([counts.email, counts.phone], [1, 1]);
+});
+
+test("custom patterns use the flags and ignore empty matches", () => {
+  const { content, counts } = redact("Ana met ANA and x", {
+    customPatterns: ["ana", "y*"],
+    mask: "■",
+  });
+  assert.equal(content, "■ met ■ and x");
+  assert.equal(counts.custom, 2);
+});
+
+test("links to hidden notes are redacted in every link form", () => {
+  const hidden = new Set(["secret", "folder/secret.md"]);
+  const { content, counts } = redact(
+    "[[secret]] [[secret#Plans|alias]] ![[secret]] [x](folder/secret.md#top) [[public]] [y](folder%2Fsecret.md)",
+    {},
+    { isHiddenNote: (target) => hidden.has(target) }
+  );
+  assert.equal(
+    content,
+    "[redacted] [redacted] [redacted] [redacted] [[public]] [redacted]"
+  );
+  assert.equal(counts.links, 5);
+});
+
+test("the summary counts notes with at least one redaction", () => {
+  const summary = summarizeRedactions([
+    redact("a@b.co", { patterns: ["email"] }).counts,
+    redact("nothing here", { patterns: ["email"] }).counts,
+  ]);
+  assert.equal(summary.notes, 1);
+  assert.equal(summary.email, 1);
+});
+
+test("invalid settings are rejected", () => {
+  assert.throws(
+    () => resolveRedaction({ action: "erase" }),
+    /Invalid redaction action/
+  );
+  assert.throws(
+    () => resolveRedaction({ endMarker: "" }),
+    /start and an end marker/
+  );
+  assert.throws(
+    () => resolveRedaction({ patterns: ["ssn"] }),
+    /Unknown redaction pattern 'ssn'/
+  );
+  assert.throws(
+    () => resolveRedaction({ customPatterns: ["("] }),
+    /Invalid redaction regex/
+  );
+  assert.throws(
+    () => resolveRedaction({ enabled: "yes" }),
+    /'enabled' must be true or false/
+  );
+});
@@ -0,0 +1,64 @@
+// test/tagQuery.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  formatTagQuery,
+  matchesTagQuery,
+  normalizeTag,
+  parseTagQuery,
+  tagsToQuery,
+} = require("../logic/tagQuery");
+
+const matches = (query, tags) => matchesTagQuery(parseTagQuery(query), tags);
+
+test("normalizeTag drops the leading '#' and ignores case", () => {
+  assert.equal(normalizeTag(" #Project/Alpha "), "project/alpha");
+});
+
+test("NOT binds tighter than AND, and AND tighter than OR", () => {
+  assert.equal(
+    formatTagQuery(parseTagQuery("a OR b AND NOT c")),
+    "a OR b AND NOT c"
+  );
+  assert.equal(matches("a OR b AND NOT c", ["a", "c"]), true);
+  assert.equal(matches("a OR b AND NOT c", ["b", "c"]), false);
+  assert.equal(matches("(a OR b) AND NOT c", ["a", "c"]), false);
+});
+
+test("terms side by side mean AND, and operators are case-insensitive", () => {
+  assert.equal(
+    formatTagQuery(parseTagQuery("a b or not c")),
+    "a AND b OR NOT c"
+  );
+  assert.equal(matches("meeting team-x", ["meeting"]), false);
+  assert.equal(matches("meeting team-x", ["#Meeting", "team-x"]), true);
+});
+
+test("a parent tag matches its nested tags, but not the other way round", () => {
+  assert.equal(matches("project", ["project/alpha"]), true);
+  assert.equal(matches("project/alpha", ["project"]), false);
+  assert.equal(matches("project", ["projects"]), false);
+});
+
+test("formatTagQuery keeps the grouping that changes the meaning", () => {
+  assert.equal(
+    formatTagQuery(parseTagQuery("NOT (a OR b) AND (c OR d)")),
+    "NOT (a OR b) AND (c OR d)"
+  );
+  assert.equal(formatTagQuery(parseTagQuery("((a))")), "a");
+});
+
+test("tagsToQuery matches any of the selected tags", () => {
+  const tree = tagsToQuery(["#Work", "home"]);
+  assert.equal(formatTagQuery(tree), "work OR home");
+  assert.equal(matchesTagQuery(tree, ["home/garden"]), true);
+  assert.equal(matchesTagQuery(tree, ["play"]), false);
+});
+
+test("malformed queries are rejected with the problem", () => {
+  assert.throws(() => parseTagQuery("  "), /empty/);
+  assert.throws(() => parseTagQuery("a AND"), /ended unexpectedly/);
+  assert.throws(() => parseTagQuery("(a OR b"), /Missing '\)'/);
+  assert.throws(() => parseTagQuery("a )"), /Unexpected '\)'/);
+  assert.throws(() => parseTagQuery("#"), /Empty tag/);
+});
@@ -0,0 +1,93 @@
+// test/textQuery.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  highlightMatches,
+  matchesTextQuery,
+  matchingParagraphs,
+  parseTextQuery,
+} = require("../logic/textQuery");
+
+test("words and quoted phrases become terms; empty queries match everything", () => {
+  const query = parseTextQuery(' atlas  "cut over" ');
+  assert.deepEqual(
+    query.terms.map((term) => term.text),
+    ["atlas", "cut over"]
+  );
+  assert.equal(parseTextQuery("   "), null);
+  assert.equal(parseTextQuery('""'), null);
+  assert.equal(matchesTextQuery(null, "anything"), true);
+});
+
+test("'all' needs every term and 'any' one of them, ignoring case", () => {
+  const content = "The ATLAS migration starts Monday.";
+  assert.equal(matchesTextQuery(parseTextQuery("atlas monday"), content), true);
+  assert.equal(
+    matchesTextQuery(parseTextQuery("atlas friday"), content),
+    false
+  );
+  assert.equal(
+    matchesTextQuery(parseTextQuery("atlas friday", { match: "any" }), content),
+    true
+  );
+});
+
+test("a phrase matches across line breaks", () => {
+  const query = parseTextQuery('"atlas migration"');
+  assert.equal(matchesTextQuery(query, "the atlas\nmigration"), true);
+  assert.equal(matchesTextQuery(query, "atlas and migration"), false);
+});
+
+test("regex queries are one term and report invalid patterns", () => {
+  const query = parseTextQuery("atlas (migration|cut-?over)", { regex: true });
+  assert.equal(query.terms.length, 1);
+  assert.equal(matchesTextQuery(query, "Atlas cutover"), true);
+  // Ordinary escapes that would be invalid with the "u" flag
+  assert.equal(
+    matchesTextQuery(
+      parseTextQuery("[\\w-.]+@x\\-y", { regex: true }),
+      "a.b@x-y"
+    ),
+    true
+  );
+  assert.throws(
+    () => parseTextQuery("(", { regex: true }),
+    /Invalid text query regex/
+  );
+  assert.throws(
+    () => parseTextQuery("atlas", { match: "most" }),
+    /Invalid text match mode 'most'/
+  );
+});
+
+test("excerpts keep the matching paragraphs and mark the gaps", () => {
+  const content =
+    "atlas kickoff\n\nlunch\n\nmore lunch\n\natlas review\n\natlas retro";
+  assert.equal(
+    matchingParagraphs(parseTextQuery("atlas"), content),
+    "atlas kickoff\n\n…\n\natlas review\n\natlas retro"
+  );
+});
+
+test("a phrase spanning paragraphs keeps the whole note", () => {
+  const content = "We planned the atlas\n\nmigration for May.\n\nUnrelated.";
+  const query = parseTextQuery('"atlas migration"');
+  assert.equal(matchesTextQuery(query, content), true);
+  assert.equal(matchingParagraphs(query, content), content);
+});
+
+test("highlights skip links and code, and the longest term wins", () => {
+  const query = parseTextQuery('atlas "atlas migration"', { match: "any" });
+  assert.equal(
+    highlightMatches(
+      query,
+      "The atlas migration, [[atlas]] and `atlas` and [atlas](atlas.md)"
+    ),
+    "The ==atlas migration==, [[atlas]] and `atlas` and [==atlas==](atlas.md)"
+  );
+  // Highlights can't span lines
+  assert.equal(
+    highlightMatches(parseTextQuery('"atlas migration"'), "atlas\nmigration"),
+    "==atlas==\n==migration=="
+  );
+});